@@ -1,1159 +1,8550 @@
 /* ============================================================
-   ALPHA VANTAGE LIVE STOCK ENGINE
+   MARKET DATA PROVIDERS
+   ============================================================
+
+   Every vendor sits behind the same small interface, so the
+   analytics below never build URLs themselves. Methods throw on
+   a bad payload; the fetch* helpers own caching and fallbacks.
+
+     stocks:  quote(symbol)            → { price, change, rawChange }
+              history(symbol, { full }) → { dates, closes }
+              ohlc(symbol)              → { dates, open, high, low, close, volume }
+              symbolSearch(keywords)    → [{ symbol, name, type, exchange, currency }]
+              overview(symbol)          → { name, sector, marketCap, pe, dividendYield, beta, … }
+              newsSentiment(ticker, { limit }) → articles + tickers[{ ticker, score, relevance }]
+              treasuryYield({ maturity }) → { date, rate } (rate in %)
+              fxRate(from, to)          → { date, rate } (1 from = rate to)
+              fxHistory(from, to, { full }) → { dates, closes }
+     crypto:  history(coinId, { days, vsCurrency }) → { dates, closes }
+              ohlc(coinId, { days, vsCurrency }) → { dates, open, high, low, close, volume }
+              coinList({ perPage, vsCurrency }) → CoinGecko /coins/markets rows
+              coinPrices(ids, { vsCurrency }) → { [id]: { <vs>, <vs>_24h_change } }
+     news:    news({ pageSize })        → NewsAPI-style articles
+
+   dataProviders maps each role to the provider serving it. To
+   add a vendor, implement the methods for its role and assign
+   it there (see useDataSource).
    ============================================================ */
 
 const ALPHA_KEY = "585JL6W27JVEWZ8M";
 const ALPHA_BASE = "https://www.alphavantage.co/query";
+const COINGECKO_BASE = "https://api.coingecko.com/api/v3";
+const NEWS_API_KEY = "6fac2527aad64481bf4934d1ba1bfbf2";
+const NEWS_API_BASE = "https://newsapi.org/v2";
+
+// Where the offline fixture provider reads its recorded payloads from
+const FIXTURE_BASE = "fixtures";
+const DATA_SOURCE_KEY = "investiq:data-source";
+
+async function httpJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error("HTTP " + res.status + " for " + url);
+  return res.json();
+}
 
 /* ------------------------------------------------------------
-    Local cache to prevent hitting API limits (5 req / min)
+   Vendor payload parsers (shared by live + fixture providers)
 ------------------------------------------------------------ */
-const stockCache = {
-  quote: {},
-  history: {},
-  timestamp: {}
-};
+function parseAlphaQuote(data) {
+  if (!data["Global Quote"]) {
+    throw new Error("Invalid Alpha Vantage quote payload");
+  }
+  return {
+    price: parseFloat(data["Global Quote"]["05. price"]),
+    change: parseFloat(data["Global Quote"]["10. change percent"]),
+    rawChange: parseFloat(data["Global Quote"]["09. change"]),
+  };
+}
+
+// Latest published point of Alpha's TREASURY_YIELD (holidays come through as ".")
+function parseAlphaTreasuryYield(data) {
+  const point = Array.isArray(data.data)
+    ? data.data.find(d => Number.isFinite(parseFloat(d.value)))
+    : null;
+  if (!point) throw new Error("Invalid Alpha treasury yield payload");
+  return { date: point.date, rate: parseFloat(point.value) };
+}
+
+function parseAlphaFxRate(data) {
+  const quote = data["Realtime Currency Exchange Rate"];
+  const rate = quote ? parseFloat(quote["5. Exchange Rate"]) : NaN;
+  if (!Number.isFinite(rate)) throw new Error("Invalid Alpha exchange rate payload");
+  return { date: quote["6. Last Refreshed"], rate };
+}
+
+function parseAlphaFxDaily(data) {
+  const series = data["Time Series FX (Daily)"];
+  if (!series) throw new Error("Invalid Alpha FX history payload");
+
+  const dates = Object.keys(series).sort();
+  return {
+    dates,
+    closes: dates.map(d => parseFloat(series[d]["4. close"])),
+  };
+}
+
+function parseAlphaDailySeries(data) {
+  const series = data["Time Series (Daily)"];
+  if (!series) throw new Error("Invalid Alpha history payload");
+
+  const dates = Object.keys(series).sort();
+  return {
+    dates,
+    closes: dates.map(d => parseFloat(series[d]["5. adjusted close"])),
+  };
+}
 
 /* ------------------------------------------------------------
-   Fetch real-time stock quote (price + daily change)
-   Endpoint: GLOBAL_QUOTE
+   OVERVIEW → the screener's fundamentals. Numbers come as
+   strings with "None" or "-" when unknown; a missing dividend
+   yield means the company pays none.
 ------------------------------------------------------------ */
-async function fetchStockQuote(symbol) {
-  const now = Date.now();
+function parseAlphaOverview(data) {
+  if (!data || !data.Symbol) throw new Error("Invalid Alpha overview payload");
+  const num = (key) => {
+    const v = parseFloat(data[key]);
+    return Number.isFinite(v) ? v : null;
+  };
+  const text = key => (data[key] && data[key] !== "None" ? data[key] : null);
+  return {
+    symbol: data.Symbol,
+    name: data.Name,
+    exchange: text("Exchange"),
+    sector: text("Sector"),
+    industry: text("Industry"),
+    marketCap: num("MarketCapitalization"),
+    pe: num("PERatio"),
+    dividendYield: num("DividendYield") ?? 0,
+    beta: num("Beta"),
+    week52High: num("52WeekHigh"),
+    week52Low: num("52WeekLow"),
+  };
+}
+
+// SYMBOL_SEARCH only reports the region; US listings are labelled "US"
+function parseAlphaSymbolSearch(data) {
+  if (!Array.isArray(data.bestMatches)) throw new Error("Invalid Alpha symbol search payload");
+  return data.bestMatches.map((m) => {
+    const region = m["4. region"];
+    return {
+      symbol: m["1. symbol"],
+      name: m["2. name"],
+      type: m["3. type"],
+      exchange: region === "United States" ? "US" : region,
+      currency: m["8. currency"],
+    };
+  });
+}
+
+// Full daily bars; open/high/low are scaled by the split/dividend adjustment of the close
+function parseAlphaDailyOhlc(data) {
+  const series = data["Time Series (Daily)"];
+  if (!series) throw new Error("Invalid Alpha history payload");
+
+  const dates = Object.keys(series).sort();
+  const bars = { dates, open: [], high: [], low: [], close: [], volume: [] };
+  dates.forEach((d) => {
+    const bar = series[d];
+    const close = parseFloat(bar["4. close"]);
+    const adjusted = parseFloat(bar["5. adjusted close"]);
+    const factor = close > 0 ? adjusted / close : 1;
+    bars.open.push(parseFloat(bar["1. open"]) * factor);
+    bars.high.push(parseFloat(bar["2. high"]) * factor);
+    bars.low.push(parseFloat(bar["3. low"]) * factor);
+    bars.close.push(adjusted);
+    bars.volume.push(parseFloat(bar["6. volume"]) || 0);
+  });
+  return bars;
+}
 
-  // Cache valid for 60 seconds
-  if (stockCache.quote[symbol] && now - stockCache.timestamp[symbol] < 60000) {
-    return stockCache.quote[symbol];
+/* ------------------------------------------------------------
+   CoinGecko market_chart (hourly up to 90 days) → daily bars.
+   A day with a single print (daily granularity) opens at the
+   previous close. Volume is the last 24h total of the day.
+------------------------------------------------------------ */
+function parseCoinGeckoOhlc(data) {
+  if (!data.prices || data.prices.length < 2) {
+    throw new Error("Insufficient price data");
   }
+  const byDate = {};
+  data.prices.forEach(([ts, price]) => {
+    const d = toIsoDate(ts);
+    (byDate[d] = byDate[d] || []).push(price);
+  });
+  const volumes = {};
+  (data.total_volumes || []).forEach(([ts, v]) => (volumes[toIsoDate(ts)] = v));
+
+  const dates = Object.keys(byDate).sort();
+  const bars = { dates, open: [], high: [], low: [], close: [], volume: [] };
+  dates.forEach((d, i) => {
+    const prints = byDate[d];
+    const prevClose = i > 0 ? bars.close[i - 1] : prints[0];
+    const open = prints.length > 1 ? prints[0] : prevClose;
+    bars.open.push(open);
+    bars.high.push(Math.max(open, ...prints));
+    bars.low.push(Math.min(open, ...prints));
+    bars.close.push(prints[prints.length - 1]);
+    bars.volume.push(volumes[d] || 0);
+  });
+  return bars;
+}
 
-  try {
-    const url = `${ALPHA_BASE}?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${ALPHA_KEY}`;
-    const res = await fetch(url);
-    const data = await res.json();
+// CoinGecko market_chart → one close per calendar day (last print wins)
+function parseCoinGeckoChart(data) {
+  if (!data.prices || data.prices.length < 2) {
+    throw new Error("Insufficient price data");
+  }
+  const byDate = {};
+  data.prices.forEach(([ts, price]) => {
+    byDate[toIsoDate(ts)] = price;
+  });
+  const dates = Object.keys(byDate).sort();
+  return { dates, closes: dates.map(d => byDate[d]) };
+}
+
+function parseCoinList(data) {
+  if (!Array.isArray(data)) throw new Error("Invalid CoinGecko markets payload");
+  return data;
+}
+
+function parseNewsArticles(data) {
+  return data.articles || [];
+}
+
+// "20261016T200500" → "2026-10-16T20:05:00Z"
+function alphaTimeToIso(stamp) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?/.exec(stamp || "");
+  return m ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6] || "00"}Z` : "";
+}
+
+/* ------------------------------------------------------------
+   NEWS_SENTIMENT → NewsAPI-shaped articles (so both render the
+   same way) plus `tickers`: [{ ticker, score, relevance }] from
+   ticker_sentiment, scores −1 (bearish) … +1 (bullish).
+------------------------------------------------------------ */
+function parseAlphaNewsSentiment(data) {
+  if (!Array.isArray(data.feed)) throw new Error("Invalid Alpha news payload");
+  return data.feed.map(a => ({
+    title: a.title,
+    description: a.summary,
+    url: a.url,
+    urlToImage: a.banner_image || "",
+    source: { name: a.source },
+    publishedAt: alphaTimeToIso(a.time_published),
+    tickers: (a.ticker_sentiment || [])
+      .map(t => ({
+        ticker: t.ticker,
+        score: parseFloat(t.ticker_sentiment_score),
+        relevance: parseFloat(t.relevance_score),
+      }))
+      .filter(t => Number.isFinite(t.score) && Number.isFinite(t.relevance)),
+  }));
+}
+
+/* ------------------------------------------------------------
+   Price series × FX series: each date takes the latest rate on
+   or before it (crypto trades at weekends, FX doesn't). Dates
+   before the first rate are dropped.
+------------------------------------------------------------ */
+function convertSeries(series, fx) {
+  const dates = [];
+  const closes = [];
+  let j = -1;
+  series.dates.forEach((d, i) => {
+    while (j + 1 < fx.dates.length && fx.dates[j + 1] <= d) j++;
+    if (j < 0) return;
+    dates.push(d);
+    closes.push(series.closes[i] * fx.closes[j]);
+  });
+  return { dates, closes };
+}
+
+// Daily bars × FX series (same date matching as convertSeries); volume stays in units
+function convertOhlc(bars, fx) {
+  const factor = convertSeries({ dates: bars.dates, closes: bars.dates.map(() => 1) }, fx);
+  const rate = {};
+  factor.dates.forEach((d, i) => (rate[d] = factor.closes[i]));
+
+  const keep = bars.dates.map((d, i) => i).filter(i => rate[bars.dates[i]] != null);
+  const scaled = key => keep.map(i => bars[key][i] * rate[bars.dates[i]]);
+  return {
+    dates: keep.map(i => bars.dates[i]),
+    open: scaled("open"),
+    high: scaled("high"),
+    low: scaled("low"),
+    close: scaled("close"),
+    volume: keep.map(i => bars.volume[i]),
+  };
+}
+
+// Keep the most recent `count` points of a { dates, closes } series
+function tailSeries(series, count) {
+  if (!Number.isFinite(count) || series.dates.length <= count) return series;
+  return {
+    dates: series.dates.slice(-count),
+    closes: series.closes.slice(-count),
+  };
+}
+
+/* ------------------------------------------------------------
+   Rate-limited request scheduler
+   Runs tasks no faster than `perMinute` (sliding 60s window)
+   and at most `perDay` per calendar day (count kept in
+   localStorage). Tasks sharing a key while queued or running
+   share one promise. A task that throws an error flagged
+   `throttled` is re-queued after a one-minute pause, up to
+   `maxRetries` times. subscribe(fn) receives
+   { queued, running, waitMs, usedToday, perDay } on changes.
+------------------------------------------------------------ */
+function createRequestScheduler({ name, perMinute, perDay, maxRetries = 3 }) {
+  const queue = [];
+  const pending = new Map();
+  const listeners = [];
+  let recent = [];
+  let running = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  const quotaKey = `investiq:quota:${name}`;
+  const today = () => new Date().toISOString().slice(0, 10);
+
+  function usedToday() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(quotaKey) || "null");
+      return saved && saved.date === today() ? saved.count : 0;
+    } catch (err) {
+      return 0;
+    }
+  }
 
-    if (!data["Global Quote"]) {
-      throw new Error("Invalid Alpha Vantage quote payload");
+  function recordCall() {
+    try {
+      localStorage.setItem(quotaKey, JSON.stringify({ date: today(), count: usedToday() + 1 }));
+    } catch (err) {
+      // quota tracking is best-effort
     }
+  }
 
-    const quote = {
-      price: parseFloat(data["Global Quote"]["05. price"]),
-      change: parseFloat(data["Global Quote"]["10. change percent"]),
-      rawChange: parseFloat(data["Global Quote"]["09. change"]),
+  function msUntilSlot() {
+    const now = Date.now();
+    recent = recent.filter(t => now - t < 60000);
+    const windowWait = recent.length < perMinute ? 0 : recent[0] + 60000 - now;
+    return Math.max(windowWait, pausedUntil - now, 0);
+  }
+
+  function state() {
+    return {
+      queued: queue.length,
+      running,
+      waitMs: queue.length ? msUntilSlot() : 0,
+      usedToday: usedToday(),
+      perDay,
     };
+  }
 
-    stockCache.quote[symbol] = quote;
-    stockCache.timestamp[symbol] = now;
+  function notify() {
+    const snapshot = state();
+    listeners.forEach(fn => fn(snapshot));
+  }
 
-    return quote;
-  } catch (err) {
-    console.warn("Stock quote error:", err);
-    return null;
+  async function run(job) {
+    running++;
+    try {
+      job.resolve(await job.task());
+    } catch (err) {
+      if (err.throttled && job.attempts < maxRetries) {
+        // The vendor disagrees with our count: back off for a full minute
+        job.attempts++;
+        pausedUntil = Date.now() + 60000;
+        queue.unshift(job);
+      } else {
+        job.reject(err);
+      }
+    } finally {
+      running--;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (queue.length && !timer) {
+      if (usedToday() >= perDay) {
+        const err = new Error(`${name} daily limit reached (${perDay} requests)`);
+        queue.splice(0).forEach(job => job.reject(err));
+        break;
+      }
+
+      const wait = msUntilSlot();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, wait + 50);
+        break;
+      }
+
+      const job = queue.shift();
+      recent.push(Date.now());
+      recordCall();
+      run(job);
+    }
+    notify();
+  }
+
+  function schedule(key, task) {
+    if (pending.has(key)) return pending.get(key);
+
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject, attempts: 0 });
+    }).finally(() => pending.delete(key));
+
+    pending.set(key, promise);
+    pump();
+    return promise;
   }
+
+  function subscribe(fn) {
+    listeners.push(fn);
+  }
+
+  return { schedule, subscribe, state };
 }
 
+// Free tier: 5 requests / minute, 25 / day
+const ALPHA_LIMITS = { perMinute: 5, perDay: 25 };
+
+const alphaScheduler = createRequestScheduler({
+  name: "Alpha Vantage",
+  perMinute: ALPHA_LIMITS.perMinute,
+  perDay: ALPHA_LIMITS.perDay,
+});
+
 /* ------------------------------------------------------------
-   Fetch 100 days of historical data
-   Computes:
-     - daily log returns
-     - expected daily return
-     - expected annual return
-     - annualized volatility
+   Alpha Vantage answers throttling with HTTP 200 and a "Note"
+   or "Information" message instead of data. Per-minute notes
+   are flagged `throttled` so the scheduler retries them;
+   daily-limit and premium-only messages are not.
 ------------------------------------------------------------ */
-async function fetchHistoricalVolatility(symbol) {
-  const now = Date.now();
-
-  // Cache valid for 10 minutes
-  if (stockCache.history[symbol] && now - stockCache.timestamp[symbol] < 600000) {
-    return stockCache.history[symbol];
+async function alphaJson(url) {
+  const data = await httpJson(url);
+  const message = data["Note"] || data["Information"];
+  if (message) {
+    const err = new Error("Alpha Vantage: " + message);
+    // The free-tier Note names both limits, so the per-minute wording wins
+    err.throttled = /per minute|frequency/i.test(message) ||
+      !/per day|daily|premium/i.test(message);
+    throw err;
   }
+  return data;
+}
 
-  try {
-    const url = `${ALPHA_BASE}?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${symbol}&outputsize=compact&apikey=${ALPHA_KEY}`;
-    const res = await fetch(url);
-    const data = await res.json();
+/* ------------------------------------------------------------
+   Live providers
+------------------------------------------------------------ */
+const alphaVantageProvider = {
+  name: "Alpha Vantage",
 
-    const series = data["Time Series (Daily)"];
-    if (!series) throw new Error("Invalid Alpha history payload");
+  async quote(symbol) {
+    const url = `${ALPHA_BASE}?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`quote:${symbol}`, async () =>
+      parseAlphaQuote(await alphaJson(url))
+    );
+  },
 
-    const dates = Object.keys(series).sort();
-    const closes = dates.map(d => parseFloat(series[d]["5. adjusted close"]));
+  async history(symbol, { full = false } = {}) {
+    const size = full ? "full" : "compact";
+    const url = `${ALPHA_BASE}?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${symbol}&outputsize=${size}&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`history:${size}:${symbol}`, async () =>
+      parseAlphaDailySeries(await alphaJson(url))
+    );
+  },
 
-    const logReturns = [];
-    for (let i = 1; i < closes.length; i++) {
-      logReturns.push(Math.log(closes[i] / closes[i - 1]));
-    }
+  async treasuryYield({ maturity = "3month" } = {}) {
+    const url = `${ALPHA_BASE}?function=TREASURY_YIELD&interval=daily&maturity=${maturity}&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`treasury:${maturity}`, async () =>
+      parseAlphaTreasuryYield(await alphaJson(url))
+    );
+  },
 
-    const n = logReturns.length;
-    const mean = logReturns.reduce((a, b) => a + b, 0) / n;
-    const variance = logReturns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (n - 1);
+  async ohlc(symbol) {
+    const url = `${ALPHA_BASE}?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${symbol}&outputsize=full&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`ohlc:${symbol}`, async () =>
+      parseAlphaDailyOhlc(await alphaJson(url))
+    );
+  },
 
-    const dailyVol = Math.sqrt(variance);
-    const annualVol = dailyVol * Math.sqrt(252);
-    const annualReturn = Math.pow(1 + mean, 252) - 1;
+  async overview(symbol) {
+    const url = `${ALPHA_BASE}?function=OVERVIEW&symbol=${symbol}&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`overview:${symbol}`, async () =>
+      parseAlphaOverview(await alphaJson(url))
+    );
+  },
 
-    const stats = {
-      annualVol,
-      annualReturn,
-      dailyVol,
-      meanDailyReturn: mean
-    };
+  // Coins use Alpha's CRYPTO:BTC form
+  async newsSentiment(ticker, { limit = 50 } = {}) {
+    const url = `${ALPHA_BASE}?function=NEWS_SENTIMENT&tickers=${encodeURIComponent(ticker)}&sort=LATEST&limit=${limit}&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`news:${ticker}`, async () =>
+      parseAlphaNewsSentiment(await alphaJson(url))
+    );
+  },
+
+  async symbolSearch(keywords) {
+    const url = `${ALPHA_BASE}?function=SYMBOL_SEARCH&keywords=${encodeURIComponent(keywords)}&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`search:${keywords.toLowerCase()}`, async () =>
+      parseAlphaSymbolSearch(await alphaJson(url))
+    );
+  },
+
+  async fxRate(from, to) {
+    const url = `${ALPHA_BASE}?function=CURRENCY_EXCHANGE_RATE&from_currency=${from}&to_currency=${to}&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`fxRate:${from}:${to}`, async () =>
+      parseAlphaFxRate(await alphaJson(url))
+    );
+  },
+
+  async fxHistory(from, to, { full = false } = {}) {
+    const size = full ? "full" : "compact";
+    const url = `${ALPHA_BASE}?function=FX_DAILY&from_symbol=${from}&to_symbol=${to}&outputsize=${size}&apikey=${ALPHA_KEY}`;
+    return alphaScheduler.schedule(`fxHistory:${size}:${from}:${to}`, async () =>
+      parseAlphaFxDaily(await alphaJson(url))
+    );
+  },
+};
+
+const coinGeckoProvider = {
+  name: "CoinGecko",
+
+  async history(coinId, { days = 90, vsCurrency = "usd" } = {}) {
+    const url = `${COINGECKO_BASE}/coins/${coinId}/market_chart?vs_currency=${vsCurrency}&days=${days}&interval=daily`;
+    return parseCoinGeckoChart(await httpJson(url));
+  },
+
+  // No interval: CoinGecko returns hourly prints for up to 90 days
+  async ohlc(coinId, { days = 90, vsCurrency = "usd" } = {}) {
+    const url = `${COINGECKO_BASE}/coins/${coinId}/market_chart?vs_currency=${vsCurrency}&days=${days}`;
+    return parseCoinGeckoOhlc(await httpJson(url));
+  },
+
+  async coinList({ perPage = 50, vsCurrency = "usd" } = {}) {
+    const url = `${COINGECKO_BASE}/coins/markets?vs_currency=${vsCurrency}&order=market_cap_desc&per_page=${perPage}&page=1&sparkline=false`;
+    return parseCoinList(await httpJson(url));
+  },
+
+  async coinPrices(ids, { vsCurrency = "usd" } = {}) {
+    const url = `${COINGECKO_BASE}/simple/price?ids=${ids.join(",")}&vs_currencies=${vsCurrency}&include_24hr_change=true`;
+    return httpJson(url);
+  },
+};
+
+const newsApiProvider = {
+  name: "NewsAPI",
+
+  async news({ pageSize = 6 } = {}) {
+    const url = `${NEWS_API_BASE}/top-headlines?category=business&language=en&pageSize=${pageSize}&apikey=${NEWS_API_KEY}`;
+    return parseNewsArticles(await httpJson(url));
+  },
+};
+
+/* ------------------------------------------------------------
+   Offline fixture providers: the same vendor payloads, recorded
+   to JSON files under FIXTURE_BASE (see fixtures/README.md),
+   run through the same parsers. CoinGecko was recorded in USD
+   only, so other vs_currency values are derived through the FX
+   fixtures.
+------------------------------------------------------------ */
+function createFixtureProviders(base = FIXTURE_BASE) {
+  const fxFile = (from, to, kind) => `${base}/fx/${from}_${to}.${kind}.json`;
+  const usdRate = async vs =>
+    vs === "usd" ? 1 : parseAlphaFxRate(await httpJson(fxFile("USD", vs.toUpperCase(), "rate"))).rate;
+
+  return {
+    stocks: {
+      name: "Fixtures",
+      async quote(symbol) {
+        return parseAlphaQuote(await httpJson(`${base}/stocks/${symbol}.quote.json`));
+      },
+      async history(symbol, { full = false } = {}) {
+        const series = parseAlphaDailySeries(
+          await httpJson(`${base}/stocks/${symbol}.daily.json`)
+        );
+        return full ? series : tailSeries(series, 100); // compact = last 100 bars
+      },
+      async treasuryYield({ maturity = "3month" } = {}) {
+        return parseAlphaTreasuryYield(
+          await httpJson(`${base}/rates/treasury_yield.${maturity}.json`)
+        );
+      },
+      async ohlc(symbol) {
+        return parseAlphaDailyOhlc(await httpJson(`${base}/stocks/${symbol}.daily.json`));
+      },
+      async overview(symbol) {
+        return parseAlphaOverview(await httpJson(`${base}/stocks/${symbol}.overview.json`));
+      },
+      async newsSentiment(ticker, { limit = 50 } = {}) {
+        const articles = parseAlphaNewsSentiment(await httpJson(`${base}/news/news_sentiment.json`));
+        return articles.filter(a => a.tickers.some(t => t.ticker === ticker)).slice(0, limit);
+      },
+      // One recorded answer, narrowed to the keywords like the live search would
+      async symbolSearch(keywords) {
+        const listings = parseAlphaSymbolSearch(await httpJson(`${base}/stocks/symbol_search.json`));
+        const q = keywords.toUpperCase();
+        return listings.filter(s => s.symbol.toUpperCase().includes(q) || s.name.toUpperCase().includes(q));
+      },
+      async fxRate(from, to) {
+        return parseAlphaFxRate(await httpJson(fxFile(from, to, "rate")));
+      },
+      async fxHistory(from, to, { full = false } = {}) {
+        const series = parseAlphaFxDaily(await httpJson(fxFile(from, to, "daily")));
+        return full ? series : tailSeries(series, 100);
+      },
+    },
+    crypto: {
+      name: "Fixtures",
+      async history(coinId, { days = 90, vsCurrency = "usd" } = {}) {
+        let series = parseCoinGeckoChart(
+          await httpJson(`${base}/crypto/${coinId}.market_chart.json`)
+        );
+        if (vsCurrency !== "usd") {
+          const fx = parseAlphaFxDaily(await httpJson(fxFile("USD", vsCurrency.toUpperCase(), "daily")));
+          series = convertSeries(series, fx);
+        }
+        return tailSeries(series, days + 1);
+      },
+      async ohlc(coinId, { days = 90, vsCurrency = "usd" } = {}) {
+        let bars = parseCoinGeckoOhlc(await httpJson(`${base}/crypto/${coinId}.market_chart.json`));
+        if (vsCurrency !== "usd") {
+          bars = convertOhlc(bars, parseAlphaFxDaily(await httpJson(fxFile("USD", vsCurrency.toUpperCase(), "daily"))));
+        }
+        const from = Math.max(bars.dates.length - days - 1, 0);
+        Object.keys(bars).forEach(k => (bars[k] = bars[k].slice(from)));
+        return bars;
+      },
+      async coinList({ perPage = 50, vsCurrency = "usd" } = {}) {
+        const rate = await usdRate(vsCurrency);
+        return parseCoinList(await httpJson(`${base}/crypto/markets.json`))
+          .slice(0, perPage)
+          .map(c => ({ ...c, current_price: c.current_price * rate }));
+      },
+      async coinPrices(ids, { vsCurrency = "usd" } = {}) {
+        const all = await httpJson(`${base}/crypto/simple_price.json`);
+        const rate = await usdRate(vsCurrency);
+        const picked = {};
+        ids.forEach((id) => {
+          if (!all[id]) return;
+          picked[id] = {
+            [vsCurrency]: all[id].usd * rate,
+            [`${vsCurrency}_24h_change`]: all[id].usd_24h_change,
+          };
+        });
+        return picked;
+      },
+    },
+    news: {
+      name: "Fixtures",
+      async news({ pageSize = 6 } = {}) {
+        return parseNewsArticles(await httpJson(`${base}/news/top-headlines.json`)).slice(
+          0,
+          pageSize
+        );
+      },
+    },
+  };
+}
 
-    stockCache.history[symbol] = stats;
-    stockCache.timestamp[symbol] = now;
+const dataProviders = {
+  stocks: alphaVantageProvider,
+  crypto: coinGeckoProvider,
+  news: newsApiProvider,
+};
 
-    return stats;
+/* ------------------------------------------------------------
+   "live" (vendor APIs) or "fixtures" (offline recordings).
+   Chosen by ?data=fixtures in the URL, else the saved choice.
+------------------------------------------------------------ */
+function currentDataSource() {
+  const fromUrl = new URLSearchParams(window.location.search).get("data");
+  if (fromUrl === "live" || fromUrl === "fixtures") return fromUrl;
+  try {
+    return localStorage.getItem(DATA_SOURCE_KEY) === "fixtures" ? "fixtures" : "live";
   } catch (err) {
-    console.warn("Volatility fetch error:", err);
-    return { annualVol: 0.20, annualReturn: 0.08 }; // safe fallback
+    return "live";
+  }
+}
+
+function useDataSource(source) {
+  if (source === "fixtures") {
+    Object.assign(dataProviders, createFixtureProviders());
+  } else {
+    Object.assign(dataProviders, {
+      stocks: alphaVantageProvider,
+      crypto: coinGeckoProvider,
+      news: newsApiProvider,
+    });
   }
 }
 
 /* ============================================================
-   COINGECKO CRYPTO HISTORICAL DATA ENGINE
+   MARKET DATA CACHE (localStorage, per-dataset TTLs)
+   ============================================================
+
+   One cache for every provider call, so a fresh quote never
+   makes stale history look valid (and vice versa) and nothing
+   is re-downloaded on reload – Alpha Vantage allows only
+   5 requests / minute on the free tier.
+
+   Entries live under  investiq:cache:<source>:<dataset>:<key>
+   as { value, storedAt }. Past its TTL an entry is still
+   served while a background refresh runs (stale-while-
+   revalidate); past MAX_STALE_MS it is treated as missing.
    ============================================================ */
 
-const cryptoCache = {
-  history: {},
-  timestamp: {}
+const CACHE_PREFIX = "investiq:cache:";
+const CACHE_TTLS = {
+  quote: 60 * 1000,
+  // Daily bars only gain a row per trading day
+  history: 12 * 60 * 60 * 1000,
+  cryptoHistory: 10 * 60 * 1000,
+  coinList: 5 * 60 * 1000,
+  coinPrices: 60 * 1000,
+  news: 15 * 60 * 1000,
+  newsSentiment: 60 * 60 * 1000,
+  treasuryYield: 12 * 60 * 60 * 1000,
+  symbolSearch: 24 * 60 * 60 * 1000,
+  overview: 24 * 60 * 60 * 1000,
+  ohlc: 12 * 60 * 60 * 1000,
+  cryptoOhlc: 10 * 60 * 1000,
+  fxRate: 60 * 60 * 1000,
+  fxHistory: 12 * 60 * 60 * 1000,
+  fullFxHistory: 24 * 60 * 60 * 1000,
 };
+const MAX_STALE_MS = 7 * 24 * 60 * 60 * 1000;
 
-/* ------------------------------------------------------------
-   Fetch crypto historical data from CoinGecko
-   Gets 90 days of price data and calculates:
-     - daily returns
-     - annualized volatility
-     - expected annual return
------------------------------------------------------------- */
-async function fetchCryptoHistoricalData(coinId) {
-  const now = Date.now();
+// In-memory mirror of localStorage entries + requests in flight
+const cacheMemory = new Map();
+const cacheInflight = new Map();
+
+function cacheKey(dataset, key) {
+  return `${CACHE_PREFIX}${currentDataSource()}:${dataset}:${key}`;
+}
 
-  // Cache valid for 10 minutes
-  if (cryptoCache.history[coinId] && now - cryptoCache.timestamp[coinId] < 600000) {
-    return cryptoCache.history[coinId];
+function readCacheEntry(fullKey) {
+  if (cacheMemory.has(fullKey)) return cacheMemory.get(fullKey);
+  try {
+    const raw = localStorage.getItem(fullKey);
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    cacheMemory.set(fullKey, entry);
+    return entry;
+  } catch (err) {
+    return null;
   }
+}
 
+// Oldest-first keys of our own entries (for eviction when storage is full)
+function cacheStorageKeys() {
+  const keys = [];
   try {
-    // Fetch 90 days of historical prices
-    const url = `https://api.coingecko.com/api/v3/coins/${coinId}/market_chart?vs_currency=usd&days=90&interval=daily`;
-    const res = await fetch(url);
-    
-    if (!res.ok) throw new Error("CoinGecko HTTP " + res.status);
-    
-    const data = await res.json();
-    
-    if (!data.prices || data.prices.length < 2) {
-      throw new Error("Insufficient price data");
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k && k.startsWith(CACHE_PREFIX)) keys.push(k);
     }
+  } catch (err) {
+    return [];
+  }
+  return keys.sort((a, b) => (readCacheEntry(a)?.storedAt ?? 0) - (readCacheEntry(b)?.storedAt ?? 0));
+}
 
-    // Extract closing prices
-    const prices = data.prices.map(p => p[1]);
+function writeCacheEntry(fullKey, value) {
+  const entry = { value, storedAt: Date.now() };
+  cacheMemory.set(fullKey, entry);
 
-    // Calculate log returns
-    const logReturns = [];
-    for (let i = 1; i < prices.length; i++) {
-      logReturns.push(Math.log(prices[i] / prices[i - 1]));
+  const raw = JSON.stringify(entry);
+  const evictable = cacheStorageKeys().filter(k => k !== fullKey);
+  for (;;) {
+    try {
+      localStorage.setItem(fullKey, raw);
+      return;
+    } catch (err) {
+      // Storage full: drop our oldest entry and retry; keep memory-only if nothing is left
+      const oldest = evictable.shift();
+      if (!oldest) return;
+      localStorage.removeItem(oldest);
+      cacheMemory.delete(oldest);
     }
+  }
+}
 
-    const n = logReturns.length;
-    const mean = logReturns.reduce((a, b) => a + b, 0) / n;
-    const variance = logReturns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (n - 1);
+function revalidate(fullKey, loader) {
+  if (cacheInflight.has(fullKey)) return cacheInflight.get(fullKey);
 
-    const dailyVol = Math.sqrt(variance);
-    const annualVol = dailyVol * Math.sqrt(365); // Crypto trades 365 days
-    const annualReturn = Math.pow(1 + mean, 365) - 1;
+  const request = Promise.resolve()
+    .then(loader)
+    .then((value) => {
+      writeCacheEntry(fullKey, value);
+      return value;
+    })
+    .finally(() => cacheInflight.delete(fullKey));
 
-    const stats = {
-      annualVol,
-      annualReturn,
-      dailyVol,
-      meanDailyReturn: mean
-    };
+  cacheInflight.set(fullKey, request);
+  return request;
+}
 
-    cryptoCache.history[coinId] = stats;
-    cryptoCache.timestamp[coinId] = now;
+/* ------------------------------------------------------------
+   Return the cached value for dataset/key, calling `loader`
+   when it is missing or expired. Concurrent callers share one
+   request. Throws only when there is nothing to serve.
+------------------------------------------------------------ */
+async function cachedFetch(dataset, key, loader) {
+  const fullKey = cacheKey(dataset, key);
+  const entry = readCacheEntry(fullKey);
+  const age = entry ? Date.now() - entry.storedAt : Infinity;
 
-    return stats;
-  } catch (err) {
-    console.warn(`Crypto historical data error for ${coinId}:`, err);
-    // Fallback to reasonable crypto estimates
-    return { annualVol: 0.75, annualReturn: 0.45 };
+  if (age < CACHE_TTLS[dataset]) return entry.value;
+
+  if (age < MAX_STALE_MS) {
+    revalidate(fullKey, loader).catch((err) =>
+      console.warn(`Cache refresh failed for ${dataset}:${key}`, err)
+    );
+    return entry.value;
   }
+
+  return revalidate(fullKey, loader);
 }
 
-// GLOBAL PAGE NAV
-function scrollToTop() {
-  window.scrollTo({ top: 0, behavior: "smooth" });
+function clearMarketCache() {
+  cacheStorageKeys().forEach(k => localStorage.removeItem(k));
+  cacheMemory.clear();
 }
 
-function showPage(id) {
-  document.querySelectorAll(".page").forEach((p) => p.classList.remove("active"));
-  const target = document.getElementById(id);
-  if (target) target.classList.add("active");
-  scrollToTop();
+/* ------------------------------------------------------------
+   Summary statistics of a { dates, closes } series:
+     - daily log returns
+     - expected daily return
+     - expected annual return
+     - annualized volatility
+   Keeps the dated close series so the risk model can align
+   it against other assets (see buildRiskModel)
+------------------------------------------------------------ */
+function historyStats({ dates, closes }, periodsPerYear) {
+  const logReturns = [];
+  for (let i = 1; i < closes.length; i++) {
+    logReturns.push(Math.log(closes[i] / closes[i - 1]));
+  }
+
+  const n = logReturns.length;
+  const mean = logReturns.reduce((a, b) => a + b, 0) / n;
+  const variance = logReturns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (n - 1);
+
+  const dailyVol = Math.sqrt(variance);
+  const annualVol = dailyVol * Math.sqrt(periodsPerYear);
+  const annualReturn = Math.pow(1 + mean, periodsPerYear) - 1;
+
+  return {
+    annualVol,
+    annualReturn,
+    dailyVol,
+    meanDailyReturn: mean,
+    dates,
+    closes,
+    logReturns
+  };
 }
 
 /* ============================================================
-   STOCK BADGE UI (inside portfolio page)
+   BASE CURRENCY + FX
+   ============================================================
+
+   Stocks are US listings priced in LISTING_CURRENCY; coins come
+   straight from CoinGecko in the base currency (vs_currency).
+   Stock quotes are converted at the spot rate and stock history
+   through the daily FX series, so returns and volatility of a
+   foreign asset include its currency risk. Without a rate, stock
+   amounts stay in LISTING_CURRENCY (and say so) rather than
+   borrowing the base currency's symbol. The choice is saved
+   under BASE_CURRENCY_KEY; changing it reloads the page, like
+   the data source toggle.
    ============================================================ */
-function ensureStockBadge() {
-  let badge = document.getElementById("live-stock-badge");
-  if (badge) {
-    badge.classList.remove("hidden");
-    return badge;
+
+const BASE_CURRENCY_KEY = "investiq:base-currency";
+const LISTING_CURRENCY = "USD";
+const BASE_CURRENCIES = {
+  USD: "US dollar",
+  EUR: "Euro",
+  GBP: "British pound",
+  INR: "Indian rupee",
+};
+
+function readBaseCurrency() {
+  try {
+    const saved = localStorage.getItem(BASE_CURRENCY_KEY);
+    return BASE_CURRENCIES[saved] ? saved : LISTING_CURRENCY;
+  } catch (err) {
+    return LISTING_CURRENCY;
   }
-  return null;
 }
 
-function renderStockBadge(symbol, quote, stats) {
-  const badge = ensureStockBadge();
-  if (!badge) return;
+let baseCurrency = readBaseCurrency();
+
+// Latest LISTING_CURRENCY → baseCurrency spot { rate, date }, null until loaded or if unavailable
+let listingFx = null;
+
+function formatMoney(value, digits = 2, currency = baseCurrency) {
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(value);
+}
 
-  const price = quote?.price ?? 0;
-  const chg = quote?.change ?? 0;
-  const vol = stats?.annualVol ?? 0;
-  const er = stats?.annualReturn ?? 0;
+function formatSignedMoney(value, currency = baseCurrency) {
+  return (value > 0 ? "+" : "") + formatMoney(value, 2, currency);
+}
 
-  const badgeSymbol = document.getElementById("badge-symbol");
-  const badgePrice = document.getElementById("badge-price");
-  const badgeChange = document.getElementById("badge-change");
-  const badgeVol = document.getElementById("badge-vol");
-  const badgeRet = document.getElementById("badge-ret");
+function currencySymbol(currency = baseCurrency) {
+  const part = new Intl.NumberFormat(undefined, { style: "currency", currency })
+    .formatToParts(0)
+    .find(p => p.type === "currency");
+  return part ? part.value : currency;
+}
 
-  if (badgeSymbol) badgeSymbol.textContent = symbol;
-  if (badgePrice) badgePrice.textContent = `$${price.toFixed(2)}`;
-  if (badgeChange) {
-    badgeChange.textContent = `${chg >= 0 ? '+' : ''}${chg.toFixed(2)}%`;
-    badgeChange.className = `badge-change ${chg >= 0 ? 'positive' : 'negative'}`;
+async function loadFxRate(from, to) {
+  try {
+    const latest = await cachedFetch("fxRate", `${from}_${to}`, () =>
+      dataProviders.stocks.fxRate(from, to)
+    );
+    if (from === LISTING_CURRENCY && to === baseCurrency) listingFx = latest;
+    return latest.rate;
+  } catch (err) {
+    console.warn(`FX rate ${from}→${to} unavailable`, err);
+    return null;
   }
-  if (badgeVol) badgeVol.textContent = `${(vol * 100).toFixed(1)}%`;
-  if (badgeRet) badgeRet.textContent = `${(er * 100).toFixed(1)}%`;
 }
 
-// NAVBAR & HERO 3D EFFECT
-window.addEventListener("scroll", () => {
-  const navbar = document.getElementById("navbar");
-  if (navbar) {
-    if (window.scrollY > 60) navbar.classList.add("scrolled");
-    else navbar.classList.remove("scrolled");
+/* ------------------------------------------------------------
+   Spot rate: 1 `from` = rate `to`, or null when no rate can be
+   loaded – callers then show amounts in their own currency.
+   Pairs without a direct quote (the fixtures only hold
+   USD_<CUR>) are crossed through LISTING_CURRENCY.
+------------------------------------------------------------ */
+async function fetchFxRate(from = LISTING_CURRENCY, to = baseCurrency) {
+  if (from === to) return 1;
+  const direct = await loadFxRate(from, to);
+  if (direct != null || from === LISTING_CURRENCY) return direct;
+  const [fromRate, toRate] = await Promise.all([
+    loadFxRate(LISTING_CURRENCY, from),
+    fetchFxRate(LISTING_CURRENCY, to),
+  ]);
+  return fromRate > 0 && toRate != null ? toRate / fromRate : null;
+}
+
+async function fetchFxHistory({ full = false } = {}) {
+  const pair = `${LISTING_CURRENCY}_${baseCurrency}`;
+  try {
+    return await cachedFetch(full ? "fullFxHistory" : "fxHistory", pair, () =>
+      dataProviders.stocks.fxHistory(LISTING_CURRENCY, baseCurrency, { full })
+    );
+  } catch (err) {
+    console.warn(`FX history ${pair} unavailable`, err);
+    return null;
   }
+}
 
-  const heroInner = document.querySelector(".hero-inner");
-  if (!heroInner) return;
-  const rect = heroInner.getBoundingClientRect();
-  const center = window.innerHeight / 2;
-  const offset = (rect.top + rect.height / 2 - center) / window.innerHeight;
-  const copy = document.querySelector(".hero-copy");
-  const vis = document.querySelector(".hero-visual");
-  const tilt = offset * 18;
-  if (copy) copy.style.transform = `rotateY(${tilt * 0.5}deg)`;
-  if (vis) vis.style.transform = `rotateY(${tilt * -0.5}deg)`;
-});
+/* ------------------------------------------------------------
+   A LISTING_CURRENCY price series in the base currency. Without
+   FX history the whole series is scaled by the spot rate, which
+   keeps the levels right but leaves currency risk out. Without
+   any rate it stays in LISTING_CURRENCY; only its returns are
+   read, and those don't depend on a constant rate.
+------------------------------------------------------------ */
+async function toBaseSeries(series, { full = false } = {}) {
+  if (!series || baseCurrency === LISTING_CURRENCY) return series;
+  const fx = await fetchFxHistory({ full });
+  if (fx && fx.dates.length) {
+    const converted = convertSeries(series, fx);
+    if (converted.dates.length >= 2) return converted;
+  }
+  const rate = await fetchFxRate();
+  if (rate == null) return series;
+  return { dates: series.dates, closes: series.closes.map(c => c * rate) };
+}
 
-// THREE.JS BACKGROUND
-function initThreeBackground() {
-  const canvas = document.getElementById("bg-canvas");
-  if (!canvas || typeof THREE === "undefined") return;
+// CoinGecko simple-price entry → { price, change } in the base currency
+function coinQuote(entry) {
+  const vs = baseCurrency.toLowerCase();
+  if (!entry || !Number.isFinite(entry[vs])) return null;
+  return { price: entry[vs], change: entry[`${vs}_24h_change`] || 0 };
+}
 
-  const scene = new THREE.Scene();
-  const camera = new THREE.PerspectiveCamera(
-    60,
-    window.innerWidth / window.innerHeight,
-    0.1,
-    1000
-  );
-  const renderer = new THREE.WebGLRenderer({
-    canvas,
-    alpha: true,
-    antialias: true,
-  });
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  camera.position.set(0, 0, 6);
-
-  const geo = new THREE.IcosahedronGeometry(2.3, 1);
-  const mat = new THREE.MeshBasicMaterial({
-    color: 0x2d6a4f,
-    wireframe: true,
-    transparent: true,
-    opacity: 0.18,
+function renderCurrencyLabels() {
+  document.querySelectorAll(".currency-symbol").forEach((el) => {
+    el.textContent = currencySymbol();
   });
-  const ico = new THREE.Mesh(geo, mat);
-  scene.add(ico);
-
-  const pGeo = new THREE.BufferGeometry();
-  const pCount = 1200;
-  const pos = new Float32Array(pCount * 3);
-  for (let i = 0; i < pCount * 3; i++) {
-    pos[i] = (Math.random() - 0.5) * 60;
+  const note = document.getElementById("fx-note");
+  if (!note) return;
+  if (baseCurrency === LISTING_CURRENCY) {
+    note.textContent = "";
+  } else if (listingFx) {
+    note.textContent = `1 ${LISTING_CURRENCY} = ${listingFx.rate.toFixed(4)} ${baseCurrency} (${String(listingFx.date).slice(0, 10)})`;
+  } else {
+    note.textContent = `No ${LISTING_CURRENCY}/${baseCurrency} rate yet – stock amounts shown in ${LISTING_CURRENCY}`;
   }
-  pGeo.setAttribute("position", new THREE.BufferAttribute(pos, 3));
-  const pMat = new THREE.PointsMaterial({
-    size: 0.05,
-    color: 0xd4af37,
-    transparent: true,
-    opacity: 0.6,
-  });
-  const points = new THREE.Points(pGeo, pMat);
-  scene.add(points);
+}
 
-  function animate() {
-    requestAnimationFrame(animate);
-    const scrollFactor = window.scrollY / (window.innerHeight * 2);
-    ico.rotation.x += 0.002 + scrollFactor * 0.004;
-    ico.rotation.y += 0.003 + scrollFactor * 0.004;
-    points.rotation.y += 0.0007;
-    renderer.render(scene, camera);
+function initBaseCurrency() {
+  const select = document.getElementById("base-currency-select");
+  if (select) {
+    select.innerHTML = "";
+    Object.entries(BASE_CURRENCIES).forEach(([code, name]) => {
+      const opt = document.createElement("option");
+      opt.value = code;
+      opt.textContent = `${code} – ${name}`;
+      select.appendChild(opt);
+    });
+    select.value = baseCurrency;
+    select.addEventListener("change", () => {
+      try {
+        localStorage.setItem(BASE_CURRENCY_KEY, select.value);
+      } catch (err) {
+        console.warn("Could not save base currency", err);
+      }
+      window.location.reload();
+    });
   }
 
-  animate();
-
-  window.addEventListener("resize", () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-  });
+  renderCurrencyLabels();
+  fetchFxRate().then(renderCurrencyLabels);
 }
 
-// PORTFOLIO DATA & SLIDERS
-const allocations = {
-  stocks: 40,
-  reits: 20,
-  bonds: 30,
-  crypto: 10,
-};
+/* ============================================================
+   ALPHA VANTAGE LIVE STOCK ENGINE
+   ============================================================ */
 
-const expectedReturns = {
-  stocks: 10.5,
-  reits: 8.0,
-  bonds: 3.5,
-  crypto: 45.0,
-};
+/* ------------------------------------------------------------
+   Fetch real-time stock quote (price + daily change), with
+   the price converted to the base currency; `currency` says
+   which one it ended up in (LISTING_CURRENCY without a rate)
+   Endpoint: GLOBAL_QUOTE
+------------------------------------------------------------ */
+async function fetchStockQuote(symbol) {
+  try {
+    const quote = await cachedFetch("quote", symbol, () => dataProviders.stocks.quote(symbol));
+    const rate = await fetchFxRate();
+    if (rate == null) return { ...quote, currency: LISTING_CURRENCY };
+    return { ...quote, price: quote.price * rate, rawChange: quote.rawChange * rate, currency: baseCurrency };
+  } catch (err) {
+    console.warn("Stock quote error:", err);
+    return null;
+  }
+}
 
-const volatilities = {
-  stocks: 15,
-  reits: 12,
-  bonds: 5,
-  crypto: 75,
-};
+/* ------------------------------------------------------------
+   Fetch 100 days of historical data and compute its
+   return / volatility stats (see historyStats)
+------------------------------------------------------------ */
+async function fetchHistoricalVolatility(symbol, fallback = { annualVol: 0.20, annualReturn: 0.08 }) {
+  try {
+    const history = await cachedFetch("history", symbol, () =>
+      dataProviders.stocks.history(symbol, { full: false })
+    );
+    return historyStats(await toBaseSeries(history), 252);
+  } catch (err) {
+    console.warn("Volatility fetch error:", err);
+    return { annualVol: fallback.annualVol, annualReturn: fallback.annualReturn }; // safe fallback
+  }
+}
 
-const STOCK_LIST = [
-  { symbol: "AAPL", name: "Apple Inc." },
-  { symbol: "MSFT", name: "Microsoft Corporation" },
-  { symbol: "GOOGL", name: "Alphabet Inc. (Class A)" },
-  { symbol: "AMZN", name: "Amazon.com Inc." },
-  { symbol: "META", name: "Meta Platforms Inc." },
-  { symbol: "TSLA", name: "Tesla Inc." },
-  { symbol: "NVDA", name: "NVIDIA Corporation" },
-  { symbol: "BRK.B", name: "Berkshire Hathaway Inc. (Class B)" },
-  { symbol: "JPM", name: "JPMorgan Chase & Co." },
-  { symbol: "V", name: "Visa Inc." },
-  { symbol: "UNH", name: "UnitedHealth Group Inc." },
-  { symbol: "XOM", name: "Exxon Mobil Corporation" },
-  { symbol: "PG", name: "Procter & Gamble Co." },
-  { symbol: "JNJ", name: "Johnson & Johnson" },
-  { symbol: "HD", name: "Home Depot Inc." },
-  { symbol: "BAC", name: "Bank of America Corporation" },
-  { symbol: "KO", name: "Coca-Cola Company" },
-  { symbol: "PEP", name: "PepsiCo Inc." },
-  { symbol: "NFLX", name: "Netflix Inc." },
-  { symbol: "DIS", name: "Walt Disney Company" },
-  { symbol: "ADBE", name: "Adobe Inc." },
-  { symbol: "INTC", name: "Intel Corporation" },
-  { symbol: "CSCO", name: "Cisco Systems Inc." },
-  { symbol: "WMT", name: "Walmart Inc." },
-  { symbol: "NKE", name: "Nike Inc." },
-  { symbol: "MCD", name: "McDonald's Corporation" },
-  { symbol: "PFE", name: "Pfizer Inc." },
-  { symbol: "T", name: "AT&T Inc." },
-  { symbol: "ORCL", name: "Oracle Corporation" },
-  { symbol: "CRM", name: "Salesforce Inc." },
-  { symbol: "BABA", name: "Alibaba Group Holding Ltd." },
-  { symbol: "TSM", name: "Taiwan Semiconductor Mfg." },
-  { symbol: "SHOP", name: "Shopify Inc." },
-  { symbol: "SQ", name: "Block Inc." },
-  { symbol: "SPY", name: "SPDR S&P 500 ETF Trust" },
-  { symbol: "QQQ", name: "Invesco QQQ Trust" },
-];
+// Company fundamentals in the listing currency (see parseAlphaOverview), or null
+async function fetchCompanyOverview(symbol) {
+  try {
+    return await cachedFetch("overview", symbol, () => dataProviders.stocks.overview(symbol));
+  } catch (err) {
+    console.warn(`Overview fetch error for ${symbol}:`, err);
+    return null;
+  }
+}
 
-let allocationChart,
-  growthChart,
-  correlationChart,
-  volatilityChart,
-  riskReturnChart,
-  monteCarloChart,
-  strategyChart;
+/* ------------------------------------------------------------
+   Fetch the full daily adjusted close history (20+ years)
+   Endpoint: TIME_SERIES_DAILY_ADJUSTED (outputsize=full), read
+   from the symbol view's "ohlc" entry so one download serves both
+   Returns { dates, closes } in the base currency or null –
+   used by the backtest
+------------------------------------------------------------ */
+async function fetchStockPriceHistory(symbol) {
+  try {
+    const bars = await cachedFetch("ohlc", symbol, () => dataProviders.stocks.ohlc(symbol));
+    return await toBaseSeries({ dates: bars.dates, closes: bars.close }, { full: true });
+  } catch (err) {
+    console.warn(`Price history error for ${symbol}:`, err);
+    return null;
+  }
+}
 
-const chartColors = {
-  stocks: "#52b788",
-  reits: "#40916c",
-  bonds: "#74c69d",
-  crypto: "#d4af37",
-};
+/* ============================================================
+   COINGECKO CRYPTO HISTORICAL DATA ENGINE
+   ============================================================ */
 
-function ensureChart(ctx, type, config) {
-  if (!ctx || typeof Chart === "undefined") return null;
-  if (ctx._chartInstance) {
-    ctx._chartInstance.config.type = type;
-    ctx._chartInstance.config.data = config.data;
-    ctx._chartInstance.config.options = config.options;
-    ctx._chartInstance.update();
-    return ctx._chartInstance;
-  } else {
-    const chart = new Chart(ctx, { type, data: config.data, options: config.options });
-    ctx._chartInstance = chart;
-    return chart;
+/* ------------------------------------------------------------
+   Fetch crypto historical data from CoinGecko
+   Gets 90 days of daily closes and computes the same stats as
+   stocks, annualised over 365 days (crypto never closes).
+   Prices are keyed by ISO date (last print per day wins) so
+   they line up with Alpha Vantage trading days
+------------------------------------------------------------ */
+async function fetchCryptoHistoricalData(coinId) {
+  try {
+    const vsCurrency = baseCurrency.toLowerCase();
+    const history = await cachedFetch("cryptoHistory", `${coinId}:90:${vsCurrency}`, () =>
+      dataProviders.crypto.history(coinId, { days: 90, vsCurrency })
+    );
+    return historyStats(history, 365);
+  } catch (err) {
+    console.warn(`Crypto historical data error for ${coinId}:`, err);
+    // Fallback to reasonable crypto estimates
+    return { annualVol: 0.75, annualReturn: 0.45 };
   }
 }
 
-function updateAllocationDisplays() {
-  const total =
-    allocations.stocks + allocations.reits + allocations.bonds + allocations.crypto;
-  const totalEl = document.getElementById("total-allocation");
-  if (totalEl) {
-    totalEl.textContent = `${total}%`;
-    totalEl.style.color = total === 100 ? "var(--gold)" : "var(--warning)";
-  }
+// The public market_chart endpoint rejects longer windows
+const COINGECKO_MAX_DAYS = 365;
 
-  const ids = ["stocks", "reits", "bonds", "crypto"];
-  ids.forEach((k) => {
-    const el = document.getElementById(`${k}-value`);
-    if (el) el.textContent = allocations[k];
-  });
+/* ------------------------------------------------------------
+   Fetch `days` of daily CoinGecko closes, one per calendar day,
+   capped at COINGECKO_MAX_DAYS
+   Returns { dates, closes } or null – used by the backtest
+------------------------------------------------------------ */
+async function fetchCryptoPriceHistory(coinId, days) {
+  try {
+    days = Math.min(days, COINGECKO_MAX_DAYS);
+    const vsCurrency = baseCurrency.toLowerCase();
+    return await cachedFetch("cryptoHistory", `${coinId}:${days}:${vsCurrency}`, () =>
+      dataProviders.crypto.history(coinId, { days, vsCurrency })
+    );
+  } catch (err) {
+    console.warn(`Crypto price history error for ${coinId}:`, err);
+    return null;
+  }
+}
 
-  calculatePortfolioMetrics();
+/* ------------------------------------------------------------
+   Daily bars for the symbol detail view, in the base currency
+   (or LISTING_CURRENCY, flagged as `currency`, without a rate):
+   full Alpha history for stocks, 90 days of CoinGecko hourly
+   prints rolled up to days for coins. null when unavailable.
+------------------------------------------------------------ */
+async function fetchSymbolOhlc(assetClass, id) {
+  try {
+    if (assetClass === "crypto") {
+      const vsCurrency = baseCurrency.toLowerCase();
+      return await cachedFetch("cryptoOhlc", `${id}:${vsCurrency}`, () =>
+        dataProviders.crypto.ohlc(id, { days: 90, vsCurrency })
+      );
+    }
+    const bars = await cachedFetch("ohlc", id, () => dataProviders.stocks.ohlc(id));
+    if (baseCurrency === LISTING_CURRENCY) return bars;
+    const fx = await fetchFxHistory({ full: true });
+    if (fx && fx.dates.length) return convertOhlc(bars, fx);
+    const rate = await fetchFxRate();
+    if (rate == null) return { ...bars, currency: LISTING_CURRENCY };
+    return convertOhlc(bars, { dates: [bars.dates[0]], closes: [rate] });
+  } catch (err) {
+    console.warn(`OHLC data error for ${id}:`, err);
+    return null;
+  }
 }
 
 /* ============================================================
-   LIVE PORTFOLIO METRICS (REAL STOCK DATA)
+   RISK MODEL (COVARIANCE + CORRELATION)
    ============================================================ */
-async function calculatePortfolioMetrics() {
-  const stockSelect = document.getElementById("stock-select");
-  const cryptoSelect = document.getElementById("crypto-select");
 
-  const selectedStocks = stockSelect
-    ? Array.from(stockSelect.selectedOptions).map(o => o.value)
-    : [];
+/* ------------------------------------------------------------
+   Fallback correlations between asset classes, used only for
+   pairs where at least one side has no price history
+------------------------------------------------------------ */
+const CLASS_CORRELATIONS = {
+  stocks: { stocks: 1.0, reits: 0.7, bonds: 0.3, crypto: 0.4 },
+  reits: { stocks: 0.7, reits: 1.0, bonds: 0.4, crypto: 0.5 },
+  bonds: { stocks: 0.3, reits: 0.4, bonds: 1.0, crypto: 0.1 },
+  crypto: { stocks: 0.4, reits: 0.5, bonds: 0.1, crypto: 1.0 },
+};
 
-  const selectedCryptos = cryptoSelect
-    ? Array.from(cryptoSelect.selectedOptions).map(o => o.value)
-    : [];
+// Fewer overlapping returns than this and we trust the fallback instead
+const MIN_ALIGNED_RETURNS = 20;
 
-  let expReturn = 0;
-  let variance = 0;
+// Latest model built by calculatePortfolioMetrics (read by the charts)
+let latestRiskModel = null;
 
-  /* ----------------------------------------------------------
-       1. Process STOCKS using Alpha Vantage real metrics
-  ---------------------------------------------------------- */
-  if (selectedStocks.length > 0) {
-    const weight = allocations.stocks / 100 / selectedStocks.length;
+function toIsoDate(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/* ------------------------------------------------------------
+   Keep only the dates every series has a close for.
+   Returns { dates, closes: [[...asset0], [...asset1], ...] }
+------------------------------------------------------------ */
+function alignSeriesByDate(seriesList) {
+  if (!seriesList.length) return { dates: [], closes: [] };
+
+  const lookups = seriesList.map(s => {
+    const map = {};
+    s.dates.forEach((d, i) => {
+      map[d] = s.closes[i];
+    });
+    return map;
+  });
 
-    for (const sym of selectedStocks) {
-      const quote = await fetchStockQuote(sym);
-      const stats = await fetchHistoricalVolatility(sym);
+  const dates = seriesList[0].dates.filter(d =>
+    lookups.every(m => Number.isFinite(m[d]) && m[d] > 0)
+  );
+
+  return {
+    dates,
+    closes: lookups.map(m => dates.map(d => m[d])),
+  };
+}
 
-      // integrate real expected return + real volatility
-      const er = stats.annualReturn * 100;
-      const vol = stats.annualVol * 100;
+// Observed returns per year for a date axis (≈252 for stocks, ≈365 for crypto only)
+function periodsPerYear(dates) {
+  if (dates.length < 2) return 252;
+  const spanDays =
+    (Date.parse(dates[dates.length - 1]) - Date.parse(dates[0])) / 86400000;
+  return spanDays > 0 ? ((dates.length - 1) * 365.25) / spanDays : 252;
+}
 
-      expReturn += weight * er;
-      variance += Math.pow(weight * vol, 2);
+/* ------------------------------------------------------------
+   Sample covariance of equal-length return series
+------------------------------------------------------------ */
+function covarianceMatrix(returnSeries) {
+  const k = returnSeries.length;
+  const n = k ? returnSeries[0].length : 0;
+  const means = returnSeries.map(r => r.reduce((a, b) => a + b, 0) / n);
+
+  const cov = [];
+  for (let i = 0; i < k; i++) {
+    cov.push(new Array(k).fill(0));
+  }
 
-      // update badge with the FIRST stock chosen only
-      if (sym === selectedStocks[0]) {
-        renderStockBadge(sym, quote, stats);
+  for (let i = 0; i < k; i++) {
+    for (let j = i; j < k; j++) {
+      let sum = 0;
+      for (let t = 0; t < n; t++) {
+        sum += (returnSeries[i][t] - means[i]) * (returnSeries[j][t] - means[j]);
       }
+      cov[i][j] = cov[j][i] = n > 1 ? sum / (n - 1) : 0;
     }
-  } else {
-    // fallback for no stock chosen
-    expReturn += (allocations.stocks / 100) * expectedReturns.stocks;
-    variance += Math.pow((allocations.stocks / 100) * volatilities.stocks, 2);
   }
+  return cov;
+}
 
-  /* ----------------------------------------------------------
-       2. Process CRYPTO using CoinGecko real historical data
-  ---------------------------------------------------------- */
-  if (selectedCryptos.length > 0) {
-    const weight = allocations.crypto / 100 / selectedCryptos.length;
-
-    for (const coinId of selectedCryptos) {
-      const stats = await fetchCryptoHistoricalData(coinId);
-
-      const er = stats.annualReturn * 100;
-      const vol = stats.annualVol * 100;
+function correlationFromCovariance(cov) {
+  return cov.map((row, i) =>
+    row.map((c, j) => {
+      const denom = Math.sqrt(cov[i][i] * cov[j][j]);
+      return denom > 0 ? c / denom : i === j ? 1 : 0;
+    })
+  );
+}
 
-      expReturn += weight * er;
-      variance += Math.pow(weight * vol, 2);
+/* ------------------------------------------------------------
+   Build an annualised covariance matrix for a list of assets:
+     { id, label, assetClass, weight, annualReturn, annualVol,
+       series: { dates, closes } | null }
+   Pairs with aligned history use measured covariance; any pair
+   touching an asset without history falls back to
+   CLASS_CORRELATIONS × the two annual vols.
+------------------------------------------------------------ */
+function buildRiskModel(assets) {
+  const k = assets.length;
+  const measuredIdx = assets
+    .map((a, i) => (a.series && a.series.dates && a.series.dates.length ? i : -1))
+    .filter(i => i >= 0);
+
+  let measuredCov = null;
+  let alignedDates = [];
+
+  if (measuredIdx.length) {
+    const aligned = alignSeriesByDate(measuredIdx.map(i => assets[i].series));
+    if (aligned.dates.length - 1 >= MIN_ALIGNED_RETURNS) {
+      const returns = aligned.closes.map(closes => {
+        const r = [];
+        for (let t = 1; t < closes.length; t++) {
+          r.push(Math.log(closes[t] / closes[t - 1]));
+        }
+        return r;
+      });
+      const scale = periodsPerYear(aligned.dates);
+      measuredCov = covarianceMatrix(returns).map(row => row.map(c => c * scale));
+      alignedDates = aligned.dates;
     }
-  } else {
-    expReturn += (allocations.crypto / 100) * expectedReturns.crypto;
-    variance += Math.pow((allocations.crypto / 100) * volatilities.crypto, 2);
   }
 
-  /* ----------------------------------------------------------
-       3. Process REITS + BONDS (static for now - could add ETF data)
-  ---------------------------------------------------------- */
-  expReturn += (allocations.reits / 100) * expectedReturns.reits;
-  variance += Math.pow((allocations.reits / 100) * volatilities.reits, 2);
+  const slot = {};
+  if (measuredCov) measuredIdx.forEach((assetIdx, m) => (slot[assetIdx] = m));
 
-  expReturn += (allocations.bonds / 100) * expectedReturns.bonds;
-  variance += Math.pow((allocations.bonds / 100) * volatilities.bonds, 2);
+  const cov = [];
+  const measured = [];
+  for (let i = 0; i < k; i++) {
+    cov.push(new Array(k).fill(0));
+    measured.push(new Array(k).fill(false));
+  }
 
-  /* ----------------------------------------------------------
-       4. Compute final portfolio metrics
-  ---------------------------------------------------------- */
-  const sigma = Math.sqrt(variance);
-  const rf = 2.5;
-  const sharpe = sigma > 0 ? (expReturn - rf) / sigma : 0;
+  // Measured σ where we have it, so fallback pairs stay consistent with the diagonal
+  const sd = assets.map((a, i) =>
+    slot[i] !== undefined ? Math.sqrt(measuredCov[slot[i]][slot[i]]) : a.annualVol
+  );
+
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j < k; j++) {
+      if (slot[i] !== undefined && slot[j] !== undefined) {
+        cov[i][j] = measuredCov[slot[i]][slot[j]];
+        measured[i][j] = true;
+      } else {
+        const rho =
+          i === j ? 1 : CLASS_CORRELATIONS[assets[i].assetClass][assets[j].assetClass];
+        cov[i][j] = rho * sd[i] * sd[j];
+      }
+    }
+  }
+
+  return {
+    assets,
+    cov,
+    corr: correlationFromCovariance(cov),
+    measured,
+    alignedDates,
+  };
+}
+
+// wᵀ Σ w
+function portfolioVariance(weights, cov) {
+  let v = 0;
+  for (let i = 0; i < weights.length; i++) {
+    for (let j = 0; j < weights.length; j++) {
+      v += weights[i] * weights[j] * cov[i][j];
+    }
+  }
+  return Math.max(v, 0);
+}
+
+/* ============================================================
+   PORTFOLIO OPTIMIZER (MEAN-VARIANCE)
+   ============================================================ */
+
+/* ------------------------------------------------------------
+   Project v onto { Σw = 1, lo ≤ w ≤ hi } by bisecting on the
+   shift λ in w = clip(v − λ, lo, hi)
+------------------------------------------------------------ */
+function projectOntoBoundedSimplex(v, lo, hi) {
+  const clipSum = lambda =>
+    v.reduce((sum, x, i) => sum + Math.min(hi[i], Math.max(lo[i], x - lambda)), 0);
+
+  let a = Math.min(...v.map((x, i) => x - hi[i]));
+  let b = Math.max(...v.map((x, i) => x - lo[i]));
+  for (let iter = 0; iter < 50; iter++) {
+    const mid = (a + b) / 2;
+    if (clipSum(mid) > 1) a = mid;
+    else b = mid;
+  }
+  const lambda = (a + b) / 2;
+  return v.map((x, i) => Math.min(hi[i], Math.max(lo[i], x - lambda)));
+}
+
+// Largest eigenvalue of a symmetric PSD matrix (power iteration)
+function largestEigenvalue(m) {
+  const k = m.length;
+  let v = new Array(k).fill(1 / Math.sqrt(k));
+  let eig = 0;
+  for (let iter = 0; iter < 50; iter++) {
+    const mv = m.map(row => row.reduce((sum, x, j) => sum + x * v[j], 0));
+    const norm = Math.sqrt(mv.reduce((sum, x) => sum + x * x, 0));
+    if (norm === 0) return 0;
+    eig = norm;
+    v = mv.map(x => x / norm);
+  }
+  return eig;
+}
+
+/* ------------------------------------------------------------
+   Maximise μᵀw − (riskAversion / 2)·wᵀΣw subject to the
+   weight bounds, using accelerated projected gradient.
+   `start` warm-starts the search; `eig` is λmax(Σ) if known.
+------------------------------------------------------------ */
+function solveMeanVariance(mu, cov, riskAversion, lo, hi, start = null, eig = null) {
+  const k = mu.length;
+  const lipschitz = Math.max(riskAversion * (eig ?? largestEigenvalue(cov)), 1e-9);
+  const step = 1 / lipschitz;
+
+  let w = projectOntoBoundedSimplex(start || new Array(k).fill(1 / k), lo, hi);
+  let y = w.slice();
+  let t = 1;
+
+  for (let iter = 0; iter < 400; iter++) {
+    const grad = y.map(
+      (_, i) => riskAversion * cov[i].reduce((sum, c, j) => sum + c * y[j], 0) - mu[i]
+    );
+    const next = projectOntoBoundedSimplex(
+      y.map((x, i) => x - step * grad[i]),
+      lo,
+      hi
+    );
+    const tNext = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    y = next.map((x, i) => x + ((t - 1) / tNext) * (x - w[i]));
+    const moved = next.reduce((sum, x, i) => sum + Math.abs(x - w[i]), 0);
+    w = next;
+    t = tNext;
+    if (moved < 1e-7) break;
+  }
+  return w;
+}
+
+function describePortfolio(w, mu, cov, rf) {
+  const ret = w.reduce((sum, x, i) => sum + x * mu[i], 0);
+  const vol = Math.sqrt(portfolioVariance(w, cov));
+  return {
+    weights: w,
+    ret,
+    vol,
+    sharpe: vol > 0 ? (ret - rf) / vol : 0,
+  };
+}
+
+/* ------------------------------------------------------------
+   Efficient frontier, max-Sharpe and min-variance portfolios
+   for a risk model (see buildRiskModel).
+   limits: { [assetId]: { min, max } } in decimals (optional)
+   Returns { frontier, maxSharpe, minVariance } where each
+   portfolio is { weights, ret, vol, sharpe } (decimals), or
+   throws if the limits cannot add up to 100%.
+------------------------------------------------------------ */
+function optimizePortfolio(model, limits = {}, rf = currentRiskFreeRate() / 100) {
+  const assets = model.assets;
+  const mu = assets.map(a => a.annualReturn);
+  const cov = model.cov;
+  const lo = assets.map(a => Math.max(0, limits[a.id]?.min ?? 0));
+  const hi = assets.map(a => Math.min(1, limits[a.id]?.max ?? 1));
+
+  if (lo.some((l, i) => l > hi[i])) {
+    throw new Error("A minimum weight is above its maximum.");
+  }
+  if (lo.reduce((a, b) => a + b, 0) > 1 + 1e-9) {
+    throw new Error("Minimum weights add up to more than 100%.");
+  }
+  if (hi.reduce((a, b) => a + b, 0) < 1 - 1e-9) {
+    throw new Error("Maximum weights add up to less than 100%.");
+  }
+
+  const eig = largestEigenvalue(cov);
+  const solve = (riskAversion, start) =>
+    describePortfolio(solveMeanVariance(mu, cov, riskAversion, lo, hi, start, eig), mu, cov, rf);
+
+  const minVariance = describePortfolio(
+    solveMeanVariance(mu.map(() => 0), cov, 1, lo, hi, null, eig),
+    mu,
+    cov,
+    rf
+  );
+
+  // Sweep risk aversion from very cautious to return-seeking
+  const frontier = [minVariance];
+  const sweep = [];
+  const steps = 30;
+  let prev = minVariance.weights;
+  for (let s = 0; s < steps; s++) {
+    const logAversion = 3 - (4.5 * s) / (steps - 1); // 1000 → ~0.03
+    const p = solve(Math.pow(10, logAversion), prev);
+    prev = p.weights;
+    sweep.push({ logAversion, p });
+    if (p.ret > frontier[frontier.length - 1].ret + 1e-6) frontier.push(p);
+  }
+
+  // Max-Sharpe sits on the frontier; refine between the best sweep point's neighbours
+  let bestIdx = 0;
+  sweep.forEach((s, i) => {
+    if (s.p.sharpe > sweep[bestIdx].p.sharpe) bestIdx = i;
+  });
+  let best = minVariance.sharpe > sweep[bestIdx].p.sharpe ? minVariance : sweep[bestIdx].p;
+  let a = sweep[Math.min(bestIdx + 1, steps - 1)].logAversion;
+  let b = sweep[Math.max(bestIdx - 1, 0)].logAversion;
+  for (let iter = 0; iter < 20; iter++) {
+    const m1 = a + (b - a) / 3;
+    const m2 = b - (b - a) / 3;
+    const p1 = solve(Math.pow(10, m1), best.weights);
+    const p2 = solve(Math.pow(10, m2), best.weights);
+    if (p1.sharpe > best.sharpe) best = p1;
+    if (p2.sharpe > best.sharpe) best = p2;
+    if (p1.sharpe < p2.sharpe) a = m1;
+    else b = m2;
+  }
+
+  return { frontier, maxSharpe: best, minVariance };
+}
+
+// GLOBAL PAGE NAV
+function scrollToTop() {
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+function showPage(id) {
+  document.querySelectorAll(".page").forEach((p) => p.classList.remove("active"));
+  const target = document.getElementById(id);
+  if (target) target.classList.add("active");
+  scrollToTop();
+}
+
+/* ============================================================
+   HASH ROUTER (deep links + browser history)
+   ============================================================
+
+   URLs look like  #portfolio?stocks=AAPL,MSFT&alloc=40,20,30,10
+   The part before "?" picks the page; the rest is that page's
+   state, read and applied through ROUTE_STATE. Following a link
+   or pressing Back fires popstate → renderRoute(). UI changes
+   call syncRouteState(), which rewrites the current entry
+   (replaceState) so sliders don't flood the history.
+   ============================================================ */
+
+const ROUTE_PAGES = ["home", "portfolio", "screener", "news", "strategy", "education", "symbol"];
+const DEFAULT_ROUTE = "home";
+
+// Crypto ids from the URL that arrived before the CoinGecko list did
+let pendingRouteCrypto = null;
+
+const ROUTE_STATE = {
+  portfolio: {
+    read() {
+      return {
+        stocks: selectedValues("stock-select").join(","),
+        crypto: selectedValues("crypto-select").join(","),
+        alloc: ["stocks", "reits", "bonds", "crypto"].map(k => allocations[k]).join(","),
+        weights: holdingWeightsParam(selectedHoldingWeights()),
+      };
+    },
+    apply(params) {
+      // Shared portfolio links also carry strategy inputs and a name
+      applyStrategyInputs(params);
+      if (params.has("name")) announceSharedPortfolio(params.get("name"));
+
+      if (params.has("stocks")) {
+        selectStocks(splitParam(params.get("stocks")));
+      }
+      if (params.has("crypto")) {
+        applyCryptoSelection(splitParam(params.get("crypto")));
+      }
+      if (params.has("weights")) {
+        applyHoldingWeights(parseHoldingWeightsParam(params.get("weights")), {
+          stocks: selectedValues("stock-select"),
+          crypto: pendingRouteCrypto || selectedValues("crypto-select"),
+        });
+      }
+      const alloc = params.has("alloc") ? parseAllocParam(params.get("alloc")) : null;
+      if (alloc) setAllocations(alloc); // recalculates metrics
+      else calculatePortfolioMetrics();
+    },
+  },
+
+  strategy: {
+    read() {
+      const state = {};
+      STRATEGY_ROUTE_PARAMS.forEach(([param, id]) => {
+        const el = document.getElementById(id);
+        if (el) state[param] = el.value;
+      });
+      return state;
+    },
+    apply(params) {
+      applyStrategyInputs(params);
+    },
+  },
+
+  news: {
+    read: readNewsRouteState,
+    apply: applyNewsRouteState,
+  },
+
+  screener: {
+    read: readScreenerRouteState,
+    apply: applyScreenerRouteState,
+  },
+
+  symbol: {
+    read: readSymbolRouteState,
+    apply: openSymbol,
+  },
+};
+
+// [URL param, input id] pairs carried in #strategy links
+const STRATEGY_ROUTE_PARAMS = [
+  ["horizon", "horizon-slider"],
+  ["risk", "risk-slider"],
+  ["initial", "initial-slider"],
+  ["monthly", "monthly-slider"],
+  ["mode", "strategy-mode"],
+  ["inflation", "inflation-input"],
+  ["fee", "fee-input"],
+  ["tax", "tax-drag-input"],
+  ["growth", "contrib-growth-input"],
+  ["age", "current-age"],
+  ["retire", "retire-age"],
+  ["spend", "retire-spending"],
+  ["rule", "spending-rule"],
+  ["years", "retire-years"],
+  ["returns", "retire-sequences"],
+];
+
+function splitParam(value) {
+  return (value || "").split(",").map(v => v.trim()).filter(Boolean);
+}
+
+// "40,20,30,10" → { stocks, reits, bonds, crypto }, or null if malformed
+function parseAllocParam(value) {
+  const parts = splitParam(value).map(v => parseInt(v, 10));
+  if (parts.length !== 4 || !parts.every(v => Number.isFinite(v) && v >= 0 && v <= 100)) {
+    return null;
+  }
+  const [stocks, reits, bonds, crypto] = parts;
+  return { stocks, reits, bonds, crypto };
+}
+
+// Set any strategy inputs present in `params` (a URLSearchParams or Map)
+function applyStrategyInputs(params) {
+  let changed = false;
+  STRATEGY_ROUTE_PARAMS.forEach(([param, id]) => {
+    const el = document.getElementById(id);
+    if (el && params.has(param)) {
+      el.value = params.get(param);
+      changed = true;
+    }
+  });
+  if (changed) recomputeStrategy();
+}
+
+// Crypto ids can arrive before the CoinGecko list has loaded
+function applyCryptoSelection(ids) {
+  const select = document.getElementById("crypto-select");
+  const loaded = select && Array.from(select.options).some(o => ids.includes(o.value));
+  if (loaded || !ids.length) {
+    selectOptions("crypto-select", ids);
+    pendingRouteCrypto = null;
+  } else {
+    pendingRouteCrypto = ids;
+  }
+}
+
+// Select exactly `values` in a multi-select
+function selectOptions(selectId, values) {
+  const select = document.getElementById(selectId);
+  if (!select) return;
+  Array.from(select.options).forEach((o) => {
+    o.selected = values.includes(o.value);
+  });
+  renderAllSymbolLinks();
+  scheduleNewsRefresh();
+}
+
+function parseRoute(hash) {
+  const raw = (hash || "").replace(/^#/, "");
+  const [page, query = ""] = raw.split("?");
+  return {
+    page: ROUTE_PAGES.includes(page) ? page : DEFAULT_ROUTE,
+    params: new URLSearchParams(query),
+  };
+}
+
+// Commas and colons (list and weight separators) stay unencoded so links read well
+function buildRouteHash(page, state) {
+  const query = Object.entries(state || {})
+    .filter(([, v]) => v !== "" && v != null)
+    .map(([k, v]) => `${k}=${encodeURIComponent(v).replace(/%2C/g, ",").replace(/%3A/g, ":")}`)
+    .join("&");
+  return "#" + page + (query ? "?" + query : "");
+}
+
+function currentRoutePage() {
+  return parseRoute(window.location.hash).page;
+}
+
+// Rewrite the current history entry with the page's live state
+function syncRouteState() {
+  const page = currentRoutePage();
+  const handler = ROUTE_STATE[page];
+  if (!handler) return;
+  const hash = buildRouteHash(page, handler.read());
+  if (hash !== window.location.hash) {
+    history.replaceState(null, "", hash);
+  }
+}
+
+function renderRoute() {
+  const { page, params } = parseRoute(window.location.hash);
+  showPage(page);
+  refreshNewsIfStale(page);
+
+  const handler = ROUTE_STATE[page];
+  if (handler && [...params.keys()].length) handler.apply(params);
+
+  // Plain links (#strategy) pick up the current state so they can be shared
+  syncRouteState();
+}
+
+function navigateTo(page, state) {
+  const handler = ROUTE_STATE[page];
+  const hash = buildRouteHash(page, state || (handler ? handler.read() : null));
+  history.pushState(null, "", hash);
+  renderRoute();
+}
+
+function initRouter() {
+  window.addEventListener("popstate", renderRoute);
+  renderRoute();
+}
+
+/* ============================================================
+   SAVED PORTFOLIOS (localStorage, JSON files, share links)
+   ============================================================
+
+   A snapshot captures everything needed to rebuild a portfolio:
+     { name, savedAt, allocations: { stocks, reits, bonds, crypto },
+       stocks: [...symbols], crypto: [...coin ids],
+       strategy: { horizon, risk, initial, monthly } }
+   Snapshots are stored by name under SAVED_PORTFOLIOS_KEY. Export
+   writes { version, portfolios: [...] }; import accepts that, a
+   bare array, or a single snapshot. Share links reuse the router's
+   #portfolio parameters so they stay readable.
+   ============================================================ */
+
+const SAVED_PORTFOLIOS_KEY = "investiq:portfolios";
+const ACTIVE_PORTFOLIO_KEY = "investiq:active-portfolio";
+const PORTFOLIO_FILE_VERSION = 1;
+
+function readSavedPortfolios() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SAVED_PORTFOLIOS_KEY));
+    return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  } catch (err) {
+    console.warn("Saved portfolios unreadable, starting fresh", err);
+    return {};
+  }
+}
+
+function writeSavedPortfolios(portfolios) {
+  try {
+    localStorage.setItem(SAVED_PORTFOLIOS_KEY, JSON.stringify(portfolios));
+    return true;
+  } catch (err) {
+    console.warn("Could not save portfolios", err);
+    return false;
+  }
+}
+
+function captureSnapshot(name) {
+  return {
+    name,
+    savedAt: new Date().toISOString(),
+    allocations: { ...allocations },
+    stocks: selectedValues("stock-select"),
+    crypto: selectedValues("crypto-select"),
+    weights: selectedHoldingWeights(),
+    strategy: ROUTE_STATE.strategy.read(),
+  };
+}
+
+// Validate untrusted input (imports, old storage); returns a clean snapshot or null
+function normalizeSnapshot(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const name = typeof raw.name === "string" ? raw.name.trim().slice(0, 60) : "";
+  if (!name) return null;
+
+  const alloc = {};
+  for (const k of Object.keys(ASSET_CLASS_LABELS)) {
+    const v = Number(raw.allocations && raw.allocations[k]);
+    if (!Number.isFinite(v) || v < 0 || v > 100) return null;
+    alloc[k] = Math.round(v);
+  }
+
+  const strings = (list) =>
+    Array.isArray(list) ? list.filter(v => typeof v === "string" && v).slice(0, 50) : [];
+
+  const stocks = strings(raw.stocks).filter(isStockSymbol);
+  const crypto = strings(raw.crypto);
+
+  // Per-holding weights are optional (files saved before they existed)
+  const weights = { stocks: {}, crypto: {} };
+  [["stocks", stocks], ["crypto", crypto]].forEach(([cls, ids]) => {
+    const source = raw.weights && raw.weights[cls];
+    ids.forEach((id) => {
+      const v = Number(source && source[id]);
+      weights[cls][id] = Number.isFinite(v) && v >= 0 ? v : 100 / ids.length;
+    });
+  });
+
+  // Numbers, or short option values such as mode: "portfolio"
+  const strategy = {};
+  STRATEGY_ROUTE_PARAMS.forEach(([param]) => {
+    const v = raw.strategy ? String(raw.strategy[param] ?? "") : "";
+    if (Number.isFinite(parseFloat(v)) || /^[a-z-]{1,20}$/.test(v)) strategy[param] = v;
+  });
+
+  return {
+    name,
+    savedAt: typeof raw.savedAt === "string" ? raw.savedAt : new Date().toISOString(),
+    allocations: alloc,
+    stocks,
+    crypto,
+    weights,
+    strategy,
+  };
+}
+
+function applySnapshot(snapshot) {
+  selectStocks(snapshot.stocks);
+  applyCryptoSelection(snapshot.crypto);
+  Object.assign(holdingWeights.stocks, snapshot.weights.stocks);
+  Object.assign(holdingWeights.crypto, snapshot.weights.crypto);
+  applyStrategyInputs(new Map(Object.entries(snapshot.strategy)));
+  setAllocations(snapshot.allocations); // recalculates metrics + syncs the URL
+}
+
+function savePortfolio(name) {
+  const snapshot = normalizeSnapshot(captureSnapshot(name));
+  if (!snapshot) return null;
+  const portfolios = readSavedPortfolios();
+  portfolios[snapshot.name] = snapshot;
+  if (!writeSavedPortfolios(portfolios)) return null;
+  setActivePortfolio(snapshot.name);
+  return snapshot;
+}
+
+function deletePortfolio(name) {
+  const portfolios = readSavedPortfolios();
+  delete portfolios[name];
+  writeSavedPortfolios(portfolios);
+  if (activePortfolioName() === name) setActivePortfolio(null);
+}
+
+function activePortfolioName() {
+  try {
+    return localStorage.getItem(ACTIVE_PORTFOLIO_KEY);
+  } catch (err) {
+    return null;
+  }
+}
+
+function setActivePortfolio(name) {
+  try {
+    if (name) localStorage.setItem(ACTIVE_PORTFOLIO_KEY, name);
+    else localStorage.removeItem(ACTIVE_PORTFOLIO_KEY);
+  } catch (err) {
+    console.warn("Could not remember active portfolio", err);
+  }
+}
+
+// Re-open the last portfolio the user saved or loaded
+function restoreActivePortfolio() {
+  const name = activePortfolioName();
+  const snapshot = name ? normalizeSnapshot(readSavedPortfolios()[name]) : null;
+  if (!snapshot) return false;
+  applySnapshot(snapshot);
+  return true;
+}
+
+function portfolioShareUrl(snapshot) {
+  const state = {
+    name: snapshot.name,
+    stocks: snapshot.stocks.join(","),
+    crypto: snapshot.crypto.join(","),
+    alloc: Object.keys(ASSET_CLASS_LABELS).map(k => snapshot.allocations[k]).join(","),
+    weights: holdingWeightsParam(snapshot.weights),
+    ...snapshot.strategy,
+  };
+  const base = window.location.href.split("#")[0];
+  return base + buildRouteHash("portfolio", state);
+}
+
+function exportPortfolios() {
+  const portfolios = Object.values(readSavedPortfolios());
+  const payload = { version: PORTFOLIO_FILE_VERSION, portfolios };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "investiq-portfolios.json";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  return portfolios.length;
+}
+
+// Merge snapshots from a JSON string; same-name portfolios are overwritten
+function importPortfolios(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data.portfolios) ? data.portfolios : [data];
+  const valid = list.map(normalizeSnapshot).filter(Boolean);
+  const portfolios = readSavedPortfolios();
+  valid.forEach((snapshot) => {
+    portfolios[snapshot.name] = snapshot;
+  });
+  if (valid.length) writeSavedPortfolios(portfolios);
+  return { imported: valid.length, skipped: list.length - valid.length };
+}
+
+/* ---- Saved portfolio UI ---- */
+
+function setSavedPortfolioStatus(message, active = false) {
+  const el = document.getElementById("saved-portfolio-status");
+  if (!el) return;
+  el.textContent = message;
+  el.classList.toggle("active", active);
+}
+
+function renderSavedPortfolioList() {
+  const select = document.getElementById("saved-portfolio-select");
+  if (!select) return;
+  const names = Object.keys(readSavedPortfolios()).sort((a, b) => a.localeCompare(b));
+  const active = activePortfolioName();
+
+  select.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = names.length ? "Load a saved portfolio…" : "No saved portfolios";
+  select.appendChild(placeholder);
+  names.forEach((name) => {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = name;
+    select.appendChild(opt);
+  });
+  select.value = names.includes(active) ? active : "";
+
+  const deleteBtn = document.getElementById("delete-portfolio-btn");
+  if (deleteBtn) deleteBtn.disabled = !select.value;
+}
+
+// Called by the router when a #portfolio?name=… link is opened
+function announceSharedPortfolio(name) {
+  const input = document.getElementById("portfolio-name-input");
+  if (input) input.value = name;
+  setSavedPortfolioStatus(`Opened shared portfolio “${name}”. Click Save to keep it.`, true);
+}
+
+async function copyShareLink(url) {
+  try {
+    await navigator.clipboard.writeText(url);
+    setSavedPortfolioStatus("Share link copied to clipboard.", true);
+  } catch (err) {
+    // Clipboard needs a secure context; show the link instead
+    setSavedPortfolioStatus(url, true);
+  }
+}
+
+function initSavedPortfolios() {
+  const nameInput = document.getElementById("portfolio-name-input");
+  const select = document.getElementById("saved-portfolio-select");
+  const saveBtn = document.getElementById("save-portfolio-btn");
+  const deleteBtn = document.getElementById("delete-portfolio-btn");
+  const shareBtn = document.getElementById("share-portfolio-btn");
+  const exportBtn = document.getElementById("export-portfolios-btn");
+  const importBtn = document.getElementById("import-portfolios-btn");
+  const importFile = document.getElementById("import-portfolios-file");
+  if (!select) return;
+
+  renderSavedPortfolioList();
+  if (nameInput && select.value) nameInput.value = select.value;
+
+  if (saveBtn) {
+    saveBtn.addEventListener("click", () => {
+      const name = (nameInput && nameInput.value.trim()) || select.value;
+      if (!name) {
+        setSavedPortfolioStatus("Give the portfolio a name first.");
+        return;
+      }
+      const saved = savePortfolio(name);
+      renderSavedPortfolioList();
+      setSavedPortfolioStatus(
+        saved ? `Saved “${saved.name}”.` : "Could not save – browser storage may be full.",
+        Boolean(saved)
+      );
+    });
+  }
+
+  select.addEventListener("change", () => {
+    const snapshot = normalizeSnapshot(readSavedPortfolios()[select.value]);
+    if (!snapshot) {
+      renderSavedPortfolioList();
+      return;
+    }
+    applySnapshot(snapshot);
+    setActivePortfolio(snapshot.name);
+    renderSavedPortfolioList();
+    if (nameInput) nameInput.value = snapshot.name;
+    setSavedPortfolioStatus(`Loaded “${snapshot.name}”.`, true);
+  });
+
+  if (deleteBtn) {
+    deleteBtn.addEventListener("click", () => {
+      const name = select.value;
+      if (!name || !window.confirm(`Delete saved portfolio “${name}”?`)) return;
+      deletePortfolio(name);
+      renderSavedPortfolioList();
+      setSavedPortfolioStatus(`Deleted “${name}”.`);
+    });
+  }
+
+  if (shareBtn) {
+    shareBtn.addEventListener("click", () => {
+      // Share what is on screen, saved or not
+      const name = (nameInput && nameInput.value.trim()) || select.value || "Shared portfolio";
+      const snapshot = normalizeSnapshot(captureSnapshot(name));
+      if (snapshot) copyShareLink(portfolioShareUrl(snapshot));
+    });
+  }
+
+  if (exportBtn) {
+    exportBtn.addEventListener("click", () => {
+      const count = exportPortfolios();
+      setSavedPortfolioStatus(`Exported ${count} portfolio${count === 1 ? "" : "s"}.`, count > 0);
+    });
+  }
+
+  if (importBtn && importFile) {
+    importBtn.addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", async () => {
+      const file = importFile.files[0];
+      importFile.value = "";
+      if (!file) return;
+      try {
+        const { imported, skipped } = importPortfolios(await file.text());
+        renderSavedPortfolioList();
+        setSavedPortfolioStatus(
+          `Imported ${imported} portfolio${imported === 1 ? "" : "s"}` +
+            (skipped ? `, skipped ${skipped} invalid.` : "."),
+          imported > 0
+        );
+      } catch (err) {
+        console.warn("Portfolio import failed", err);
+        setSavedPortfolioStatus("That file isn’t a valid portfolio export.");
+      }
+    });
+  }
+}
+
+/* ============================================================
+   POSITIONS TRACKER (cost basis + live P&L)
+   ============================================================
+
+   A position is { id, assetClass: "stocks" | "crypto", symbol,
+   quantity, costPerUnit, purchaseDate, currency }, stored as an
+   array under POSITIONS_KEY. costPerUnit is in the base currency
+   at the time it was entered (USD before currency support) and
+   is converted at today's rate. Stocks are priced with
+   fetchStockQuote, coins with one batched CoinGecko simple-price
+   call. The live-stock-badge shows one P&L chip per position.
+   ============================================================ */
+
+const POSITIONS_KEY = "investiq:positions";
+
+function readPositions() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(POSITIONS_KEY));
+    return Array.isArray(raw) ? raw.filter(p => p && p.symbol && p.quantity > 0) : [];
+  } catch (err) {
+    console.warn("Positions unreadable, starting fresh", err);
+    return [];
+  }
+}
+
+function writePositions(positions) {
+  try {
+    localStorage.setItem(POSITIONS_KEY, JSON.stringify(positions));
+  } catch (err) {
+    console.warn("Could not save positions", err);
+  }
+}
+
+function addPosition({ assetClass, symbol, quantity, costPerUnit, purchaseDate }) {
+  const positions = readPositions();
+  positions.push({
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    assetClass,
+    symbol,
+    quantity,
+    costPerUnit,
+    purchaseDate,
+    currency: baseCurrency,
+  });
+  writePositions(positions);
+}
+
+function removePosition(id) {
+  writePositions(readPositions().filter(p => p.id !== id));
+}
+
+// For user-entered text going into innerHTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[ch]);
+}
+
+/* ------------------------------------------------------------
+   Latest price + daily change for every position's symbol:
+   { [symbol]: { price, dayChangePct, currency } }. Missing
+   prices are simply absent and the position is shown at cost.
+------------------------------------------------------------ */
+async function fetchPositionPrices(positions) {
+  // Every non-crypto symbol is a listing (REIT and bond proxies such as VNQ/BND too)
+  const stocks = [...new Set(positions.filter(p => p.assetClass !== "crypto").map(p => p.symbol))];
+  const coins = [...new Set(positions.filter(p => p.assetClass === "crypto").map(p => p.symbol))];
+  const prices = {};
+
+  const [quotes, coinPrices] = await Promise.all([
+    Promise.all(stocks.map(sym => fetchStockQuote(sym))),
+    coins.length ? fetchCoinPrices(coins) : null,
+  ]);
+
+  stocks.forEach((sym, i) => {
+    const q = quotes[i];
+    if (q && Number.isFinite(q.price)) {
+      prices[sym] = { price: q.price, dayChangePct: q.change || 0, currency: q.currency };
+    }
+  });
+  coins.forEach((id) => {
+    const c = coinQuote(coinPrices && coinPrices[id]);
+    if (c) prices[id] = { price: c.price, dayChangePct: c.change, currency: baseCurrency };
+  });
+  return prices;
+}
+
+function valuePosition(position, quote) {
+  const cost = position.quantity * position.costPerUnit;
+  if (!quote) {
+    // No price yet: carry the position at cost
+    return {
+      ...position,
+      priced: false,
+      price: null,
+      cost,
+      marketValue: cost,
+      gain: 0,
+      gainPct: 0,
+      dayChange: 0,
+      dayChangePct: 0,
+    };
+  }
+  const marketValue = position.quantity * quote.price;
+  const prevPrice = quote.price / (1 + quote.dayChangePct / 100);
+  const gain = marketValue - cost;
+  return {
+    ...position,
+    priced: true,
+    price: quote.price,
+    cost,
+    marketValue,
+    gain,
+    gainPct: cost > 0 ? (gain / cost) * 100 : 0,
+    dayChange: position.quantity * (quote.price - prevPrice),
+    dayChangePct: quote.dayChangePct,
+  };
+}
+
+// No FX rate for the cost or the price: both stay in their own currency
+// and the position is left out of the totals
+function unconvertedPosition(position, quote) {
+  return {
+    ...position,
+    priced: false,
+    unconverted: true,
+    price: quote ? quote.price : null,
+    priceCurrency: quote ? quote.currency : null,
+  };
+}
+
+function summarizePositions(rows) {
+  const totals = rows.reduce(
+    (t, r) => ({
+      cost: t.cost + r.cost,
+      marketValue: t.marketValue + r.marketValue,
+      gain: t.gain + r.gain,
+      dayChange: t.dayChange + r.dayChange,
+    }),
+    { cost: 0, marketValue: 0, gain: 0, dayChange: 0 }
+  );
+  const prevValue = totals.marketValue - totals.dayChange;
+  return {
+    ...totals,
+    gainPct: totals.cost > 0 ? (totals.gain / totals.cost) * 100 : 0,
+    dayChangePct: prevValue > 0 ? (totals.dayChange / prevValue) * 100 : 0,
+  };
+}
+
+/* ---- Positions UI ---- */
+
+// Bumped per refresh so a slow quote can't overwrite newer numbers
+let positionsRunId = 0;
+
+const signClass = v => (v >= 0 ? "positive" : "negative");
+
+function renderPositionsTable(rows, totals) {
+  const container = document.getElementById("positions-table");
+  if (!container) return;
+
+  if (!rows.length) {
+    container.innerHTML = `<div class="small-note">No positions yet – add your first holding above.</div>`;
+    return;
+  }
+
+  const body = rows
+    .map(
+      (r) => `
+      <tr>
+        <td>${escapeHtml(r.symbol)}</td>
+        <td>${r.quantity.toLocaleString()}</td>
+        <td>${formatMoney(r.costPerUnit, 2, r.unconverted ? r.currency || LISTING_CURRENCY : baseCurrency)}</td>
+        <td>${r.purchaseDate || "–"}</td>
+        <td>${r.price != null ? formatMoney(r.price, 2, r.unconverted ? r.priceCurrency : baseCurrency) : "–"}</td>
+        ${r.unconverted
+          ? `<td colspan="3" class="small-note">No ${baseCurrency} rate – left out of the totals</td>`
+          : `<td>${formatMoney(r.marketValue)}</td>
+        <td class="badge-change ${signClass(r.gain)}">
+          ${formatSignedMoney(r.gain)} (${r.gainPct.toFixed(1)}%)
+        </td>
+        <td class="badge-change ${signClass(r.dayChange)}">
+          ${formatSignedMoney(r.dayChange)} (${r.dayChangePct.toFixed(2)}%)
+        </td>`}
+        <td><button class="link-button" data-remove-position="${r.id}">Remove</button></td>
+      </tr>`
+    )
+    .join("");
+
+  container.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Symbol</th><th>Units</th><th>Cost / unit</th><th>Bought</th><th>Price</th>
+          <th>Value</th><th>Unrealized P&amp;L</th><th>Day change</th><th></th>
+        </tr>
+      </thead>
+      <tbody>${body}</tbody>
+      <tfoot>
+        <tr>
+          <th colspan="5">Total (cost ${formatMoney(totals.cost)})</th>
+          <th>${formatMoney(totals.marketValue)}</th>
+          <th class="badge-change ${signClass(totals.gain)}">
+            ${formatSignedMoney(totals.gain)} (${totals.gainPct.toFixed(1)}%)
+          </th>
+          <th class="badge-change ${signClass(totals.dayChange)}">
+            ${formatSignedMoney(totals.dayChange)} (${totals.dayChangePct.toFixed(2)}%)
+          </th>
+          <th></th>
+        </tr>
+      </tfoot>
+    </table>`;
+}
+
+// One chip per position in the live badge: price, day move, unrealized P&L
+function renderPositionBadge(rows) {
+  const badge = document.getElementById("live-stock-badge");
+  const list = document.getElementById("position-badges");
+  if (!badge || !list) return;
+
+  const priced = rows.filter(r => r.priced);
+  badge.classList.toggle("hidden", !priced.length);
+  list.innerHTML = priced
+    .map(
+      (r) => `
+      <div class="position-chip">
+        <div class="stock-badge-header">
+          <a href="${symbolHref(r.assetClass, r.symbol)}">${escapeHtml(r.symbol.toUpperCase())}</a>
+          <span>${formatMoney(r.price)}</span>
+          <span class="badge-change ${signClass(r.dayChangePct)}">
+            ${r.dayChangePct >= 0 ? "+" : ""}${r.dayChangePct.toFixed(2)}%
+          </span>
+        </div>
+        <div class="stock-badge-metrics">
+          <div>P&amp;L: <span class="badge-change ${signClass(r.gain)}">${formatSignedMoney(r.gain)}</span></div>
+          <div>Value: <span>${formatMoney(r.marketValue)}</span></div>
+        </div>
+      </div>`
+    )
+    .join("");
+}
+
+async function refreshPositions() {
+  const runId = ++positionsRunId;
+  const positions = readPositions();
+  const currencies = [...new Set(positions.map(p => p.currency || LISTING_CURRENCY))];
+  const [prices, rates] = await Promise.all([
+    positions.length ? fetchPositionPrices(positions) : {},
+    Promise.all(currencies.map(c => fetchFxRate(c, baseCurrency))),
+  ]);
+  if (runId !== positionsRunId) return;
+
+  const rateFor = p => rates[currencies.indexOf(p.currency || LISTING_CURRENCY)];
+  const rows = positions.map((p) => {
+    const rate = rateFor(p);
+    const quote = prices[p.symbol];
+    if (rate == null || (quote && quote.currency !== baseCurrency)) return unconvertedPosition(p, quote);
+    return valuePosition({ ...p, costPerUnit: p.costPerUnit * rate }, quote);
+  });
+  renderPositionsTable(rows, summarizePositions(rows.filter(r => !r.unconverted)));
+  renderPositionBadge(rows);
+}
+
+// Polling faster than CACHE_TTLS.quote only spends Alpha Vantage calls,
+// so live quotes refresh every five minutes while the portfolio is on screen
+const LIVE_QUOTE_INTERVAL = 5 * 60 * 1000;
+
+function portfolioOnScreen() {
+  return document.visibilityState === "visible" && currentRoutePage() === "portfolio";
+}
+
+function pollPositions() {
+  if (portfolioOnScreen()) refreshPositions();
+}
+
+// Symbol choices follow the selected asset class
+async function populateSymbolSelect(classId, symbolId) {
+  const classEl = document.getElementById(classId);
+  const symbolEl = document.getElementById(symbolId);
+  if (!classEl || !symbolEl) return;
+
+  const assetClass = classEl.value;
+  const options =
+    assetClass === "crypto"
+      ? (await fetchCryptoList()).map(c => ({
+          value: c.id,
+          text: `${c.symbol.toUpperCase()} – ${c.name}`,
+        }))
+      : stockChoices().map(s => ({ value: s.symbol, text: listingLabel(s) }));
+
+  if (classEl.value !== assetClass) return; // changed again while loading
+  symbolEl.innerHTML = "";
+  options.forEach(({ value, text }) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    symbolEl.appendChild(opt);
+  });
+}
+
+function initPositions() {
+  const form = document.getElementById("position-form");
+  const classEl = document.getElementById("position-class");
+  const table = document.getElementById("positions-table");
+  const statusEl = document.getElementById("position-status");
+  if (!form || !classEl) return;
+
+  populateSymbolSelect("position-class", "position-symbol");
+  classEl.addEventListener("change", () => populateSymbolSelect("position-class", "position-symbol"));
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const quantity = parseFloat(document.getElementById("position-quantity").value);
+    const costPerUnit = parseFloat(document.getElementById("position-cost").value);
+    const symbol = document.getElementById("position-symbol").value;
+    const purchaseDate = document.getElementById("position-date").value;
+
+    if (!symbol || !(quantity > 0) || !(costPerUnit >= 0)) {
+      if (statusEl) statusEl.textContent = "Enter a symbol, a positive quantity and a cost per unit.";
+      return;
+    }
+    addPosition({ assetClass: classEl.value, symbol, quantity, costPerUnit, purchaseDate });
+    if (statusEl) statusEl.textContent = `Added ${quantity} ${symbol.toUpperCase()}.`;
+    form.reset();
+    populateSymbolSelect("position-class", "position-symbol");
+    refreshPositions();
+  });
+
+  if (table) {
+    table.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-remove-position]");
+      if (!btn) return;
+      removePosition(btn.dataset.removePosition);
+      refreshPositions();
+    });
+  }
+
+  refreshPositions();
+}
+
+/* ============================================================
+   TRANSACTION LEDGER (broker CSV import, lots, gains)
+   ============================================================
+
+   Transactions are stored under LEDGER_KEY as
+     { id, date: "YYYY-MM-DD", type, symbol, assetClass,
+       quantity, price, amount, fees }
+   where type is one of LEDGER_TYPES. CSV imports go through a
+   column mapping (pre-filled by a broker preset), then each row
+   is normalised and de-duplicated against the stored ledger.
+   computeLedger() replays everything in date order with FIFO or
+   average-cost lots to get holdings and realized gains; prices
+   for unrealized gains come from the positions tracker helpers.
+   ============================================================ */
+
+const LEDGER_KEY = "investiq:ledger";
+const LEDGER_TYPES = ["buy", "sell", "dividend", "deposit", "withdrawal", "fee"];
+const LEDGER_FIELDS = ["date", "type", "symbol", "quantity", "price", "amount", "fees"];
+
+// Action text → ledger type, checked in order (reinvestments are buys)
+const LEDGER_TYPE_PATTERNS = [
+  [/reinvest|bought|^buy\b/i, "buy"],
+  [/sold|^sell\b/i, "sell"],
+  [/div/i, "dividend"],
+  [/withdraw|disbursement|transfer out/i, "withdrawal"],
+  [/deposit|transfer|received|moneylink|^ach$|contribution/i, "deposit"],
+  [/fee|commission|^gold$|^afee$/i, "fee"],
+];
+
+/* ------------------------------------------------------------
+   Broker presets: candidate header names for each ledger field,
+   in order of preference (matched case-insensitively). Fields
+   with no matching header stay unmapped.
+------------------------------------------------------------ */
+const BROKER_PRESETS = {
+  generic: {
+    label: "Generic (Date, Type, Symbol…)",
+    columns: {
+      date: ["date", "trade date"],
+      type: ["type", "action", "transaction type"],
+      symbol: ["symbol", "ticker"],
+      quantity: ["quantity", "shares", "units"],
+      price: ["price"],
+      amount: ["amount", "total", "net amount"],
+      fees: ["fees", "fee", "commission"],
+    },
+  },
+  fidelity: {
+    label: "Fidelity",
+    columns: {
+      date: ["run date"],
+      type: ["action"],
+      symbol: ["symbol"],
+      quantity: ["quantity"],
+      price: ["price ($)"],
+      amount: ["amount ($)"],
+      fees: ["fees ($)", "commission ($)"],
+    },
+  },
+  schwab: {
+    label: "Charles Schwab",
+    columns: {
+      date: ["date"],
+      type: ["action"],
+      symbol: ["symbol"],
+      quantity: ["quantity"],
+      price: ["price"],
+      amount: ["amount"],
+      fees: ["fees & comm"],
+    },
+  },
+  robinhood: {
+    label: "Robinhood",
+    columns: {
+      date: ["activity date"],
+      type: ["trans code"],
+      symbol: ["instrument"],
+      quantity: ["quantity"],
+      price: ["price"],
+      amount: ["amount"],
+      fees: [],
+    },
+  },
+};
+
+// Parsed file waiting for the user to confirm its column mapping
+let pendingLedgerImport = null;
+
+/* ---- CSV + field parsing ---- */
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF; returns rows of cells
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// "$1,234.50", "(12.00)", "-3" → number; blank → 0
+function parseLedgerNumber(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return 0;
+  const negative = /^\(.*\)$/.test(raw) || raw.startsWith("-");
+  const n = parseFloat(raw.replace(/[^0-9.]/g, ""));
+  return Number.isFinite(n) ? (negative ? -n : n) : 0;
+}
+
+// ISO or US dates ("01/02/2024 as of 12/29/2023" keeps the first) → YYYY-MM-DD
+function parseLedgerDate(value) {
+  const raw = String(value || "").trim();
+  let m = raw.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = raw.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (m) {
+    const year = m[3].length === 2 ? "20" + m[3] : m[3];
+    return `${year}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  }
+  return null;
+}
+
+function classifyLedgerType(value) {
+  const raw = String(value || "").trim();
+  if (LEDGER_TYPES.includes(raw.toLowerCase())) return raw.toLowerCase();
+  const hit = LEDGER_TYPE_PATTERNS.find(([pattern]) => pattern.test(raw));
+  return hit ? hit[1] : null;
+}
+
+// Coins are recognised by ticker (BTC) or id (bitcoin) from the crypto list
+function classifyLedgerSymbol(symbol) {
+  const select = document.getElementById("crypto-select");
+  const upper = symbol.toUpperCase();
+  const coin = select
+    ? Array.from(select.options).find(
+        o => o.value === symbol.toLowerCase() || o.textContent.split(" – ")[0] === upper
+      )
+    : null;
+  return coin ? { assetClass: "crypto", symbol: coin.value } : { assetClass: "stocks", symbol: upper };
+}
+
+/* ---- Mapping + import ---- */
+
+// { field: column index | -1 } for a header row under a preset
+function detectColumnMapping(headers, presetKey) {
+  const preset = BROKER_PRESETS[presetKey] || BROKER_PRESETS.generic;
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  const mapping = {};
+  LEDGER_FIELDS.forEach((field) => {
+    const name = (preset.columns[field] || []).find(n => normalized.includes(n));
+    mapping[field] = name ? normalized.indexOf(name) : -1;
+  });
+  return mapping;
+}
+
+// One CSV row → transaction, or null for rows that aren't trades/cash
+function ledgerRowToTransaction(row, mapping) {
+  const get = field => (mapping[field] >= 0 ? row[mapping[field]] : "");
+  const date = parseLedgerDate(get("date"));
+  const signedAmount = parseLedgerNumber(get("amount"));
+  let type = classifyLedgerType(get("type"));
+  if (!date || !type) return null;
+  // Some brokers use one code for both directions (Robinhood "ACH"); the sign tells them apart
+  if (type === "deposit" && signedAmount < 0) type = "withdrawal";
+
+  const rawSymbol = String(get("symbol") || "").trim();
+  const needsSymbol = type === "buy" || type === "sell" || type === "dividend";
+  if (needsSymbol && !rawSymbol) return null;
+  const { assetClass, symbol } = rawSymbol
+    ? classifyLedgerSymbol(rawSymbol)
+    : { assetClass: null, symbol: "" };
+
+  const quantity = Math.abs(parseLedgerNumber(get("quantity")));
+  let price = Math.abs(parseLedgerNumber(get("price")));
+  const amount = Math.abs(signedAmount);
+  const fees = Math.abs(parseLedgerNumber(get("fees")));
+  if ((type === "buy" || type === "sell") && !quantity) return null;
+  if (!price && quantity && amount) price = amount / quantity;
+
+  return { date, type, symbol, assetClass, quantity, price, amount, fees };
+}
+
+// Files come newest-first or oldest-first; flip the former so rows on the
+// same day replay in the order they happened (buy before sell)
+function oldestFirst(transactions) {
+  const first = transactions[0];
+  const last = transactions[transactions.length - 1];
+  return first && last && first.date > last.date ? [...transactions].reverse() : transactions;
+}
+
+function transactionFingerprint(t) {
+  return [t.date, t.type, t.symbol, t.quantity, t.price, t.amount].join("|");
+}
+
+/* ------------------------------------------------------------
+   Merge parsed transactions into the ledger. A row counts as a
+   duplicate when the ledger already holds as many identical rows
+   as this import has seen so far, so two genuine same-day buys
+   in one file both survive while re-importing the file adds
+   nothing.
+------------------------------------------------------------ */
+function mergeTransactions(ledger, incoming) {
+  const existing = new Map();
+  ledger.forEach((t) => {
+    const fp = transactionFingerprint(t);
+    existing.set(fp, (existing.get(fp) || 0) + 1);
+  });
+
+  const seen = new Map();
+  const added = [];
+  incoming.forEach((t) => {
+    const fp = transactionFingerprint(t);
+    const n = (seen.get(fp) || 0) + 1;
+    seen.set(fp, n);
+    if (n <= (existing.get(fp) || 0)) return;
+    added.push({ ...t, id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8) });
+  });
+
+  return { ledger: ledger.concat(added), added: added.length, duplicates: incoming.length - added.length };
+}
+
+function readLedger() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(LEDGER_KEY));
+    return Array.isArray(raw) ? raw : [];
+  } catch (err) {
+    console.warn("Ledger unreadable, starting fresh", err);
+    return [];
+  }
+}
+
+function writeLedger(ledger) {
+  try {
+    localStorage.setItem(LEDGER_KEY, JSON.stringify(ledger));
+    return true;
+  } catch (err) {
+    console.warn("Could not save ledger", err);
+    return false;
+  }
+}
+
+/* ---- Lots + gains ---- */
+
+/* ------------------------------------------------------------
+   Replay the ledger. method "fifo" sells the oldest lots first;
+   "average" keeps one pooled lot per symbol at average cost.
+   Buy fees are added to cost, sell fees reduce proceeds.
+   Returns { holdings, realized, dividends, fees, cash, warnings }.
+------------------------------------------------------------ */
+function computeLedger(transactions, method = "fifo") {
+  // Same-day rows keep their ledger order (oldest-first per import)
+  const ordered = transactions
+    .map((t, i) => ({ t, i }))
+    .sort((a, b) => a.t.date.localeCompare(b.t.date) || a.i - b.i)
+    .map(({ t }) => t);
+  const books = new Map(); // symbol → { assetClass, lots: [{ quantity, cost }], realized, dividends }
+  const warnings = [];
+  let realized = 0;
+  let dividends = 0;
+  let fees = 0;
+  let cash = 0;
+
+  const book = (t) => {
+    if (!books.has(t.symbol)) {
+      books.set(t.symbol, { assetClass: t.assetClass, lots: [], realized: 0, dividends: 0 });
+    }
+    return books.get(t.symbol);
+  };
+
+  ordered.forEach((t) => {
+    const gross = t.quantity * t.price || t.amount;
+
+    switch (t.type) {
+      case "buy": {
+        const b = book(t);
+        const cost = gross + t.fees;
+        if (method === "average" && b.lots.length) {
+          b.lots[0].quantity += t.quantity;
+          b.lots[0].cost += cost;
+        } else {
+          b.lots.push({ quantity: t.quantity, cost, date: t.date });
+        }
+        cash -= cost;
+        fees += t.fees;
+        break;
+      }
+      case "sell": {
+        const b = book(t);
+        let remaining = t.quantity;
+        let costSold = 0;
+        while (remaining > 1e-9 && b.lots.length) {
+          const lot = b.lots[0];
+          const take = Math.min(lot.quantity, remaining);
+          const unitCost = lot.cost / lot.quantity;
+          costSold += take * unitCost;
+          lot.quantity -= take;
+          lot.cost -= take * unitCost;
+          remaining -= take;
+          if (lot.quantity <= 1e-9) b.lots.shift();
+        }
+        if (remaining > 1e-9) {
+          warnings.push(`${t.date}: sold ${remaining} more ${t.symbol} than held`);
+        }
+        const proceeds = gross - t.fees;
+        const soldFraction = t.quantity > 0 ? (t.quantity - Math.max(remaining, 0)) / t.quantity : 0;
+        const gain = proceeds * soldFraction - costSold;
+        b.realized += gain;
+        realized += gain;
+        cash += proceeds;
+        fees += t.fees;
+        break;
+      }
+      case "dividend": {
+        const b = book(t);
+        b.dividends += t.amount;
+        dividends += t.amount;
+        cash += t.amount;
+        break;
+      }
+      case "deposit":
+        cash += t.amount;
+        break;
+      case "withdrawal":
+        cash -= t.amount;
+        break;
+      case "fee":
+        fees += t.amount || t.fees;
+        cash -= t.amount || t.fees;
+        break;
+    }
+  });
+
+  const holdings = [];
+  books.forEach((b, symbol) => {
+    const quantity = b.lots.reduce((sum, l) => sum + l.quantity, 0);
+    const costBasis = b.lots.reduce((sum, l) => sum + l.cost, 0);
+    holdings.push({
+      symbol,
+      assetClass: b.assetClass,
+      quantity,
+      costBasis,
+      avgCost: quantity > 0 ? costBasis / quantity : 0,
+      realized: b.realized,
+      dividends: b.dividends,
+      lots: b.lots.map(l => ({ ...l })),
+    });
+  });
+
+  return { holdings, realized, dividends, fees, cash, warnings };
+}
+
+/* ---- Ledger UI ---- */
+
+// Latest computed ledger + prices, so "Use in portfolio" needn't refetch
+let latestLedgerView = null;
+
+function setLedgerStatus(message, active = false) {
+  const el = document.getElementById("ledger-status");
+  if (!el) return;
+  el.textContent = message;
+  el.classList.toggle("active", active);
+}
+
+function renderLedgerMapping() {
+  const container = document.getElementById("ledger-mapping");
+  const importBtn = document.getElementById("ledger-import-btn");
+  if (!container) return;
+  if (importBtn) importBtn.disabled = !pendingLedgerImport;
+
+  if (!pendingLedgerImport) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const { headers, mapping, rows } = pendingLedgerImport;
+  const options = selected =>
+    `<option value="-1">(not in file)</option>` +
+    headers
+      .map((h, i) => `<option value="${i}"${i === selected ? " selected" : ""}>${escapeHtml(h)}</option>`)
+      .join("");
+
+  container.innerHTML = `
+    <table>
+      <thead><tr><th>Ledger field</th><th>CSV column</th><th>First row</th></tr></thead>
+      <tbody>
+        ${LEDGER_FIELDS.map(
+          field => `
+          <tr>
+            <td>${field}</td>
+            <td><select class="asset-select" data-ledger-field="${field}">${options(mapping[field])}</select></td>
+            <td>${mapping[field] >= 0 && rows[0] ? escapeHtml(rows[0][mapping[field]] || "") : ""}</td>
+          </tr>`
+        ).join("")}
+      </tbody>
+    </table>`;
+}
+
+async function renderLedger() {
+  const method = (document.getElementById("ledger-method") || {}).value || "fifo";
+  const ledger = readLedger();
+  const result = computeLedger(ledger, method);
+  const open = result.holdings.filter(h => h.quantity > 1e-9);
+
+  // Broker exports are in LISTING_CURRENCY; amounts are shown at today's rate,
+  // or left in LISTING_CURRENCY (with prices in other currencies dropped) without one
+  const [prices, rate] = await Promise.all([
+    open.length
+      ? fetchPositionPrices(open.map(h => ({ symbol: h.symbol, assetClass: h.assetClass })))
+      : {},
+    fetchFxRate(),
+  ]);
+  const fx = rate == null ? 1 : rate;
+  const currency = rate == null ? LISTING_CURRENCY : baseCurrency;
+  const money = value => formatMoney(value, 2, currency);
+  const rows = open.map((h) => {
+    const converted = {
+      ...h,
+      avgCost: h.avgCost * fx,
+      costBasis: h.costBasis * fx,
+      realized: h.realized * fx,
+      dividends: h.dividends * fx,
+    };
+    const quote = prices[h.symbol] && prices[h.symbol].currency === currency ? prices[h.symbol] : null;
+    return { ...converted, ...valuePosition({ ...converted, costPerUnit: converted.avgCost }, quote) };
+  });
+  const unrealized = rows.reduce((sum, r) => sum + r.gain, 0);
+  latestLedgerView = { result, rows };
+
+  const setText = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  setText("ledger-realized", formatSignedMoney(result.realized * fx, currency));
+  setText("ledger-unrealized", formatSignedMoney(unrealized, currency));
+  setText("ledger-dividends", money(result.dividends * fx));
+  setText("ledger-fees", money(result.fees * fx));
+  setText("ledger-cash", money(result.cash * fx));
+  setText("ledger-count", `${ledger.length} transactions`);
+
+  const useBtn = document.getElementById("ledger-use-btn");
+  if (useBtn) useBtn.disabled = !rows.length;
+
+  const container = document.getElementById("ledger-holdings");
+  if (!container) return;
+  container.innerHTML = rows.length
+    ? `<table>
+        <thead>
+          <tr>
+            <th>Symbol</th><th>Units</th><th>Avg cost</th><th>Cost basis</th><th>Value</th>
+            <th>Unrealized</th><th>Realized</th><th>Dividends</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              r => `
+            <tr>
+              <td>${escapeHtml(r.symbol)}</td>
+              <td>${+r.quantity.toFixed(6)}</td>
+              <td>${money(r.avgCost)}</td>
+              <td>${money(r.costBasis)}</td>
+              <td>${r.priced ? money(r.marketValue) : "–"}</td>
+              <td class="badge-change ${signClass(r.gain)}">${r.priced ? formatSignedMoney(r.gain, currency) : "–"}</td>
+              <td class="badge-change ${signClass(r.realized)}">${formatSignedMoney(r.realized, currency)}</td>
+              <td>${money(r.dividends)}</td>
+            </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>`
+    : `<div class="small-note">No open holdings – import a CSV to fill the ledger.</div>`;
+
+  if (result.warnings.length) {
+    setLedgerStatus(`Check your ledger: ${result.warnings[0]}` +
+      (result.warnings.length > 1 ? ` (+${result.warnings.length - 1} more)` : ""));
+  }
+}
+
+// Make sure a multi-select offers `value` (broker files hold symbols nobody picked yet)
+function ensureSelectOption(selectId, value, label) {
+  const select = document.getElementById(selectId);
+  if (!select || Array.from(select.options).some(o => o.value === value)) return;
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = label || value;
+  select.appendChild(opt);
+}
+
+/* ------------------------------------------------------------
+   Point the portfolio page at the ledger's open holdings:
+   selections, per-holding weights and class sliders all come
+   from market value (cost basis where no price is available).
+   REITs and bonds go to zero – ETFs count as equities here.
+------------------------------------------------------------ */
+function applyLedgerToPortfolio() {
+  if (!latestLedgerView || !latestLedgerView.rows.length) return;
+  // Coins already map to the crypto list; stock symbols come raw from the file
+  const rows = latestLedgerView.rows.filter(r => r.assetClass === "crypto" || isStockSymbol(r.symbol));
+  const skipped = latestLedgerView.rows.length - rows.length;
+  const value = r => (r.priced ? r.marketValue : r.costBasis);
+
+  const classTotals = {};
+  Object.keys(ASSET_CLASS_LABELS).forEach(k => (classTotals[k] = 0));
+  const byClass = { stocks: [], crypto: [] };
+  rows.forEach((r) => {
+    byClass[r.assetClass].push(r);
+    classTotals[r.assetClass] += value(r);
+  });
+
+  Object.keys(HOLDING_CLASSES).forEach((cls) => {
+    const ids = byClass[cls].map(r => r.symbol);
+    if (cls === "crypto") applyCryptoSelection(ids);
+    else selectStocks(ids);
+    byClass[cls].forEach((r) => {
+      holdingWeights[cls][r.symbol] = classTotals[cls] > 0 ? (value(r) / classTotals[cls]) * 100 : 0;
+    });
+  });
+
+  const grand = Object.values(classTotals).reduce((a, b) => a + b, 0);
+  const keys = Object.keys(ASSET_CLASS_LABELS);
+  const pct = roundToPercentages(keys.map(k => (grand > 0 ? classTotals[k] / grand : 0)));
+  const next = {};
+  keys.forEach((k, i) => (next[k] = pct[i]));
+  setAllocations(next); // recalculates metrics on the real holdings
+
+  setLedgerStatus(
+    `Portfolio now mirrors your ${rows.length} ledger holdings.` +
+      (skipped ? ` Skipped ${skipped} with unrecognised symbols.` : ""),
+    true
+  );
+}
+
+async function readLedgerFile(file) {
+  const presetEl = document.getElementById("ledger-preset");
+  const rows = parseCsv(await file.text());
+  if (rows.length < 2) throw new Error("CSV has no data rows");
+
+  // Some brokers put a title line or two above the header
+  const headerIdx = rows.findIndex(r => r.filter(c => c.trim()).length >= 3);
+  const headers = rows[headerIdx].map(h => h.trim());
+  pendingLedgerImport = {
+    fileName: file.name,
+    headers,
+    rows: rows.slice(headerIdx + 1),
+    mapping: detectColumnMapping(headers, presetEl ? presetEl.value : "generic"),
+  };
+}
+
+function importPendingLedger() {
+  if (!pendingLedgerImport) return;
+  const { rows, mapping, fileName } = pendingLedgerImport;
+  if (mapping.date < 0 || mapping.type < 0) {
+    setLedgerStatus("Map at least the date and type columns.");
+    return;
+  }
+
+  const parsed = rows.map(r => ledgerRowToTransaction(r, mapping));
+  const transactions = oldestFirst(parsed.filter(Boolean));
+  const { ledger, added, duplicates } = mergeTransactions(readLedger(), transactions);
+  if (!writeLedger(ledger)) {
+    setLedgerStatus("Could not save – browser storage may be full.");
+    return;
+  }
+
+  pendingLedgerImport = null;
+  renderLedgerMapping();
+  setLedgerStatus(
+    `${fileName}: imported ${added}, skipped ${duplicates} duplicate${duplicates === 1 ? "" : "s"}` +
+      ` and ${parsed.length - transactions.length} unrecognised row${parsed.length - transactions.length === 1 ? "" : "s"}.`,
+    added > 0
+  );
+  renderLedger();
+}
+
+function initLedger() {
+  const fileEl = document.getElementById("ledger-file");
+  const presetEl = document.getElementById("ledger-preset");
+  const methodEl = document.getElementById("ledger-method");
+  const mappingEl = document.getElementById("ledger-mapping");
+  const importBtn = document.getElementById("ledger-import-btn");
+  const useBtn = document.getElementById("ledger-use-btn");
+  const clearBtn = document.getElementById("ledger-clear-btn");
+  if (!fileEl) return;
+
+  if (presetEl) {
+    presetEl.innerHTML = Object.entries(BROKER_PRESETS)
+      .map(([key, p]) => `<option value="${key}">${p.label}</option>`)
+      .join("");
+    presetEl.addEventListener("change", () => {
+      if (!pendingLedgerImport) return;
+      pendingLedgerImport.mapping = detectColumnMapping(pendingLedgerImport.headers, presetEl.value);
+      renderLedgerMapping();
+    });
+  }
+
+  fileEl.addEventListener("change", async () => {
+    const file = fileEl.files[0];
+    fileEl.value = "";
+    if (!file) return;
+    try {
+      await readLedgerFile(file);
+      renderLedgerMapping();
+      setLedgerStatus(`${file.name}: ${pendingLedgerImport.rows.length} rows. Check the mapping, then import.`);
+    } catch (err) {
+      console.warn("Ledger CSV read failed", err);
+      pendingLedgerImport = null;
+      renderLedgerMapping();
+      setLedgerStatus("Couldn’t read that file as CSV.");
+    }
+  });
+
+  if (mappingEl) {
+    mappingEl.addEventListener("change", (e) => {
+      const field = e.target.dataset.ledgerField;
+      if (!field || !pendingLedgerImport) return;
+      pendingLedgerImport.mapping[field] = parseInt(e.target.value, 10);
+      renderLedgerMapping();
+    });
+  }
+
+  if (importBtn) importBtn.addEventListener("click", importPendingLedger);
+  if (useBtn) useBtn.addEventListener("click", applyLedgerToPortfolio);
+  if (methodEl) methodEl.addEventListener("change", renderLedger);
+  if (clearBtn) {
+    clearBtn.addEventListener("click", () => {
+      if (!window.confirm("Delete every transaction in the ledger?")) return;
+      writeLedger([]);
+      setLedgerStatus("Ledger cleared.");
+      renderLedger();
+    });
+  }
+
+  renderLedgerMapping();
+  renderLedger();
+}
+
+/* ============================================================
+   REBALANCING ASSISTANT (holdings → slider targets trade list)
+   ============================================================
+
+   Targets come from the sliders and holding weights
+   (currentPortfolioHoldings); a class with nothing selected is
+   traded through its BACKTEST_PROXIES symbol. Current holdings
+   come from the positions tracker or the ledger. planRebalance()
+   is pure: it sizes whole shares for stocks and fractional units
+   for crypto, drops trades under the minimum, and never spends
+   more cash than new cash plus sale proceeds.
+   ============================================================ */
+
+const CRYPTO_UNIT_DECIMALS = 6;
+
+// [{ symbol, assetClass, weight }] the portfolio should hold
+function rebalanceTargets() {
+  return currentPortfolioHoldings()
+    .filter(h => h.weight > 0)
+    .map(h => ({
+      symbol: h.fallback ? BACKTEST_PROXIES[h.assetClass] : h.id,
+      assetClass: h.assetClass,
+      weight: h.weight,
+    }));
+}
+
+// [{ symbol, assetClass, quantity }] from positions or the ledger
+function rebalanceHoldings(source) {
+  if (source === "ledger") {
+    const method = (document.getElementById("ledger-method") || {}).value || "fifo";
+    return computeLedger(readLedger(), method)
+      .holdings.filter(h => h.quantity > 1e-9)
+      .map(h => ({ symbol: h.symbol, assetClass: h.assetClass, quantity: h.quantity }));
+  }
+
+  const bySymbol = new Map();
+  readPositions().forEach((p) => {
+    const held = bySymbol.get(p.symbol) || { symbol: p.symbol, assetClass: p.assetClass, quantity: 0 };
+    held.quantity += p.quantity;
+    bySymbol.set(p.symbol, held);
+  });
+  return [...bySymbol.values()];
+}
+
+function roundUnits(units, assetClass, mode = "floor") {
+  if (assetClass !== "crypto") return Math[mode](units + 1e-9);
+  const scale = 10 ** CRYPTO_UNIT_DECIMALS;
+  return Math[mode](units * scale + 1e-9) / scale;
+}
+
+/* ------------------------------------------------------------
+   holdings: [{ symbol, assetClass, quantity }]
+   targets:  [{ symbol, assetClass, weight }]  (weights ≤ 1 total)
+   prices:   { [symbol]: { price } }
+   Returns { trades, rows, cashLeft, unpriced } where rows carry
+   before/after value per symbol for the metrics comparison.
+------------------------------------------------------------ */
+function planRebalance({ holdings, targets, prices, newCash = 0, minTrade = 0, noSells = false }) {
+  const rowsBySymbol = new Map();
+  const row = (symbol, assetClass) => {
+    if (!rowsBySymbol.has(symbol)) {
+      rowsBySymbol.set(symbol, { symbol, assetClass, quantity: 0, weight: 0 });
+    }
+    return rowsBySymbol.get(symbol);
+  };
+  holdings.forEach(h => (row(h.symbol, h.assetClass).quantity += h.quantity));
+  targets.forEach(t => (row(t.symbol, t.assetClass).weight += t.weight));
+
+  const all = [...rowsBySymbol.values()];
+  const unpriced = all.filter(r => !(prices[r.symbol] && prices[r.symbol].price > 0));
+  const rows = all
+    .filter(r => !unpriced.includes(r))
+    .map(r => {
+      const price = prices[r.symbol].price;
+      return { ...r, price, before: r.quantity * price };
+    });
+
+  const total = rows.reduce((sum, r) => sum + r.before, 0) + newCash;
+  rows.forEach((r) => {
+    r.target = total * r.weight;
+    r.desired = r.target - r.before;
+  });
+
+  // No-sells: spread new cash over the underweight holdings only
+  if (noSells) {
+    const deficit = rows.reduce((sum, r) => sum + Math.max(r.desired, 0), 0);
+    const scale = deficit > 0 ? Math.min(1, newCash / deficit) : 0;
+    rows.forEach((r) => (r.desired = Math.max(r.desired, 0) * scale));
+  }
+
+  rows.forEach((r) => {
+    const units = r.desired / r.price;
+    r.units =
+      units < 0
+        ? -Math.min(roundUnits(-units, r.assetClass, "round"), r.quantity)
+        : roundUnits(units, r.assetClass);
+    if (Math.abs(r.units * r.price) < minTrade) r.units = 0;
+  });
+
+  // Rounding can overspend by a share or two; trim the largest buys
+  let cashLeft = newCash - rows.reduce((sum, r) => sum + r.units * r.price, 0);
+  while (cashLeft < -1e-6) {
+    const buy = rows.filter(r => r.units > 0).sort((a, b) => b.units * b.price - a.units * a.price)[0];
+    if (!buy) break;
+    const trim = Math.min(buy.units, roundUnits(-cashLeft / buy.price, buy.assetClass, "ceil"));
+    buy.units -= trim;
+    if (buy.units * buy.price < minTrade) {
+      cashLeft += buy.units * buy.price;
+      buy.units = 0;
+    }
+    cashLeft += trim * buy.price;
+  }
+
+  rows.forEach((r) => (r.after = (r.quantity + r.units) * r.price));
+  const trades = rows
+    .filter(r => r.units !== 0)
+    .map(r => ({
+      symbol: r.symbol,
+      assetClass: r.assetClass,
+      action: r.units > 0 ? "buy" : "sell",
+      units: Math.abs(r.units),
+      price: r.price,
+      amount: Math.abs(r.units * r.price),
+    }))
+    .sort((a, b) => (a.action === b.action ? b.amount - a.amount : a.action === "sell" ? -1 : 1));
+
+  return { trades, rows, cashLeft, total, unpriced: unpriced.map(r => r.symbol) };
+}
+
+// Holdings list (portfolio fractions) for calculatePortfolioMetrics; cash is the remainder
+function rebalanceMetricsHoldings(rows, key, total) {
+  return rows
+    .filter(r => r[key] > 0 && total > 0)
+    .map(r => ({ id: r.symbol, assetClass: r.assetClass, weight: r[key] / total }));
+}
+
+/* ---- Rebalancing UI ---- */
+
+function setRebalanceStatus(message, active = false) {
+  const el = document.getElementById("rebalance-status");
+  if (!el) return;
+  el.textContent = message;
+  el.classList.toggle("active", active);
+}
+
+function renderRebalanceTrades(plan) {
+  const container = document.getElementById("rebalance-trades");
+  if (!container) return;
+
+  if (!plan.trades.length) {
+    container.innerHTML = `<div class="small-note">Already within your targets – no trades needed.</div>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <table>
+      <thead>
+        <tr><th>Action</th><th>Symbol</th><th>Units</th><th>Price</th><th>Amount</th></tr>
+      </thead>
+      <tbody>
+        ${plan.trades
+          .map(
+            t => `
+          <tr>
+            <td class="badge-change ${t.action === "buy" ? "positive" : "negative"}">${t.action.toUpperCase()}</td>
+            <td>${escapeHtml(t.symbol.toUpperCase())}</td>
+            <td>${t.assetClass === "crypto" ? t.units.toFixed(CRYPTO_UNIT_DECIMALS) : t.units}</td>
+            <td>${formatMoney(t.price)}</td>
+            <td>${formatMoney(t.amount)}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>`;
+}
+
+function renderRebalanceMetrics(before, after) {
+  const line = (id, a, b, digits, suffix) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = `${a.toFixed(digits)}${suffix} → ${b.toFixed(digits)}${suffix}`;
+  };
+  line("rebalance-return", before.expReturn, after.expReturn, 1, "%");
+  line("rebalance-vol", before.sigma, after.sigma, 1, "%");
+  line("rebalance-sharpe", before.sharpe, after.sharpe, 2, "");
+}
+
+async function handleRebalance() {
+  const source = (document.getElementById("rebalance-source") || {}).value || "positions";
+  const newCash = Math.max(parseFloat((document.getElementById("rebalance-cash") || {}).value) || 0, 0);
+  const minTrade = Math.max(parseFloat((document.getElementById("rebalance-min") || {}).value) || 0, 0);
+  const noSellsEl = document.getElementById("rebalance-no-sells");
+  const noSells = Boolean(noSellsEl && noSellsEl.checked);
+  const btn = document.getElementById("rebalance-btn");
+
+  const holdings = rebalanceHoldings(source);
+  const targets = rebalanceTargets();
+  if (!holdings.length && !newCash) {
+    setRebalanceStatus(
+      source === "ledger"
+        ? "The ledger has no open holdings – import transactions or add new cash."
+        : "Add positions above, or enter new cash to invest."
+    );
+    return;
+  }
+
+  if (btn) btn.disabled = true;
+  setRebalanceStatus("Fetching prices…");
+  try {
+    const symbols = [...holdings, ...targets].map(h => ({ symbol: h.symbol, assetClass: h.assetClass }));
+    // Prices left in LISTING_CURRENCY (no FX rate) can't be traded against base-currency cash
+    const prices = Object.fromEntries(
+      Object.entries(await fetchPositionPrices(symbols)).filter(([, p]) => p.currency === baseCurrency)
+    );
+    const plan = planRebalance({ holdings, targets, prices, newCash, minTrade, noSells });
+    renderRebalanceTrades(plan);
+
+    setRebalanceStatus("Comparing before and after…");
+    const [before, after] = await Promise.all([
+      calculatePortfolioMetrics(rebalanceMetricsHoldings(plan.rows, "before", plan.total)),
+      calculatePortfolioMetrics(rebalanceMetricsHoldings(plan.rows, "after", plan.total)),
+    ]);
+    renderRebalanceMetrics(before, after);
+
+    let message = `${plan.trades.length} trade${plan.trades.length === 1 ? "" : "s"}; ` +
+      `${formatMoney(plan.cashLeft)} cash left over.`;
+    if (plan.unpriced.length) message += ` No price for ${plan.unpriced.join(", ")} – left out.`;
+    setRebalanceStatus(message, true);
+  } catch (err) {
+    console.warn("Rebalance failed", err);
+    setRebalanceStatus("Couldn’t build a trade list right now.");
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// NAVBAR & HERO 3D EFFECT
+window.addEventListener("scroll", () => {
+  const navbar = document.getElementById("navbar");
+  if (navbar) {
+    if (window.scrollY > 60) navbar.classList.add("scrolled");
+    else navbar.classList.remove("scrolled");
+  }
+
+  const heroInner = document.querySelector(".hero-inner");
+  if (!heroInner) return;
+  const rect = heroInner.getBoundingClientRect();
+  const center = window.innerHeight / 2;
+  const offset = (rect.top + rect.height / 2 - center) / window.innerHeight;
+  const copy = document.querySelector(".hero-copy");
+  const vis = document.querySelector(".hero-visual");
+  const tilt = offset * 18;
+  if (copy) copy.style.transform = `rotateY(${tilt * 0.5}deg)`;
+  if (vis) vis.style.transform = `rotateY(${tilt * -0.5}deg)`;
+});
+
+// THREE.JS BACKGROUND
+function initThreeBackground() {
+  const canvas = document.getElementById("bg-canvas");
+  if (!canvas || typeof THREE === "undefined") return;
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(
+    60,
+    window.innerWidth / window.innerHeight,
+    0.1,
+    1000
+  );
+  const renderer = new THREE.WebGLRenderer({
+    canvas,
+    alpha: true,
+    antialias: true,
+  });
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  camera.position.set(0, 0, 6);
+
+  const geo = new THREE.IcosahedronGeometry(2.3, 1);
+  const mat = new THREE.MeshBasicMaterial({
+    color: 0x2d6a4f,
+    wireframe: true,
+    transparent: true,
+    opacity: 0.18,
+  });
+  const ico = new THREE.Mesh(geo, mat);
+  scene.add(ico);
+
+  const pGeo = new THREE.BufferGeometry();
+  const pCount = 1200;
+  const pos = new Float32Array(pCount * 3);
+  for (let i = 0; i < pCount * 3; i++) {
+    pos[i] = (Math.random() - 0.5) * 60;
+  }
+  pGeo.setAttribute("position", new THREE.BufferAttribute(pos, 3));
+  const pMat = new THREE.PointsMaterial({
+    size: 0.05,
+    color: 0xd4af37,
+    transparent: true,
+    opacity: 0.6,
+  });
+  const points = new THREE.Points(pGeo, pMat);
+  scene.add(points);
+
+  function animate() {
+    requestAnimationFrame(animate);
+    const scrollFactor = window.scrollY / (window.innerHeight * 2);
+    ico.rotation.x += 0.002 + scrollFactor * 0.004;
+    ico.rotation.y += 0.003 + scrollFactor * 0.004;
+    points.rotation.y += 0.0007;
+    renderer.render(scene, camera);
+  }
+
+  animate();
+
+  window.addEventListener("resize", () => {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+  });
+}
+
+// PORTFOLIO DATA & SLIDERS
+const allocations = {
+  stocks: 40,
+  reits: 20,
+  bonds: 30,
+  crypto: 10,
+};
+
+const expectedReturns = {
+  stocks: 10.5,
+  reits: 8.0,
+  bonds: 3.5,
+  crypto: 45.0,
+};
+
+const volatilities = {
+  stocks: 15,
+  reits: 12,
+  bonds: 5,
+  crypto: 75,
+};
+
+// Annual risk-free rate (%) until the T-bill yield loads (see loadRiskFreeRate)
+const DEFAULT_RISK_FREE_RATE = 2.5;
+
+const ASSET_CLASS_LABELS = {
+  stocks: "Equities",
+  reits: "REITs",
+  bonds: "Bonds",
+  crypto: "Crypto",
+};
+
+const STOCK_LIST = [
+  { symbol: "AAPL", name: "Apple Inc." },
+  { symbol: "MSFT", name: "Microsoft Corporation" },
+  { symbol: "GOOGL", name: "Alphabet Inc. (Class A)" },
+  { symbol: "AMZN", name: "Amazon.com Inc." },
+  { symbol: "META", name: "Meta Platforms Inc." },
+  { symbol: "TSLA", name: "Tesla Inc." },
+  { symbol: "NVDA", name: "NVIDIA Corporation" },
+  { symbol: "BRK.B", name: "Berkshire Hathaway Inc. (Class B)" },
+  { symbol: "JPM", name: "JPMorgan Chase & Co." },
+  { symbol: "V", name: "Visa Inc." },
+  { symbol: "UNH", name: "UnitedHealth Group Inc." },
+  { symbol: "XOM", name: "Exxon Mobil Corporation" },
+  { symbol: "PG", name: "Procter & Gamble Co." },
+  { symbol: "JNJ", name: "Johnson & Johnson" },
+  { symbol: "HD", name: "Home Depot Inc." },
+  { symbol: "BAC", name: "Bank of America Corporation" },
+  { symbol: "KO", name: "Coca-Cola Company" },
+  { symbol: "PEP", name: "PepsiCo Inc." },
+  { symbol: "NFLX", name: "Netflix Inc." },
+  { symbol: "DIS", name: "Walt Disney Company" },
+  { symbol: "ADBE", name: "Adobe Inc." },
+  { symbol: "INTC", name: "Intel Corporation" },
+  { symbol: "CSCO", name: "Cisco Systems Inc." },
+  { symbol: "WMT", name: "Walmart Inc." },
+  { symbol: "NKE", name: "Nike Inc." },
+  { symbol: "MCD", name: "McDonald's Corporation" },
+  { symbol: "PFE", name: "Pfizer Inc." },
+  { symbol: "T", name: "AT&T Inc." },
+  { symbol: "ORCL", name: "Oracle Corporation" },
+  { symbol: "CRM", name: "Salesforce Inc." },
+  { symbol: "BABA", name: "Alibaba Group Holding Ltd." },
+  { symbol: "TSM", name: "Taiwan Semiconductor Mfg." },
+  { symbol: "SHOP", name: "Shopify Inc." },
+  { symbol: "SQ", name: "Block Inc." },
+  { symbol: "SPY", name: "SPDR S&P 500 ETF Trust" },
+  { symbol: "QQQ", name: "Invesco QQQ Trust" },
+];
+
+let allocationChart,
+  growthChart,
+  correlationChart,
+  volatilityChart,
+  riskReturnChart,
+  monteCarloChart,
+  backtestChart,
+  strategyChart;
+
+const chartColors = {
+  stocks: "#52b788",
+  reits: "#40916c",
+  bonds: "#74c69d",
+  crypto: "#d4af37",
+};
+
+function ensureChart(ctx, type, config) {
+  if (!ctx || typeof Chart === "undefined") return null;
+  if (ctx._chartInstance) {
+    ctx._chartInstance.config.type = type;
+    ctx._chartInstance.config.data = config.data;
+    ctx._chartInstance.config.options = config.options;
+    ctx._chartInstance.update();
+    return ctx._chartInstance;
+  } else {
+    const chart = new Chart(ctx, { type, data: config.data, options: config.options });
+    ctx._chartInstance = chart;
+    return chart;
+  }
+}
+
+function updateAllocationDisplays() {
+  const total =
+    allocations.stocks + allocations.reits + allocations.bonds + allocations.crypto;
+  const totalEl = document.getElementById("total-allocation");
+  if (totalEl) {
+    totalEl.textContent = `${total}%`;
+    totalEl.style.color = total === 100 ? "var(--gold)" : "var(--warning)";
+  }
+
+  const ids = ["stocks", "reits", "bonds", "crypto"];
+  ids.forEach((k) => {
+    const el = document.getElementById(`${k}-value`);
+    if (el) el.textContent = allocations[k];
+  });
+
+  calculatePortfolioMetrics();
+}
+
+/* ============================================================
+   HOLDING WEIGHTS (per-ticker split inside an asset class)
+   ============================================================
+
+   holdingWeights[assetClass][id] is the holding's share of its
+   class in percent. The sliders still set the class totals; a
+   holding's portfolio weight is  class % × its share, after
+   normalising over the holdings currently selected. Entries for
+   deselected holdings are kept, so re-selecting restores them.
+   ============================================================ */
+
+const HOLDING_CLASSES = { stocks: "stock-select", crypto: "crypto-select" };
+
+const holdingWeights = { stocks: {}, crypto: {} };
+
+// Doughnut drill-down: null = asset classes, otherwise the class shown
+let allocationDrillClass = null;
+
+// Scale a { id: weight } map so it sums to 100; all-zero → equal split
+function normalizeWeights(weights) {
+  const ids = Object.keys(weights);
+  const total = ids.reduce((sum, id) => sum + Math.max(0, weights[id] || 0), 0);
+  const out = {};
+  ids.forEach((id) => {
+    out[id] = total > 0 ? (Math.max(0, weights[id] || 0) / total) * 100 : 100 / ids.length;
+  });
+  return out;
+}
+
+function equalWeights(ids) {
+  const out = {};
+  ids.forEach((id) => (out[id] = 100 / ids.length));
+  return out;
+}
+
+function isEqualWeighted(weights) {
+  const values = Object.values(weights);
+  return values.every(v => Math.abs(v - values[0]) < 0.05);
+}
+
+// Raw weights of `ids`; holdings seen for the first time join at the average
+function syncHoldingWeights(assetClass, ids) {
+  const current = holdingWeights[assetClass];
+  const known = ids.filter(id => id in current);
+  const avg = known.length
+    ? known.reduce((sum, id) => sum + current[id], 0) / known.length
+    : 100 / Math.max(ids.length, 1);
+
+  const out = {};
+  ids.forEach((id) => {
+    if (!(id in current)) current[id] = avg;
+    out[id] = current[id];
+  });
+  return out;
+}
+
+// { stocks: { id: weight }, crypto: {...} } for the current selections
+function selectedHoldingWeights() {
+  const out = {};
+  Object.entries(HOLDING_CLASSES).forEach(([cls, selectId]) => {
+    out[cls] = syncHoldingWeights(cls, selectedValues(selectId));
+  });
+  return out;
+}
+
+// Fractions (summing to 1) of the class held in each of `ids`
+function holdingFractions(assetClass, ids) {
+  const normalized = normalizeWeights(syncHoldingWeights(assetClass, ids));
+  return ids.map(id => normalized[id] / 100);
+}
+
+function setHoldingWeights(assetClass, weights) {
+  Object.assign(holdingWeights[assetClass], weights);
+  calculatePortfolioMetrics();
+  syncRouteState();
+}
+
+/* ---- URL / snapshot encoding: "AAPL:30,NFLX:2" ---- */
+
+// Equal-weighted classes are left out to keep links short
+function holdingWeightsParam(weightsByClass) {
+  return Object.values(weightsByClass)
+    .filter(w => !isEqualWeighted(w))
+    .flatMap(w => Object.entries(w).map(([id, v]) => `${id}:${+v.toFixed(1)}`))
+    .join(",");
+}
+
+function parseHoldingWeightsParam(value) {
+  const out = {};
+  splitParam(value).forEach((pair) => {
+    const idx = pair.lastIndexOf(":");
+    const w = parseFloat(pair.slice(idx + 1));
+    if (idx > 0 && Number.isFinite(w) && w >= 0) out[pair.slice(0, idx)] = w;
+  });
+  return out;
+}
+
+// Assign parsed { id: weight } entries to the class whose select lists them
+function applyHoldingWeights(byId, selections) {
+  Object.keys(HOLDING_CLASSES).forEach((cls) => {
+    if (!selections[cls].some(id => id in byId)) return;
+    selections[cls].forEach((id) => {
+      holdingWeights[cls][id] = id in byId ? byId[id] : 0;
+    });
+  });
+}
+
+/* ---- Holdings table ---- */
+
+function renderHoldingsTable() {
+  const container = document.getElementById("holdings-table");
+  if (!container) return;
+
+  const sections = Object.entries(HOLDING_CLASSES)
+    .map(([cls, selectId]) => {
+      const ids = selectedValues(selectId);
+      if (!ids.length) return "";
+      const weights = syncHoldingWeights(cls, ids);
+      const fractions = holdingFractions(cls, ids);
+      const total = ids.reduce((sum, id) => sum + weights[id], 0);
+      const rows = ids
+        .map(
+          (id, i) => `
+          <tr>
+            <td>${escapeHtml(id)}</td>
+            <td><input type="number" min="0" max="100" step="0.1"
+                 data-holding-class="${cls}" data-holding-id="${escapeHtml(id)}"
+                 value="${+weights[id].toFixed(1)}" /></td>
+            <td>${(fractions[i] * allocations[cls]).toFixed(1)}%</td>
+          </tr>`
+        )
+        .join("");
+      return `
+        <tbody>
+          <tr class="holdings-class-row">
+            <th>${ASSET_CLASS_LABELS[cls]} (${allocations[cls]}%)</th>
+            <th class="${Math.abs(total - 100) < 0.05 ? "" : "warn"}">${total.toFixed(1)}% of class</th>
+            <th>
+              <button class="link-button" data-holding-normalize="${cls}">Normalise</button>
+              <button class="link-button" data-holding-equal="${cls}">Equal</button>
+            </th>
+          </tr>
+          ${rows}
+        </tbody>`;
+    })
+    .join("");
+
+  container.innerHTML = sections
+    ? `<table>
+        <thead><tr><th>Holding</th><th>% of class</th><th>% of portfolio</th></tr></thead>
+        ${sections}
+      </table>`
+    : `<div class="small-note">Select stocks or digital assets above to set their weights.</div>`;
+}
+
+function initHoldingsTable() {
+  const container = document.getElementById("holdings-table");
+  if (!container) return;
+
+  // Delegated so the table can be re-rendered freely
+  container.addEventListener("change", (e) => {
+    const input = e.target.closest("input[data-holding-id]");
+    if (!input) return;
+    const value = parseFloat(input.value);
+    setHoldingWeights(input.dataset.holdingClass, {
+      [input.dataset.holdingId]: Number.isFinite(value) ? Math.min(Math.max(value, 0), 100) : 0,
+    });
+  });
+
+  container.addEventListener("click", (e) => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+    const cls = btn.dataset.holdingNormalize || btn.dataset.holdingEqual;
+    if (!cls) return;
+    const ids = selectedValues(HOLDING_CLASSES[cls]);
+    setHoldingWeights(
+      cls,
+      btn.dataset.holdingNormalize
+        ? normalizeWeights(syncHoldingWeights(cls, ids))
+        : equalWeights(ids)
+    );
+  });
+
+  renderHoldingsTable();
+}
+
+/* ============================================================
+   RISK-FREE RATE (3-month T-bill or a manual setting)
+   ============================================================ */
+
+const RISK_FREE_KEY = "investiq:risk-free";
+
+// What Sharpe, Sortino, alpha and the optimizer measure against (percent)
+let riskFreeRate = { rate: DEFAULT_RISK_FREE_RATE, source: "default", date: null };
+
+function currentRiskFreeRate() {
+  return riskFreeRate.rate;
+}
+
+function readRiskFreeSetting() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RISK_FREE_KEY));
+    if (saved && saved.mode === "manual" && Number.isFinite(saved.manual)) return saved;
+  } catch (err) {
+    console.warn("Risk-free setting unreadable", err);
+  }
+  return { mode: "auto", manual: DEFAULT_RISK_FREE_RATE };
+}
+
+function writeRiskFreeSetting(setting) {
+  try {
+    localStorage.setItem(RISK_FREE_KEY, JSON.stringify(setting));
+  } catch (err) {
+    console.warn("Could not save risk-free setting", err);
+  }
+}
+
+async function loadRiskFreeRate() {
+  const setting = readRiskFreeSetting();
+  if (setting.mode === "manual") {
+    riskFreeRate = { rate: setting.manual, source: "manual", date: null };
+  } else {
+    try {
+      const latest = await cachedFetch("treasuryYield", "3month", () =>
+        dataProviders.stocks.treasuryYield({ maturity: "3month" })
+      );
+      riskFreeRate = { rate: latest.rate, source: "treasury", date: latest.date };
+    } catch (err) {
+      console.warn("Treasury yield error, using default risk-free rate", err);
+      riskFreeRate = { rate: DEFAULT_RISK_FREE_RATE, source: "default", date: null };
+    }
+  }
+  renderRiskFreeNote();
+  return riskFreeRate;
+}
+
+function renderRiskFreeNote() {
+  const { rate, source, date } = riskFreeRate;
+  const text =
+    source === "treasury"
+      ? `Risk-adjusted vs the ${rate.toFixed(2)}% 3-month T-bill yield (${date}).`
+      : source === "manual"
+      ? `Risk-adjusted vs your ${rate.toFixed(2)}% risk-free rate.`
+      : `Risk-adjusted vs a ${rate.toFixed(2)}% risk-free rate (T-bill yield unavailable).`;
+  // Sharpe, Sortino and the optimizer measure base-currency returns against it
+  const usdRate =
+    source !== "manual" && baseCurrency !== LISTING_CURRENCY
+      ? ` That is a ${LISTING_CURRENCY} rate – pick “Manual rate” to use a ${baseCurrency} one.`
+      : "";
+  const el = document.getElementById("rf-note");
+  if (el) el.textContent = text + usdRate;
+}
+
+function initRiskFreeSetting() {
+  const modeEl = document.getElementById("rf-mode");
+  const manualEl = document.getElementById("rf-manual");
+  const setting = readRiskFreeSetting();
+  if (modeEl) modeEl.value = setting.mode;
+  if (manualEl) {
+    manualEl.value = setting.manual;
+    manualEl.disabled = setting.mode !== "manual";
+  }
+
+  const apply = async () => {
+    const manual = parseFloat(manualEl ? manualEl.value : "");
+    const mode = modeEl ? modeEl.value : "auto";
+    writeRiskFreeSetting({
+      mode,
+      manual: Number.isFinite(manual) ? manual : DEFAULT_RISK_FREE_RATE,
+    });
+    if (manualEl) manualEl.disabled = mode !== "manual";
+    await loadRiskFreeRate();
+    calculatePortfolioMetrics();
+  };
+  if (modeEl) modeEl.addEventListener("change", apply);
+  if (manualEl) manualEl.addEventListener("change", apply);
+
+  loadRiskFreeRate().then(() => calculatePortfolioMetrics());
+}
+
+/* ============================================================
+   DOWNSIDE RISK METRICS (VaR, CVaR, drawdown, Sortino, beta)
+   ============================================================
+
+   Everything here is read off the daily price series already
+   in the latest risk model. The portfolio's daily return is the
+   weighted mean of its measured holdings' returns (weights
+   re-scaled over the measured part, i.e. daily rebalancing);
+   holdings without history are left out and reported as lower
+   coverage. VaR and CVaR are 1-day losses as positive percents.
+   ============================================================ */
+
+const VAR_LEVELS = [0.95, 0.99];
+const NORMAL_QUANTILES = { 0.95: 1.6448536, 0.99: 2.3263479 };
+const RISK_BENCHMARK = "SPY";
+
+function normalPdf(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+function simpleReturns(closes) {
+  const out = [];
+  for (let t = 1; t < closes.length; t++) out.push(closes[t] / closes[t - 1] - 1);
+  return out;
+}
+
+// Daily portfolio returns + value index from a risk model; null without history
+function portfolioReturnSeries(model) {
+  if (!model) return null;
+  const idx = model.assets
+    .map((a, i) => i)
+    .filter(i => model.assets[i].series && model.assets[i].weight > 0);
+  const measuredWeight = idx.reduce((sum, i) => sum + model.assets[i].weight, 0);
+  if (!idx.length || measuredWeight <= 0) return null;
+
+  const aligned = alignSeriesByDate(idx.map(i => model.assets[i].series));
+  if (aligned.dates.length <= MIN_ALIGNED_RETURNS) return null;
+
+  const assetReturns = aligned.closes.map(simpleReturns);
+  const returns = assetReturns[0].map((_, t) =>
+    idx.reduce((sum, i, k) => sum + (model.assets[i].weight / measuredWeight) * assetReturns[k][t], 0)
+  );
+  const values = [1];
+  returns.forEach(r => values.push(values[values.length - 1] * (1 + r)));
+
+  const totalWeight = model.assets.reduce((sum, a) => sum + a.weight, 0);
+  return {
+    dates: aligned.dates,
+    returns,
+    values,
+    coverage: totalWeight > 0 ? measuredWeight / totalWeight : 0,
+  };
+}
+
+// Empirical: loss at the (1 − level) quantile and the mean loss beyond it
+function historicalVaR(returns, level) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const cutoff = Math.max(Math.floor((1 - level) * sorted.length), 1);
+  return {
+    var: -percentileOfSorted(sorted, (1 - level) * 100),
+    cvar: -mean(sorted.slice(0, cutoff)),
+  };
+}
+
+// Normal: μ − zσ, and the closed-form expected shortfall
+function parametricVaR(returns, level) {
+  const mu = mean(returns);
+  const sigma = stdDev(returns);
+  const z = NORMAL_QUANTILES[level];
+  return {
+    var: -(mu - z * sigma),
+    cvar: -(mu - (sigma * normalPdf(z)) / (1 - level)),
+  };
+}
+
+// OLS beta of portfolio vs benchmark on common dates; Jensen's alpha annualised
+function betaAlpha(portfolio, benchmark, rfAnnual) {
+  const aligned = alignSeriesByDate([
+    { dates: portfolio.dates, closes: portfolio.values },
+    benchmark,
+  ]);
+  if (aligned.dates.length <= MIN_ALIGNED_RETURNS) return null;
+
+  const rp = simpleReturns(aligned.closes[0]);
+  const rm = simpleReturns(aligned.closes[1]);
+  const mp = mean(rp);
+  const mm = mean(rm);
+  let cov = 0;
+  let varM = 0;
+  for (let t = 0; t < rp.length; t++) {
+    cov += (rp[t] - mp) * (rm[t] - mm);
+    varM += (rm[t] - mm) ** 2;
+  }
+  if (varM <= 0) return null;
+
+  const beta = cov / varM;
+  const ppy = periodsPerYear(aligned.dates);
+  const rfDaily = rfAnnual / ppy;
+  return { beta, alpha: (mp - rfDaily - beta * (mm - rfDaily)) * ppy, days: rp.length };
+}
+
+/* ------------------------------------------------------------
+   All downside metrics for a risk model. rfPct is the annual
+   risk-free rate in percent; benchmark is { dates, closes } or
+   null. Returns null when there isn't enough history.
+------------------------------------------------------------ */
+function computeRiskMetrics(model, rfPct, benchmark) {
+  const series = portfolioReturnSeries(model);
+  if (!series) return null;
+
+  const { dates, returns, values } = series;
+  const ppy = periodsPerYear(dates);
+  const rf = rfPct / 100;
+  const rfDaily = rf / ppy;
+
+  const valueAtRisk = {};
+  VAR_LEVELS.forEach((level) => {
+    valueAtRisk[level] = {
+      historical: historicalVaR(returns, level),
+      parametric: parametricVaR(returns, level),
+    };
+  });
+
+  const downside = Math.sqrt(mean(returns.map(r => Math.min(r - rfDaily, 0) ** 2))) * Math.sqrt(ppy);
+  const annualReturn = mean(returns) * ppy;
+  const drawdown = maxDrawdown(values);
+  const cagr = cagrFromSeries(dates, values);
+
+  return {
+    days: returns.length,
+    coverage: series.coverage,
+    valueAtRisk,
+    maxDrawdown: drawdown,
+    sortino: downside > 0 ? (annualReturn - rf) / downside : null,
+    calmar: drawdown < 0 ? cagr / -drawdown : null,
+    benchmark: benchmark ? betaAlpha(series, benchmark, rf) : null,
+  };
+}
+
+/* ---- Downside risk UI ---- */
+
+function renderRiskMetrics(metrics) {
+  const set = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  const pct = (v, digits = 2) => (v == null ? "–" : `${(v * 100).toFixed(digits)}%`);
+  const ratio = v => (v == null || !Number.isFinite(v) ? "–" : v.toFixed(2));
+
+  if (!metrics) {
+    ["var-95", "var-99", "cvar-95", "cvar-99", "max-drawdown", "sortino", "calmar", "beta"].forEach(
+      id => set(id, "–")
+    );
+    set("risk-metrics-note", "Not enough overlapping price history for downside metrics yet.");
+    return;
+  }
+
+  VAR_LEVELS.forEach((level) => {
+    const key = Math.round(level * 100);
+    const { historical, parametric } = metrics.valueAtRisk[level];
+    set(`var-${key}`, `${pct(historical.var)} / ${pct(parametric.var)}`);
+    set(`cvar-${key}`, `${pct(historical.cvar)} / ${pct(parametric.cvar)}`);
+  });
+  set("max-drawdown", pct(metrics.maxDrawdown, 1));
+  set("sortino", ratio(metrics.sortino));
+  set("calmar", ratio(metrics.calmar));
+
+  const b = metrics.benchmark;
+  set("beta", b ? `${b.beta.toFixed(2)} / ${pct(b.alpha, 1)}` : "–");
+
+  let note = `From ${metrics.days} daily returns`;
+  if (metrics.coverage < 0.999) {
+    note += ` covering ${Math.round(metrics.coverage * 100)}% of the portfolio (holdings without price history are left out)`;
+  }
+  set("risk-metrics-note", note + ".");
+}
+
+// Called after every live metrics run; isLatest guards against slower older runs
+async function updateRiskMetrics(model, isLatest) {
+  const benchmarkStats = await fetchHistoricalVolatility(RISK_BENCHMARK);
+  if (!isLatest()) return;
+  const benchmark = benchmarkStats.dates
+    ? { dates: benchmarkStats.dates, closes: benchmarkStats.closes }
+    : null;
+  renderRiskMetrics(computeRiskMetrics(model, currentRiskFreeRate(), benchmark));
+}
+
+/* ============================================================
+   LIVE PORTFOLIO METRICS (REAL STOCK DATA)
+   ============================================================ */
+
+// Bumped on every calculatePortfolioMetrics call so stale runs don't render
+let metricsRunId = 0;
+
+/* ------------------------------------------------------------
+   "3 of 10 symbols loaded" badge while market data is queued
+------------------------------------------------------------ */
+const dataProgress = { done: 0, total: 0 };
+
+function startDataProgress(total) {
+  dataProgress.done = 0;
+  dataProgress.total = total;
+  renderDataProgress();
+}
+
+function tickDataProgress() {
+  dataProgress.done = Math.min(dataProgress.done + 1, dataProgress.total);
+  renderDataProgress();
+}
+
+function renderDataProgress() {
+  const el = document.getElementById("data-progress");
+  if (!el) return;
+
+  const { done, total } = dataProgress;
+  if (!total || done >= total) {
+    el.classList.add("hidden");
+    return;
+  }
+
+  const queue = alphaScheduler.state();
+  let text = `${done} of ${total} symbols loaded`;
+  if (queue.usedToday >= queue.perDay) {
+    text += " – Alpha Vantage daily limit reached, using estimates";
+  } else if (queue.waitMs > 0) {
+    text += ` – waiting ${Math.ceil(queue.waitMs / 1000)}s for the Alpha Vantage rate limit`;
+  }
+  el.textContent = text;
+  el.classList.remove("hidden");
+}
+
+/* ============================================================
+   CLASS PROXIES (REITs and bonds priced through an ETF)
+   ============================================================
+
+   REITs and bonds have no symbol picker, so each is represented
+   by one ETF that runs through the same history → return /
+   volatility pipeline as a selected stock. The choice is stored
+   under CLASS_PROXIES_KEY; an empty choice keeps the static
+   expectedReturns / volatilities assumptions for that class.
+   ============================================================ */
+
+const CLASS_PROXIES_KEY = "investiq:class-proxies";
+const CLASS_PROXY_CHOICES = {
+  reits: [
+    { symbol: "VNQ", name: "Vanguard Real Estate" },
+    { symbol: "SCHH", name: "Schwab U.S. REIT" },
+    { symbol: "IYR", name: "iShares U.S. Real Estate" },
+  ],
+  bonds: [
+    { symbol: "BND", name: "Vanguard Total Bond Market" },
+    { symbol: "AGG", name: "iShares Core U.S. Aggregate" },
+    { symbol: "TLT", name: "iShares 20+ Year Treasury" },
+    { symbol: "IEF", name: "iShares 7-10 Year Treasury" },
+  ],
+};
+
+// { reits: "VNQ", bonds: "BND" }; "" = static assumptions
+let classProxies = { reits: "VNQ", bonds: "BND" };
+
+function readClassProxies() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CLASS_PROXIES_KEY));
+    if (saved && typeof saved === "object") {
+      Object.keys(CLASS_PROXY_CHOICES).forEach((cls) => {
+        const valid = saved[cls] === "" || CLASS_PROXY_CHOICES[cls].some(c => c.symbol === saved[cls]);
+        if (valid) classProxies[cls] = saved[cls];
+      });
+    }
+  } catch (err) {
+    console.warn("Class proxy setting unreadable", err);
+  }
+  return classProxies;
+}
+
+function writeClassProxies() {
+  try {
+    localStorage.setItem(CLASS_PROXIES_KEY, JSON.stringify(classProxies));
+  } catch (err) {
+    console.warn("Could not save class proxies", err);
+  }
+}
+
+// Symbol standing in for a class, or null when it uses the static assumptions
+function classProxy(assetClass) {
+  return classProxies[assetClass] || null;
+}
+
+function initClassProxies() {
+  readClassProxies();
+  Object.keys(CLASS_PROXY_CHOICES).forEach((cls) => {
+    const select = document.getElementById(`${cls}-proxy`);
+    if (!select) return;
+
+    select.innerHTML = "";
+    CLASS_PROXY_CHOICES[cls].forEach((c) => {
+      const opt = document.createElement("option");
+      opt.value = c.symbol;
+      opt.textContent = `${c.symbol} – ${c.name}`;
+      select.appendChild(opt);
+    });
+    const fixed = document.createElement("option");
+    fixed.value = "";
+    fixed.textContent = `Fixed ${expectedReturns[cls]}% return / ${volatilities[cls]}% volatility`;
+    select.appendChild(fixed);
+    select.value = classProxies[cls];
+
+    select.addEventListener("change", () => {
+      classProxies[cls] = select.value;
+      writeClassProxies();
+      calculatePortfolioMetrics();
+    });
+  });
+}
+
+/* ------------------------------------------------------------
+   Volatility per asset class (percent) from the latest risk
+   model: each class's holdings as a sub-portfolio, so measured
+   correlations inside the class count. Classes the model can't
+   price fall back to the static assumptions.
+------------------------------------------------------------ */
+function classVolatilities(model = latestRiskModel) {
+  const result = {};
+  Object.keys(ASSET_CLASS_LABELS).forEach((cls) => {
+    const idx = model
+      ? model.assets.map((a, i) => (a.assetClass === cls ? i : -1)).filter(i => i >= 0)
+      : [];
+    if (!idx.length) {
+      result[cls] = { vol: volatilities[cls], live: false };
+      return;
+    }
+    const total = idx.reduce((sum, i) => sum + model.assets[i].weight, 0);
+    const w = idx.map(i => (total > 0 ? model.assets[i].weight / total : 1 / idx.length));
+    let variance = 0;
+    idx.forEach((i, a) => idx.forEach((j, b) => (variance += w[a] * w[b] * model.cov[i][j])));
+    result[cls] = {
+      vol: +(Math.sqrt(variance) * 100).toFixed(2),
+      live: idx.some(i => model.measured[i][i]),
+    };
+  });
+  return result;
+}
+
+// Values currently chosen in a multi-select (empty if it isn't on the page)
+function selectedValues(selectId) {
+  const select = document.getElementById(selectId);
+  return select ? Array.from(select.selectedOptions).map(o => o.value) : [];
+}
+
+// Single class-level asset built from the static long-run assumptions
+function classFallbackAsset(assetClass, weight = allocations[assetClass] / 100) {
+  return {
+    id: assetClass,
+    label: ASSET_CLASS_LABELS[assetClass],
+    assetClass,
+    weight,
+    annualReturn: expectedReturns[assetClass] / 100,
+    annualVol: volatilities[assetClass] / 100,
+    series: null,
+  };
+}
+
+/* ------------------------------------------------------------
+   The on-screen portfolio as a holdings list:
+     [{ id, assetClass, weight, fallback? }]
+   weights are fractions of the whole portfolio. REITs and bonds
+   are their classProxy ETF; a class with no selected symbols (or
+   no proxy) is one fallback holding priced from the long-run
+   assumptions.
+------------------------------------------------------------ */
+function currentPortfolioHoldings() {
+  const holdings = [];
+  Object.keys(ASSET_CLASS_LABELS).forEach((cls) => {
+    const classWeight = allocations[cls] / 100;
+    if (!HOLDING_CLASSES[cls] && classProxy(cls)) {
+      holdings.push({ id: classProxy(cls), assetClass: cls, weight: classWeight, proxy: true });
+      return;
+    }
+    const ids = HOLDING_CLASSES[cls] ? selectedValues(HOLDING_CLASSES[cls]) : [];
+    if (!ids.length) {
+      holdings.push({ id: cls, assetClass: cls, weight: classWeight, fallback: true });
+      return;
+    }
+    const fractions = holdingFractions(cls, ids);
+    ids.forEach((id, i) => holdings.push({ id, assetClass: cls, weight: classWeight * fractions[i] }));
+  });
+  return holdings;
+}
+
+/* ------------------------------------------------------------
+   Expected return, volatility and Sharpe for a holdings list.
+   With no argument it evaluates the on-screen portfolio and
+   updates the metrics panel, hero and latestRiskModel; pass a
+   holdings list (same shape as currentPortfolioHoldings) for a
+   what-if run that touches nothing on the page.
+------------------------------------------------------------ */
+async function calculatePortfolioMetrics(holdingsOverride) {
+  const live = !holdingsOverride;
+  const holdings = holdingsOverride || currentPortfolioHoldings();
+
+  const runId = live ? ++metricsRunId : metricsRunId;
+  const isLatest = () => live && runId === metricsRunId;
+  if (live) renderHoldingsTable();
+
+  // Load every symbol at once – the request scheduler paces Alpha Vantage
+  const symbols = holdings.filter(h => !h.fallback);
+  if (live) startDataProgress(symbols.length);
+
+  /* ----------------------------------------------------------
+       1. STOCKS from Alpha Vantage, CRYPTO from CoinGecko
+          (real expected return + volatility + price history)
+  ---------------------------------------------------------- */
+  const assets = await Promise.all(
+    holdings.map(async (h) => {
+      if (h.fallback) return classFallbackAsset(h.assetClass, h.weight);
+
+      // A proxy that can't be loaded falls back to its class assumptions
+      const stats =
+        h.assetClass === "crypto"
+          ? await fetchCryptoHistoricalData(h.id)
+          : await fetchHistoricalVolatility(
+              h.id,
+              h.proxy ? classFallbackAsset(h.assetClass, h.weight) : undefined
+            );
+      if (isLatest()) tickDataProgress();
+      return {
+        id: h.id,
+        label: h.id,
+        assetClass: h.assetClass,
+        weight: h.weight,
+        annualReturn: stats.annualReturn,
+        annualVol: stats.annualVol,
+        series: stats.dates ? { dates: stats.dates, closes: stats.closes } : null,
+      };
+    })
+  );
+
+  /* ----------------------------------------------------------
+       2. Compute final portfolio metrics (full covariance)
+  ---------------------------------------------------------- */
+  const riskModel = buildRiskModel(assets);
+
+  const weights = assets.map(a => a.weight);
+  const expReturn = assets.reduce((sum, a) => sum + a.weight * a.annualReturn * 100, 0);
+  const sigma = Math.sqrt(portfolioVariance(weights, riskModel.cov)) * 100;
+  const sharpe = sigma > 0 ? (expReturn - currentRiskFreeRate()) / sigma : 0;
+
+  // What-if runs, or a newer run (e.g. the slider moved again), stop here
+  if (!isLatest()) return { expReturn, sigma, sharpe, riskModel };
+  latestRiskModel = riskModel;
+  latestPortfolioMetrics = { expReturn, sigma };
+  updateRiskMetrics(riskModel, isLatest);
+  if (readStrategyInputs().mode === "portfolio") recomputeStrategy();
 
   const expEl = document.getElementById("expected-return");
   const volEl = document.getElementById("volatility");
   const shEl = document.getElementById("sharpe-ratio");
 
-  if (expEl) expEl.textContent = expReturn.toFixed(1) + "%";
-  if (volEl) volEl.textContent = sigma.toFixed(1) + "%";
-  if (shEl) shEl.textContent = sharpe.toFixed(2);
+  if (expEl) expEl.textContent = expReturn.toFixed(1) + "%";
+  if (volEl) volEl.textContent = sigma.toFixed(1) + "%";
+  if (shEl) shEl.textContent = sharpe.toFixed(2);
+
+  /* ----------------------------------------------------------
+       3. Update HERO PROJECTION
+  ---------------------------------------------------------- */
+  const heroVal = document.getElementById("hero-equity");
+  if (heroVal && !isNaN(expReturn)) {
+    heroVal.textContent = formatMoney(10000 * Math.pow(1 + expReturn / 100, 10), 0);
+  }
+
+  return { expReturn, sigma, sharpe, riskModel };
+}
+
+/* ============================================================
+   BUILD PORTFOLIO CHARTS
+   ============================================================ */
+
+/* ------------------------------------------------------------
+   Correlation view for the radar: the measured block of the
+   latest risk model, or the class fallback when nothing was
+   measured (e.g. every history request failed)
+------------------------------------------------------------ */
+function correlationChartData() {
+  const model = latestRiskModel;
+  const idx = model
+    ? model.assets.map((a, i) => i).filter(i => model.measured[i][i])
+    : [];
+
+  if (idx.length >= 2) {
+    return {
+      measured: true,
+      days: model.alignedDates.length,
+      labels: idx.map(i => model.assets[i].label),
+      matrix: idx.map(i => idx.map(j => +model.corr[i][j].toFixed(2))),
+    };
+  }
+
+  const classes = Object.keys(ASSET_CLASS_LABELS);
+  return {
+    measured: false,
+    days: 0,
+    labels: classes.map(c => ASSET_CLASS_LABELS[c]),
+    matrix: classes.map(a => classes.map(b => CLASS_CORRELATIONS[a][b])),
+  };
+}
+
+/* ------------------------------------------------------------
+   Allocation doughnut slices: asset classes, or the holdings of
+   allocationDrillClass (as % of the whole portfolio) when the
+   user has clicked into a class
+------------------------------------------------------------ */
+function allocationChartView() {
+  const cls = allocationDrillClass;
+  const ids = cls ? selectedValues(HOLDING_CLASSES[cls]) : [];
+
+  if (!cls || !ids.length) {
+    const assetKeys = Object.keys(ASSET_CLASS_LABELS);
+    return {
+      labels: assetKeys.map(k => ASSET_CLASS_LABELS[k]),
+      keys: assetKeys,
+      data: assetKeys.map(k => allocations[k]),
+      colors: assetKeys.map(k => chartColors[k]),
+      title: "Current Allocation (%) – click Equities or Crypto for holdings",
+    };
+  }
+
+  const fractions = holdingFractions(cls, ids);
+  // Shades of the class colour via the hex alpha channel
+  const alpha = i => Math.round(255 - (150 * i) / Math.max(ids.length - 1, 1))
+    .toString(16)
+    .padStart(2, "0");
+  return {
+    labels: ids,
+    keys: ids,
+    data: fractions.map(f => +(f * allocations[cls]).toFixed(1)),
+    colors: ids.map((id, i) => chartColors[cls] + alpha(i)),
+    title: `${ASSET_CLASS_LABELS[cls]} holdings (% of portfolio) – click to go back`,
+  };
+}
+
+function buildAllocationChart() {
+  const allocCtx = document.getElementById("allocation-chart");
+  const view = allocationChartView();
+
+  allocationChart = ensureChart(allocCtx, "doughnut", {
+    data: {
+      labels: view.labels,
+      datasets: [
+        {
+          data: view.data,
+          backgroundColor: view.colors,
+          borderColor: "#02040a",
+          borderWidth: 2,
+        },
+      ],
+    },
+    options: {
+      onClick: (evt, elements) => {
+        if (allocationDrillClass) {
+          allocationDrillClass = null;
+        } else if (elements.length) {
+          const key = view.keys[elements[0].index];
+          if (HOLDING_CLASSES[key] && selectedValues(HOLDING_CLASSES[key]).length) {
+            allocationDrillClass = key;
+          }
+        }
+        buildAllocationChart();
+      },
+      plugins: {
+        legend: { position: "bottom", labels: { color: "#e8f5e9" } },
+        title: {
+          display: true,
+          text: view.title,
+          color: "#e8f5e9",
+        },
+      },
+    },
+  });
+}
+
+function buildPortfolioCharts() {
+  const labels = ["Equities", "REITs", "Bonds", "Crypto"];
+  const assetKeys = ["stocks", "reits", "bonds", "crypto"];
+
+  // Allocation doughnut (drills down into holdings on click)
+  buildAllocationChart();
+
+  // Correlation radar (measured from aligned daily returns when available)
+  const corrCtx = document.getElementById("correlation-chart");
+  const corrView = correlationChartData();
+  correlationChart = ensureChart(corrCtx, "radar", {
+    data: {
+      labels: corrView.labels,
+      datasets: corrView.matrix.map((row, i) => ({
+        label: corrView.labels[i],
+        data: row,
+      })),
+    },
+    options: {
+      plugins: {
+        legend: { labels: { color: "#e8f5e9" } },
+        title: {
+          display: true,
+          text: corrView.measured
+            ? `Measured correlations (${corrView.days} aligned days)`
+            : "Approximate correlations (no price history yet)",
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        r: {
+          min: corrView.measured ? -1 : 0,
+          max: 1,
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+          pointLabels: { color: "#e8f5e9" },
+        },
+      },
+    },
+  });
+
+  // Volatility bar (measured per class where the risk model has prices)
+  const volCtx = document.getElementById("volatility-chart");
+  const classVols = classVolatilities();
+  const volLabels = assetKeys.map((k, i) =>
+    classProxy(k) && classVols[k].live ? `${labels[i]} (${classProxy(k)})` : labels[i]
+  );
+  volatilityChart = ensureChart(volCtx, "bar", {
+    data: {
+      labels: volLabels,
+      datasets: [
+        {
+          label: "σ (annualised, %)",
+          data: assetKeys.map((k) => classVols[k].vol),
+          backgroundColor: assetKeys.map((k) =>
+            classVols[k].live ? chartColors[k] : chartColors[k] + "66"
+          ),
+        },
+      ],
+    },
+    options: {
+      plugins: {
+        legend: { labels: { color: "#e8f5e9" } },
+        title: {
+          display: true,
+          text: assetKeys.every(k => classVols[k].live)
+            ? "Asset-class Volatility (live)"
+            : "Asset-class Volatility (faded bars = fixed assumptions)",
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
+        y: {
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+          beginAtZero: true,
+        },
+      },
+    },
+  });
+
+  // Risk-return scatter (+ efficient frontier once optimised)
+  const riskCtx = document.getElementById("risk-return-chart");
+  riskReturnChart = ensureChart(riskCtx, "scatter", {
+    data: {
+      datasets: riskReturnDatasets(),
+    },
+    options: {
+      plugins: {
+        legend: { labels: { color: "#e8f5e9" } },
+        title: {
+          display: true,
+          text: "Expected Return vs Volatility",
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        x: {
+          title: { display: true, text: "Volatility (%)", color: "#e8f5e9" },
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+        },
+        y: {
+          title: { display: true, text: "Expected Return (%)", color: "#e8f5e9" },
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+        },
+      },
+    },
+  });
+}
+
+/* ------------------------------------------------------------
+   Scatter datasets: one point per asset in the latest risk
+   model (grouped by class), the current mix, and - when the
+   optimizer has run on the same assets - the frontier with
+   its max-Sharpe and min-variance portfolios
+------------------------------------------------------------ */
+function riskReturnDatasets() {
+  const assetKeys = Object.keys(ASSET_CLASS_LABELS);
+  const model = latestRiskModel;
+
+  if (!model) {
+    return assetKeys.map(k => ({
+      label: ASSET_CLASS_LABELS[k],
+      data: [{ x: volatilities[k], y: expectedReturns[k] }],
+      pointRadius: 4,
+    }));
+  }
+
+  const datasets = assetKeys
+    .map(k => ({
+      label: ASSET_CLASS_LABELS[k],
+      data: model.assets
+        .map((a, i) => ({ a, i }))
+        .filter(({ a }) => a.assetClass === k)
+        .map(({ a, i }) => ({
+          x: +(Math.sqrt(model.cov[i][i]) * 100).toFixed(2),
+          y: +(a.annualReturn * 100).toFixed(2),
+        })),
+      backgroundColor: chartColors[k],
+      pointRadius: 4,
+    }))
+    .filter(d => d.data.length);
+
+  const weights = model.assets.map(a => a.weight);
+  datasets.push({
+    label: "Your portfolio",
+    data: [
+      {
+        x: +(Math.sqrt(portfolioVariance(weights, model.cov)) * 100).toFixed(2),
+        y: +(weights.reduce((sum, w, i) => sum + w * model.assets[i].annualReturn, 0) * 100).toFixed(2),
+      },
+    ],
+    backgroundColor: "#ffffff",
+    pointRadius: 6,
+    pointStyle: "rectRot",
+  });
+
+  const opt = optimizationForModel(model);
+  if (opt) {
+    const toPoint = p => ({ x: +(p.vol * 100).toFixed(2), y: +(p.ret * 100).toFixed(2) });
+    datasets.push(
+      {
+        label: "Efficient frontier",
+        data: opt.frontier.map(toPoint),
+        showLine: true,
+        borderColor: "#d4af37",
+        backgroundColor: "#d4af37",
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.2,
+      },
+      {
+        label: "Max Sharpe",
+        data: [toPoint(opt.maxSharpe)],
+        backgroundColor: "#d4af37",
+        pointRadius: 9,
+        pointStyle: "star",
+        borderColor: "#d4af37",
+      },
+      {
+        label: "Min variance",
+        data: [toPoint(opt.minVariance)],
+        backgroundColor: "#74c69d",
+        pointRadius: 7,
+        pointStyle: "triangle",
+      }
+    );
+  }
+
+  return datasets;
+}
+
+/* ============================================================
+   OPTIMIZER UI (limits table, frontier, apply to sliders)
+   ============================================================ */
+
+// User-entered bounds in %, keyed by asset id; kept across re-renders
+const optimizerLimits = {};
+
+// { assetIds, frontier, maxSharpe, minVariance } from the last run
+let latestOptimization = null;
+
+// Only reuse an optimisation if it was run on exactly these assets
+function optimizationForModel(model) {
+  if (!latestOptimization || !model) return null;
+  const ids = model.assets.map(a => a.id);
+  const same =
+    ids.length === latestOptimization.assetIds.length &&
+    ids.every((id, i) => id === latestOptimization.assetIds[i]);
+  return same ? latestOptimization : null;
+}
+
+function readOptimizerLimitInputs() {
+  document.querySelectorAll("#optimizer-limits input[data-asset]").forEach((input) => {
+    const id = input.dataset.asset;
+    const bound = input.dataset.bound;
+    const val = parseFloat(input.value);
+    optimizerLimits[id] = optimizerLimits[id] || {};
+    optimizerLimits[id][bound] = Number.isFinite(val) ? val : null;
+  });
+}
+
+function renderOptimizerLimits(model, optimal) {
+  const el = document.getElementById("optimizer-limits");
+  if (!el || !model) return;
+
+  const rows = model.assets
+    .map((a, i) => {
+      const lim = optimizerLimits[a.id] || {};
+      const w = optimal ? (optimal.weights[i] * 100).toFixed(1) + "%" : "–";
+      return `
+        <tr>
+          <td><strong>${escapeHtml(a.label)}</strong></td>
+          <td>${ASSET_CLASS_LABELS[a.assetClass]}</td>
+          <td>${(a.annualReturn * 100).toFixed(1)}%</td>
+          <td>${(Math.sqrt(model.cov[i][i]) * 100).toFixed(1)}%</td>
+          <td><input type="number" min="0" max="100" step="1" data-asset="${escapeHtml(a.id)}" data-bound="min" value="${lim.min ?? ""}" /></td>
+          <td><input type="number" min="0" max="100" step="1" data-asset="${escapeHtml(a.id)}" data-bound="max" value="${lim.max ?? ""}" /></td>
+          <td>${w}</td>
+        </tr>`;
+    })
+    .join("");
+
+  el.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Asset</th><th>Class</th><th>Exp. return</th><th>σ</th>
+          <th>Min %</th><th>Max %</th><th>Optimal</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function selectedOptimalPortfolio() {
+  if (!latestOptimization) return null;
+  const target = document.getElementById("optimizer-target");
+  return latestOptimization[target ? target.value : "maxSharpe"];
+}
+
+function renderOptimizerSummary(message) {
+  const summary = document.getElementById("optimizer-summary");
+  const applyBtn = document.getElementById("apply-optimal-btn");
+  const opt = optimizationForModel(latestRiskModel);
+
+  if (applyBtn) applyBtn.disabled = !opt;
+  if (!summary) return;
+
+  if (message) {
+    summary.textContent = message;
+    summary.classList.remove("active");
+    return;
+  }
+  if (!opt) {
+    summary.textContent = "No optimisation run yet.";
+    summary.classList.remove("active");
+    return;
+  }
+
+  const fmt = p =>
+    `${(p.ret * 100).toFixed(1)}% return, ${(p.vol * 100).toFixed(1)}% σ, Sharpe ${p.sharpe.toFixed(2)}`;
+  summary.innerHTML =
+    `<strong>Max Sharpe:</strong> ${fmt(opt.maxSharpe)}<br>` +
+    `<strong>Min variance:</strong> ${fmt(opt.minVariance)}`;
+  summary.classList.add("active");
+}
+
+async function handleOptimize() {
+  readOptimizerLimitInputs();
+  renderOptimizerSummary("Optimising…");
+
+  await calculatePortfolioMetrics();
+  const model = latestRiskModel;
+
+  const limits = {};
+  Object.entries(optimizerLimits).forEach(([id, lim]) => {
+    limits[id] = {
+      min: lim.min != null ? lim.min / 100 : undefined,
+      max: lim.max != null ? lim.max / 100 : undefined,
+    };
+  });
+
+  try {
+    const result = optimizePortfolio(model, limits);
+    latestOptimization = { assetIds: model.assets.map(a => a.id), ...result };
+  } catch (err) {
+    latestOptimization = null;
+    renderOptimizerLimits(model, null);
+    renderOptimizerSummary(err.message);
+    return;
+  }
+
+  // Show the frontier alongside the rest of the simulation
+  const chk = document.getElementById("chk-risk-return");
+  if (chk) chk.checked = true;
+  await handleSimulationRun();
+
+  renderOptimizerLimits(latestRiskModel, selectedOptimalPortfolio());
+  renderOptimizerSummary();
+}
+
+/* ------------------------------------------------------------
+   Round fractions (summing to 1) to whole percentages that sum
+   to exactly 100, largest remainder first
+------------------------------------------------------------ */
+function roundToPercentages(fractions) {
+  const raw = fractions.map(f => f * 100);
+  const floors = raw.map(Math.floor);
+  let remaining = 100 - floors.reduce((a, b) => a + b, 0);
+  raw
+    .map((r, i) => ({ i, rem: r - floors[i] }))
+    .sort((a, b) => b.rem - a.rem)
+    .forEach(({ i }) => {
+      if (remaining > 0) {
+        floors[i]++;
+        remaining--;
+      }
+    });
+  return floors;
+}
+
+function setAllocations(next) {
+  Object.keys(ASSET_CLASS_LABELS).forEach((k) => {
+    allocations[k] = next[k];
+    const slider = document.getElementById(`${k}-slider`);
+    if (slider) slider.value = next[k];
+  });
+  updateAllocationDisplays();
+  syncRouteState();
+}
+
+async function applyOptimalWeights() {
+  const opt = optimizationForModel(latestRiskModel);
+  const portfolio = selectedOptimalPortfolio();
+  if (!opt || !portfolio) return;
+
+  // Sliders are per asset class, so collapse the optimal weights by class
+  const classKeys = Object.keys(ASSET_CLASS_LABELS);
+  const totals = classKeys.map(k =>
+    latestRiskModel.assets.reduce(
+      (sum, a, i) => sum + (a.assetClass === k ? portfolio.weights[i] : 0),
+      0
+    )
+  );
+  const pct = roundToPercentages(totals);
+
+  // ...and keep the split inside each class as per-holding weights
+  latestRiskModel.assets.forEach((a, i) => {
+    const classTotal = totals[classKeys.indexOf(a.assetClass)];
+    if (classTotal > 0 && holdingWeights[a.assetClass] && a.id in holdingWeights[a.assetClass]) {
+      holdingWeights[a.assetClass][a.id] = +((portfolio.weights[i] / classTotal) * 100).toFixed(1);
+    }
+  });
+
+  const next = {};
+  classKeys.forEach((k, i) => (next[k] = pct[i]));
+  setAllocations(next);
+
+  if (simulationRun) await handleSimulationRun();
+}
+
+/* ============================================================
+   REAL EXPECTED RETURN → GROWTH CHART
+   ============================================================ */
+function buildRealGrowthChart(realExpReturn) {
+  const growthCtx = document.getElementById("growth-chart");
+  if (!growthCtx) return;
+
+  const years = [...Array(11).keys()];
+  const initial = 10000;
+  const r = realExpReturn / 100;
+
+  const series = years.map(y => initial * Math.pow(1 + r, y));
+
+  growthChart = ensureChart(growthCtx, "line", {
+    data: {
+      labels: years.map(y => y + "y"),
+      datasets: [
+        {
+          label: "Projected Value",
+          data: series,
+          tension: 0.25,
+        },
+      ],
+    },
+    options: {
+      plugins: {
+        legend: { labels: { color: "#e8f5e9" } },
+        title: {
+          display: true,
+          text: "Deterministic Growth (Real Expected Return)",
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
+        y: {
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+          beginAtZero: false,
+        },
+      },
+    },
+  });
+}
+
+/* ============================================================
+   MONTE CARLO ENGINE (SEEDED, MONTHLY STEPS)
+   ============================================================ */
+
+const MC_PERCENTILES = [5, 25, 50, 75, 95];
+
+// Last inputs handed to runMonteCarlo, so control changes can re-run it
+let lastMonteCarloInputs = null;
+
+/* ------------------------------------------------------------
+   Mulberry32: small, fast, seedable PRNG returning [0, 1)
+------------------------------------------------------------ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box-Muller
+function normalSample(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Student-t with `dof` degrees of freedom, rescaled to unit variance
+function studentTSample(rng, dof) {
+  let chi2 = 0;
+  if (dof % 2 === 0) {
+    // χ²(2k) is −2·ln of a product of k uniforms
+    let prod = 1;
+    for (let i = 0; i < dof / 2; i++) prod *= 1 - rng();
+    chi2 = -2 * Math.log(prod);
+  } else {
+    for (let i = 0; i < dof; i++) {
+      const z = normalSample(rng);
+      chi2 += z * z;
+    }
+  }
+  return (normalSample(rng) / Math.sqrt(chi2 / dof)) * Math.sqrt((dof - 2) / dof);
+}
+
+function percentileOfSorted(sorted, p) {
+  if (!sorted.length) return NaN;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/* ------------------------------------------------------------
+   Monthly shocks for bootstrapping: the weighted portfolio
+   return of the assets with aligned history, summed over every
+   21-day window (wrapping round), then demeaned and scaled to
+   unit variance so only the shape comes from history.
+   Returns null when there is too little history.
+------------------------------------------------------------ */
+const TRADING_DAYS_PER_MONTH = 21;
+
+function historicalShockPool(model) {
+  if (!model || !model.alignedDates.length) return null;
+
+  const idx = model.assets.map((a, i) => i).filter(i => model.measured[i][i]);
+  const aligned = alignSeriesByDate(idx.map(i => model.assets[i].series));
+  const totalWeight = idx.reduce((sum, i) => sum + model.assets[i].weight, 0);
+  if (aligned.dates.length - 1 < MIN_ALIGNED_RETURNS || totalWeight <= 0) return null;
+
+  const daily = [];
+  for (let t = 1; t < aligned.dates.length; t++) {
+    let r = 0;
+    idx.forEach((assetIdx, k) => {
+      r +=
+        (model.assets[assetIdx].weight / totalWeight) *
+        Math.log(aligned.closes[k][t] / aligned.closes[k][t - 1]);
+    });
+    daily.push(r);
+  }
+
+  const blocks = daily.map((_, start) => {
+    let sum = 0;
+    for (let d = 0; d < TRADING_DAYS_PER_MONTH; d++) {
+      sum += daily[(start + d) % daily.length];
+    }
+    return sum;
+  });
+
+  const n = blocks.length;
+  const mean = blocks.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(blocks.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (n - 1));
+  if (!(sd > 0)) return null;
+
+  return blocks.map(b => (b - mean) / sd);
+}
+
+/* ------------------------------------------------------------
+   Geometric Brownian motion paths at monthly steps.
+   options:
+     initial, annualReturn, annualVol   (decimals)
+     years, paths, seed
+     model: "normal" | "fat-tails" | "bootstrap"
+     dof        Student-t degrees of freedom (fat-tails)
+     shockPool  standardised monthly shocks (bootstrap)
+     cashflow   optional (step, value) → amount added after each
+                month's growth (negative = withdrawal); paths
+                that run out stay at 0
+     schedule   optional step → { annualReturn, annualVol } for a
+                glide path; overrides the constant pair per month
+   The drift is set so the mean path grows at annualReturn.
+   Returns { steps, percentiles: { 5: [...], ... }, endingValues }
+   with endingValues sorted ascending.
+------------------------------------------------------------ */
+function simulatePortfolioPaths(options) {
+  const {
+    initial,
+    annualReturn,
+    annualVol,
+    years,
+    paths,
+    seed,
+    model = "normal",
+    dof = 4,
+    shockPool = null,
+    cashflow = null,
+    schedule = null,
+  } = options;
+
+  const stepsPerYear = 12;
+  const steps = Math.round(years * stepsPerYear);
+  const dt = 1 / stepsPerYear;
+  const driftFor = (r, v) => (Math.log(1 + r) - (v * v) / 2) * dt;
+
+  const drift = new Float64Array(steps + 1).fill(driftFor(annualReturn, annualVol));
+  const diffusion = new Float64Array(steps + 1).fill(annualVol * Math.sqrt(dt));
+  if (schedule) {
+    for (let t = 1; t <= steps; t++) {
+      const step = schedule(t);
+      drift[t] = driftFor(step.annualReturn, step.annualVol);
+      diffusion[t] = step.annualVol * Math.sqrt(dt);
+    }
+  }
+  const rng = createRng(seed);
+
+  const useBootstrap = model === "bootstrap" && shockPool && shockPool.length;
+
+  const shock = () => {
+    if (useBootstrap) return shockPool[Math.floor(rng() * shockPool.length)];
+    if (model === "fat-tails") return studentTSample(rng, dof);
+    return normalSample(rng);
+  };
+
+  // values[step * paths + p]
+  const values = new Float64Array((steps + 1) * paths);
+  for (let p = 0; p < paths; p++) {
+    let value = initial;
+    values[p] = value;
+    for (let t = 1; t <= steps; t++) {
+      value *= Math.exp(drift[t] + diffusion[t] * shock());
+      if (cashflow) value = Math.max(value + cashflow(t, value), 0);
+      values[t * paths + p] = value;
+    }
+  }
+
+  const percentiles = {};
+  MC_PERCENTILES.forEach(pc => (percentiles[pc] = []));
+
+  let endingValues = null;
+  for (let t = 0; t <= steps; t++) {
+    const slice = values.slice(t * paths, (t + 1) * paths).sort();
+    MC_PERCENTILES.forEach(pc => percentiles[pc].push(percentileOfSorted(slice, pc)));
+    if (t === steps) endingValues = slice;
+  }
+
+  return { steps, percentiles, endingValues };
+}
+
+/* ------------------------------------------------------------
+   Outcome statistics from sorted ending values
+------------------------------------------------------------ */
+function summarizeOutcomes(endingValues, initial, target) {
+  const n = endingValues.length;
+  const below = v => {
+    // first index with value >= v (binary search on sorted values)
+    let lo = 0;
+    let hi = n;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (endingValues[mid] < v) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  return {
+    probLoss: n ? below(initial) / n : 0,
+    probTarget: n ? (n - below(target)) / n : 0,
+    median: percentileOfSorted(endingValues, 50),
+  };
+}
+
+function readMonteCarloSettings() {
+  const pathsEl = document.getElementById("mc-paths");
+  const modelEl = document.getElementById("mc-model");
+  const seedEl = document.getElementById("mc-seed");
+  const targetEl = document.getElementById("mc-target");
+
+  let seed = seedEl ? parseInt(seedEl.value, 10) : NaN;
+  if (!Number.isFinite(seed)) {
+    // No seed given: pick one and show it so the run can be reproduced
+    seed = Math.floor(Math.random() * 1e9);
+    if (seedEl) seedEl.value = seed;
+  }
+
+  return {
+    paths: pathsEl ? parseInt(pathsEl.value, 10) : 5000,
+    model: modelEl ? modelEl.value : "normal",
+    seed,
+    target: targetEl ? parseFloat(targetEl.value) || 0 : 20000,
+  };
+}
+
+/* ============================================================
+   MONTE CARLO USING REAL VOLATILITY + REAL EXPECTED RETURN
+   ============================================================ */
+function runMonteCarlo(realExpReturn, realVolatility) {
+  const mcCtx = document.getElementById("monte-carlo-chart");
+  if (!mcCtx) return;
+
+  lastMonteCarloInputs = { realExpReturn, realVolatility };
+
+  const nYears = 10;
+  const initial = 10000;
+  const settings = readMonteCarloSettings();
+  const shockPool = settings.model === "bootstrap" ? historicalShockPool(latestRiskModel) : null;
+
+  const sim = simulatePortfolioPaths({
+    initial,
+    annualReturn: realExpReturn / 100,
+    annualVol: realVolatility / 100,
+    years: nYears,
+    paths: settings.paths,
+    seed: settings.seed,
+    model: settings.model,
+    shockPool,
+  });
+
+  const outcome = summarizeOutcomes(sim.endingValues, initial, settings.target);
+  renderMonteCarloStats(outcome, settings, settings.model === "bootstrap" && !shockPool);
+
+  const band = (pc, fill, alpha) => ({
+    label: `P${pc}`,
+    data: sim.percentiles[pc],
+    borderColor: `rgba(82, 183, 136, ${alpha + 0.25})`,
+    backgroundColor: `rgba(82, 183, 136, ${alpha})`,
+    borderWidth: 1,
+    pointRadius: 0,
+    tension: 0.2,
+    fill,
+  });
+
+  monteCarloChart = ensureChart(mcCtx, "line", {
+    data: {
+      labels: [...Array(sim.steps + 1).keys()].map(m => `Month ${m}`),
+      datasets: [
+        band(5, false, 0.12),
+        band(95, "-1", 0.12),
+        band(25, false, 0.3),
+        band(75, "-1", 0.3),
+        {
+          label: "Median",
+          data: sim.percentiles[50],
+          borderColor: "#d4af37",
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.2,
+          fill: false,
+        },
+      ],
+    },
+    options: {
+      plugins: {
+        legend: { display: false },
+        title: {
+          display: true,
+          text: `Monte Carlo – ${settings.paths.toLocaleString()} paths, 5/25/50/75/95th percentiles`,
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        x: {
+          ticks: {
+            color: "#b7c9c3",
+            autoSkip: false,
+            maxRotation: 0,
+            callback: (value, i) => (i % 12 === 0 ? i / 12 + "y" : null),
+          },
+          grid: { color: "#122018" },
+        },
+        y: {
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+          beginAtZero: false,
+        },
+      },
+    },
+  });
+}
+
+function renderMonteCarloStats(outcome, settings, bootstrapUnavailable) {
+  const lossEl = document.getElementById("mc-prob-loss");
+  const targetEl = document.getElementById("mc-prob-target");
+  const medianEl = document.getElementById("mc-median");
+  const noteEl = document.getElementById("mc-note");
+
+  if (lossEl) lossEl.textContent = (outcome.probLoss * 100).toFixed(1) + "%";
+  if (targetEl) targetEl.textContent = (outcome.probTarget * 100).toFixed(1) + "%";
+  if (medianEl) medianEl.textContent = formatMoney(outcome.median, 0);
+  if (noteEl) {
+    noteEl.textContent = bootstrapUnavailable
+      ? "Not enough aligned price history to bootstrap – showing normal shocks instead."
+      : `Seed ${settings.seed} · reach target = ending value ≥ ${formatMoney(settings.target, 0)}`;
+  }
+}
+
+/* ============================================================
+   HISTORICAL BACKTEST (SLIDER WEIGHTS + REBALANCING)
+   ============================================================ */
+
+// Proxy series for the classes we have no holdings list for
+const BACKTEST_PROXIES = {
+  stocks: "SPY",
+  reits: "VNQ",
+  bonds: "BND",
+  crypto: "bitcoin",
+};
+
+const REBALANCE_RULES = {
+  none: "No rebalancing",
+  monthly: "Monthly",
+  quarterly: "Quarterly",
+  threshold: "Drift threshold",
+};
+
+// Peak-to-trough fall of a value series, as a negative decimal (e.g. -0.25)
+function maxDrawdown(values) {
+  let peak = -Infinity;
+  let worst = 0;
+  values.forEach((v) => {
+    if (v > peak) peak = v;
+    if (peak > 0) worst = Math.min(worst, v / peak - 1);
+  });
+  return worst;
+}
+
+function cagrFromSeries(dates, values) {
+  if (dates.length < 2 || !(values[0] > 0)) return 0;
+  const years =
+    (Date.parse(dates[dates.length - 1]) - Date.parse(dates[0])) / (365.25 * 86400000);
+  return years > 0 ? Math.pow(values[values.length - 1] / values[0], 1 / years) - 1 : 0;
+}
+
+/* ------------------------------------------------------------
+   Replay aligned closes with target weights.
+     dates, closes  from alignSeriesByDate
+     weights        target weight per series (sum ≤ 1, rest is cash)
+     rule           "none" | "monthly" | "quarterly" | "threshold"
+     threshold      max absolute drift (decimal) for "threshold"
+   Returns { dates, equity, cagr, maxDrawdown, rebalances }
+------------------------------------------------------------ */
+function runBacktest({ dates, closes, weights, rule = "none", threshold = 0.05, initial = 10000 }) {
+  const cashWeight = Math.max(0, 1 - weights.reduce((a, b) => a + b, 0));
+
+  let units = weights.map((w, i) => (initial * w) / closes[i][0]);
+  let cash = initial * cashWeight;
+  let rebalances = 0;
+  const equity = [];
+
+  const periodKey = (date) => {
+    const month = parseInt(date.slice(5, 7), 10);
+    if (rule === "monthly") return date.slice(0, 7);
+    if (rule === "quarterly") return date.slice(0, 4) + "Q" + Math.ceil(month / 3);
+    return null;
+  };
+
+  for (let t = 0; t < dates.length; t++) {
+    const holdings = units.map((u, i) => u * closes[i][t]);
+    const value = holdings.reduce((a, b) => a + b, 0) + cash;
+
+    let rebalance = false;
+    if (t > 0 && (rule === "monthly" || rule === "quarterly")) {
+      rebalance = periodKey(dates[t]) !== periodKey(dates[t - 1]);
+    } else if (t > 0 && rule === "threshold" && value > 0) {
+      rebalance = holdings.some((h, i) => Math.abs(h / value - weights[i]) > threshold);
+    }
+
+    if (rebalance) {
+      units = weights.map((w, i) => (value * w) / closes[i][t]);
+      cash = value * cashWeight;
+      rebalances++;
+    }
+
+    equity.push(value);
+  }
+
+  return {
+    dates,
+    equity,
+    cagr: cagrFromSeries(dates, equity),
+    maxDrawdown: maxDrawdown(equity),
+    rebalances,
+  };
+}
+
+/* ------------------------------------------------------------
+   Legs for the current allocation: selected stocks/cryptos
+   split their class weight by holdingFractions (as in
+   currentPortfolioHoldings); empty classes use their proxy
+------------------------------------------------------------ */
+function backtestLegs() {
+  const total =
+    allocations.stocks + allocations.reits + allocations.bonds + allocations.crypto;
+  const scale = total > 100 ? 100 / total : 1; // no leverage; < 100 leaves cash
+
+  const legs = [];
+  const addClass = (assetClass, ids, kind) => {
+    const classWeight = (allocations[assetClass] / 100) * scale;
+    if (classWeight <= 0) return;
+    const list = ids.length ? ids : [classProxy(assetClass) || BACKTEST_PROXIES[assetClass]];
+    const fractions = ids.length ? holdingFractions(assetClass, ids) : [1];
+    list.forEach((id, i) =>
+      legs.push({ id, assetClass, kind, weight: classWeight * fractions[i] })
+    );
+  };
+
+  addClass("stocks", selectedValues("stock-select"), "stock");
+  addClass("reits", [], "stock");
+  addClass("bonds", [], "stock");
+  addClass("crypto", selectedValues("crypto-select"), "crypto");
+  return legs;
+}
+
+async function handleBacktestRun() {
+  const statusEl = document.getElementById("backtest-status");
+  const periodEl = document.getElementById("backtest-period");
+  const ruleEl = document.getElementById("backtest-rule");
+  const thresholdEl = document.getElementById("backtest-threshold");
+
+  const years = periodEl ? parseInt(periodEl.value, 10) : 3;
+  const rule = ruleEl ? ruleEl.value : "none";
+  const threshold = thresholdEl ? (parseFloat(thresholdEl.value) || 5) / 100 : 0.05;
+
+  const setStatus = (text, active = false) => {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.classList.toggle("active", active);
+  };
+
+  const legs = backtestLegs();
+  if (!legs.length) {
+    setStatus("Allocate something with the sliders first.");
+    return;
+  }
+
+  // Crypto legs only reach back COINGECKO_MAX_DAYS, which shortens the common window
+  const cryptoDays = Math.ceil(years * 365.25) + 5;
+  const shortened = cryptoDays > COINGECKO_MAX_DAYS && legs.some(l => l.kind === "crypto");
+
+  // Sequential on purpose – Alpha Vantage allows only a few calls per minute
+  const loaded = [];
+  const missing = [];
+  for (const leg of legs) {
+    setStatus(`Loading ${leg.id} (${loaded.length + missing.length + 1} of ${legs.length})…`);
+    const history =
+      leg.kind === "crypto"
+        ? await fetchCryptoPriceHistory(leg.id, cryptoDays)
+        : await fetchStockPriceHistory(leg.id);
+    if (history && history.dates.length > 1) loaded.push({ ...leg, history });
+    else missing.push(leg.id);
+  }
+
+  if (!loaded.length) {
+    setStatus("No price history could be loaded – try again in a minute.");
+    return;
+  }
+
+  // Missing legs are left out and the rest scaled up to the same invested total
+  const investedTarget = legs.reduce((sum, l) => sum + l.weight, 0);
+  const investedLoaded = loaded.reduce((sum, l) => sum + l.weight, 0);
+  const weights = loaded.map(l => (l.weight / investedLoaded) * investedTarget);
+
+  // Window ends at the latest common date (recorded fixtures may be old)
+  const aligned = alignSeriesByDate(loaded.map(l => l.history));
+  const lastDate = aligned.dates[aligned.dates.length - 1];
+  const cutoff = lastDate
+    ? toIsoDate(Date.parse(lastDate) - years * 365.25 * 86400000)
+    : "";
+  const startIdx = aligned.dates.findIndex(d => d >= cutoff);
+  if (startIdx < 0 || aligned.dates.length - startIdx < 2) {
+    setStatus("Not enough overlapping history for that period.");
+    return;
+  }
+
+  const span = {
+    dates: aligned.dates.slice(startIdx),
+    closes: aligned.closes.map(c => c.slice(startIdx)),
+  };
+
+  const result = runBacktest({ ...span, weights, rule, threshold });
+  const baseline = rule === "none" ? null : runBacktest({ ...span, weights, rule: "none" });
+
+  renderBacktest(result, baseline, rule);
+
+  let note = missing.length ? ` Skipped (no data): ${missing.join(", ")}.` : "";
+  if (shortened && loaded.some(l => l.kind === "crypto")) {
+    note += ` Crypto history is limited to ${COINGECKO_MAX_DAYS} days, so the window was shortened.`;
+  }
+  setStatus(
+    `Backtest from ${span.dates[0]} to ${span.dates[span.dates.length - 1]}.${note}`,
+    true
+  );
+}
+
+function renderBacktest(result, baseline, rule) {
+  const cagrEl = document.getElementById("backtest-cagr");
+  const ddEl = document.getElementById("backtest-drawdown");
+  const finalEl = document.getElementById("backtest-final");
+  const rebalEl = document.getElementById("backtest-rebalances");
+
+  if (cagrEl) cagrEl.textContent = (result.cagr * 100).toFixed(1) + "%";
+  if (ddEl) ddEl.textContent = (result.maxDrawdown * 100).toFixed(1) + "%";
+  if (finalEl) {
+    finalEl.textContent = formatMoney(result.equity[result.equity.length - 1], 0);
+  }
+  if (rebalEl) rebalEl.textContent = result.rebalances;
+
+  const datasets = [
+    {
+      label: REBALANCE_RULES[rule],
+      data: result.equity,
+      borderColor: "#d4af37",
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0.1,
+    },
+  ];
+  if (baseline) {
+    datasets.push({
+      label: REBALANCE_RULES.none,
+      data: baseline.equity,
+      borderColor: "#52b788",
+      borderWidth: 1,
+      borderDash: [4, 4],
+      pointRadius: 0,
+      tension: 0.1,
+    });
+  }
+
+  const ctx = document.getElementById("backtest-chart");
+  backtestChart = ensureChart(ctx, "line", {
+    data: {
+      labels: result.dates,
+      datasets,
+    },
+    options: {
+      plugins: {
+        legend: { labels: { color: "#e8f5e9" } },
+        title: {
+          display: true,
+          text: `Backtested Equity Curve (${formatMoney(10000, 0)})`,
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        x: {
+          ticks: { color: "#b7c9c3", maxTicksLimit: 8, maxRotation: 0 },
+          grid: { color: "#122018" },
+        },
+        y: {
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+          beginAtZero: false,
+        },
+      },
+    },
+  });
+}
+
+/* ============================================================
+   HANDLE SIMULATION RUN
+   ============================================================ */
+async function handleSimulationRun() {
+  simulationRun = true;
+
+  const { expReturn, sigma } = await calculatePortfolioMetrics();
+
+  // REAL DATA INTEGRATION
+  buildRealGrowthChart(expReturn);
+  runMonteCarlo(expReturn, sigma);
+
+  buildPortfolioCharts(); // keeps allocation, correlation, volatility, scatter updated
+  updateChartVisibilityFromChecks();
+
+  const simStatus = document.getElementById("sim-status");
+  if (simStatus) {
+    simStatus.textContent = "Simulation updated with real market data.";
+    simStatus.classList.add("active");
+  }
+}
+
+// RUN SIM + VISIBILITY
+let simulationRun = false;
+
+function updateChartVisibilityFromChecks() {
+  const mapping = [
+    ["chk-allocation", "allocation-card"],
+    ["chk-growth", "growth-card"],
+    ["chk-backtest", "backtest-card"],
+    ["chk-correlation", "correlation-card"],
+    ["chk-volatility", "volatility-card"],
+    ["chk-risk-return", "risk-return-card"],
+    ["chk-monte-carlo", "monte-carlo-card"],
+  ];
+  mapping.forEach(([chkId, cardId]) => {
+    const chk = document.getElementById(chkId);
+    const card = document.getElementById(cardId);
+    if (!chk || !card) return;
+    if (simulationRun && chk.checked) card.classList.remove("hidden");
+    else card.classList.add("hidden");
+  });
+}
+
+// STRATEGY BUILDER
+function riskLabelForScore(s) {
+  if (s <= 3) return "Conservative";
+  if (s <= 7) return "Moderate";
+  return "Aggressive";
+}
+
+/* ------------------------------------------------------------
+   Strategy assumptions. In "risk" mode the risk slider picks the
+   return (6 + score %) and volatility (2 + 2 × score %); in
+   "portfolio" mode both come from the last live
+   calculatePortfolioMetrics run. Fees and tax drag come off the
+   return each year; contributions step up once a year.
+------------------------------------------------------------ */
+const STRATEGY_MC_PATHS = 1000;
+const STRATEGY_MC_SEED = 42;
+const STRATEGY_MC_DELAY_MS = 250;
+
+// Latest Monte Carlo band { low, high } (yearly 5th/95th) and its pending timer
+let strategyBand = null;
+let strategyBandTimer = null;
+
+// { expReturn, sigma } (percent) from the latest live metrics run
+let latestPortfolioMetrics = null;
+
+function readStrategyInputs() {
+  const num = (id, fallback) => {
+    const el = document.getElementById(id);
+    const v = el ? parseFloat(el.value) : NaN;
+    return Number.isFinite(v) ? v : fallback;
+  };
+  const modeEl = document.getElementById("strategy-mode");
+  return {
+    years: num("horizon-slider", 10),
+    risk: num("risk-slider", 5),
+    initial: num("initial-slider", 10000),
+    monthly: num("monthly-slider", 500),
+    mode: modeEl ? modeEl.value : "risk",
+    inflation: num("inflation-input", 2.5) / 100,
+    fee: num("fee-input", 0) / 100,
+    taxDrag: num("tax-drag-input", 0) / 100,
+    contributionGrowth: num("contrib-growth-input", 0) / 100,
+  };
+}
+
+// Gross return + volatility (decimals) for the chosen mode
+function strategyReturnAssumptions(inputs) {
+  if (inputs.mode === "portfolio" && latestPortfolioMetrics) {
+    return {
+      grossReturn: latestPortfolioMetrics.expReturn / 100,
+      vol: latestPortfolioMetrics.sigma / 100,
+      fromPortfolio: true,
+    };
+  }
+  return {
+    grossReturn: (6 + inputs.risk) / 100, // 7–16% depending on risk
+    vol: (2 + 2 * inputs.risk) / 100,
+    fromPortfolio: false,
+  };
+}
+
+// Monthly contribution in month `step` (1-based) with yearly step-ups
+function strategyContribution(inputs, step) {
+  return inputs.monthly * Math.pow(1 + inputs.contributionGrowth, Math.floor((step - 1) / 12));
+}
+
+/* ------------------------------------------------------------
+   Deterministic monthly projection. Returns yearly arrays of
+   nominal and inflation-adjusted balances plus the totals.
+------------------------------------------------------------ */
+function projectStrategy(inputs, netReturn) {
+  const r = Math.pow(1 + netReturn, 1 / 12) - 1;
+  const n = inputs.years * 12;
+
+  let value = inputs.initial;
+  let contributed = inputs.initial;
+  const nominal = [value];
+  const real = [value];
+  for (let t = 1; t <= n; t++) {
+    const deposit = strategyContribution(inputs, t);
+    value = value * (1 + r) + deposit;
+    contributed += deposit;
+    if (t % 12 === 0) {
+      nominal.push(value);
+      real.push(value / Math.pow(1 + inputs.inflation, t / 12));
+    }
+  }
+  return { nominal, real, contributed, final: value, finalReal: real[real.length - 1] };
+}
+
+function recomputeStrategy() {
+  const horizonSlider = document.getElementById("horizon-slider");
+  const riskSlider = document.getElementById("risk-slider");
+  const initialSlider = document.getElementById("initial-slider");
+  const monthlySlider = document.getElementById("monthly-slider");
+  if (!horizonSlider || !riskSlider || !initialSlider || !monthlySlider) return;
+
+  const inputs = readStrategyInputs();
+  const { years, risk, initial, monthly } = inputs;
+
+  const horizonValue = document.getElementById("horizon-value");
+  const riskLabelEl = document.getElementById("risk-label");
+  const initialValue = document.getElementById("initial-value");
+  const monthlyValue = document.getElementById("monthly-value");
+
+  if (horizonValue) horizonValue.textContent = years;
+  if (riskLabelEl) riskLabelEl.textContent = riskLabelForScore(risk);
+  if (initialValue) initialValue.textContent = initial.toLocaleString();
+  if (monthlyValue) monthlyValue.textContent = monthly.toLocaleString();
+
+  const { grossReturn, vol, fromPortfolio } = strategyReturnAssumptions(inputs);
+  const netReturn = grossReturn - inputs.fee - inputs.taxDrag;
+  const projection = projectStrategy(inputs, netReturn);
+  const gain = projection.final - projection.contributed;
+
+  const stratFinal = document.getElementById("strategy-final");
+  const stratReal = document.getElementById("strategy-real");
+  const stratContrib = document.getElementById("strategy-contrib");
+  const stratGain = document.getElementById("strategy-gain");
+  const stratText = document.getElementById("strategy-text");
+
+  if (stratFinal) stratFinal.textContent = formatMoney(projection.final, 0);
+  if (stratReal) stratReal.textContent = formatMoney(projection.finalReal, 0);
+  if (stratContrib) stratContrib.textContent = formatMoney(projection.contributed, 0);
+  if (stratGain) stratGain.textContent = formatMoney(gain, 0);
+
+  if (stratText) {
+    const source = fromPortfolio
+      ? "your Portfolio page mix"
+      : `<strong>${riskLabelForScore(risk).toLowerCase()}</strong> risk tolerance`;
+    const realReturn = (1 + netReturn) / (1 + inputs.inflation) - 1;
+    stratText.innerHTML =
+      `With a <strong>${years}-year</strong> horizon, ${source}, ` +
+      `a <strong>${formatMoney(initial, 0)}</strong> lump sum and ` +
+      `<strong>${formatMoney(monthly, 0)}/month</strong> contributions` +
+      (inputs.contributionGrowth > 0
+        ? ` rising <strong>${(inputs.contributionGrowth * 100).toFixed(1)}%</strong> a year`
+        : "") +
+      `, you're targeting around <strong>${(grossReturn * 100).toFixed(1)}% a year</strong> before costs, ` +
+      `<strong>${(netReturn * 100).toFixed(1)}%</strong> after fees and tax drag and ` +
+      `<strong>${(realReturn * 100).toFixed(1)}%</strong> after inflation. ` +
+      `The shaded band is where 90% of ${STRATEGY_MC_PATHS.toLocaleString()} simulated paths end up ` +
+      `at ${(vol * 100).toFixed(1)}% volatility.`;
+  }
+
+  renderStrategyChart(projection);
+
+  // The simulation is the slow part – wait until the inputs settle
+  clearTimeout(strategyBandTimer);
+  strategyBandTimer = setTimeout(() => {
+    strategyBand = simulateStrategyBand(inputs, netReturn, vol);
+    renderStrategyChart(projection);
+  }, STRATEGY_MC_DELAY_MS);
+
+  if (readGoals().length) scheduleGoalPlan();
+}
+
+// 5th–95th percentile balances per year for the same inputs, plus the ending range
+function simulateStrategyBand(inputs, netReturn, vol) {
+  const contributions = [0];
+  for (let t = 1; t <= inputs.years * 12; t++) contributions.push(strategyContribution(inputs, t));
+
+  const sim = simulatePortfolioPaths({
+    initial: inputs.initial,
+    annualReturn: netReturn,
+    annualVol: vol,
+    years: inputs.years,
+    paths: STRATEGY_MC_PATHS,
+    seed: STRATEGY_MC_SEED,
+    cashflow: step => contributions[step],
+  });
+  const yearly = pc => sim.percentiles[pc].filter((_, t) => t % 12 === 0);
+
+  const rangeEl = document.getElementById("strategy-range");
+  if (rangeEl) {
+    rangeEl.textContent =
+      `${formatMoney(percentileOfSorted(sim.endingValues, 5), 0)} – ` +
+      formatMoney(percentileOfSorted(sim.endingValues, 95), 0);
+  }
+  return { low: yearly(5), high: yearly(95) };
+}
+
+// Deterministic nominal/real lines, with the Monte Carlo band once it's ready
+function renderStrategyChart(projection) {
+  const years = projection.nominal.length - 1;
+  const labels = [...Array(years + 1).keys()].map((y) => y + "y");
+  // A band for a different horizon would misalign – show none until it is redone
+  const band = strategyBand && strategyBand.low.length === years + 1 ? strategyBand : null;
+
+  const ctx = document.getElementById("strategy-chart");
+  strategyChart = ensureChart(ctx, "line", {
+    data: {
+      labels,
+      datasets: [
+        {
+          label: "Monte Carlo 95th",
+          data: band ? band.high : [],
+          borderColor: "rgba(82, 183, 136, 0.25)",
+          backgroundColor: "rgba(82, 183, 136, 0.12)",
+          fill: "+1",
+          borderWidth: 1,
+          pointRadius: 0,
+        },
+        {
+          label: "Monte Carlo 5th",
+          data: band ? band.low : [],
+          borderColor: "rgba(82, 183, 136, 0.25)",
+          borderWidth: 1,
+          pointRadius: 0,
+        },
+        {
+          label: "Nominal balance",
+          data: projection.nominal,
+          borderColor: "#52b788",
+          tension: 0.2,
+          borderWidth: 2,
+          pointRadius: 0,
+        },
+        {
+          label: "Inflation-adjusted",
+          data: projection.real,
+          borderColor: "#d4af37",
+          borderDash: [6, 4],
+          tension: 0.2,
+          borderWidth: 2,
+          pointRadius: 0,
+        },
+      ],
+    },
+    options: {
+      plugins: {
+        legend: { labels: { color: "#e8f5e9" } },
+        title: {
+          display: true,
+          text: "Projected balance – nominal vs today's money",
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
+        y: {
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+          beginAtZero: false,
+        },
+      },
+    },
+  });
+}
+
+/* ============================================================
+   RETIREMENT DRAWDOWN PLANNER
+   ============================================================
+
+   Extends the strategy loop past retirement: contributions (as
+   in recomputeStrategy) until the retirement age, then monthly
+   withdrawals for the chosen number of years. Spending is set
+   in today's dollars and follows one of three rules:
+     fixed      – the first retirement year's amount, never raised
+     indexed    – raised with inflation every year
+     guardrail  – indexed, but cut 10% when the withdrawal rate
+                  drifts 20% above its starting level and raised
+                  10% when it drifts 20% below
+   Returns are simulated (GBM) or historical (monthly blocks
+   bootstrapped from the portfolio's own price history).
+   ============================================================ */
+
+const GUARDRAIL_BAND = 0.2;
+const GUARDRAIL_ADJUST = 0.1;
+const RETIREMENT_PATHS = 1000;
+const RETIREMENT_SEED = 7;
+const SUSTAINABLE_SUCCESS = 0.9; // success rate a "sustainable" withdrawal rate must reach
+const SWR_SEARCH_PATHS = 500;
+
+function readRetirementInputs() {
+  const num = (id, fallback) => {
+    const el = document.getElementById(id);
+    const v = el ? parseFloat(el.value) : NaN;
+    return Number.isFinite(v) ? v : fallback;
+  };
+  // Whole years, so the accumulation phase is a whole number of months
+  const currentAge = Math.round(num("current-age", 35));
+  const retireAge = Math.max(Math.round(num("retire-age", 65)), currentAge);
+  const ruleEl = document.getElementById("spending-rule");
+  const sequenceEl = document.getElementById("retire-sequences");
+  return {
+    currentAge,
+    retireAge,
+    spending: Math.max(num("retire-spending", 40000), 0),
+    retireYears: Math.max(Math.round(num("retire-years", 30)), 1),
+    rule: ruleEl ? ruleEl.value : "indexed",
+    sequences: sequenceEl ? sequenceEl.value : "simulated",
+  };
+}
+
+/* ------------------------------------------------------------
+   cashflow(step, value) for simulatePortfolioPaths covering the
+   whole lifecycle. Guardrail state is per path, so it resets
+   whenever a new path starts (step 1).
+------------------------------------------------------------ */
+function retirementCashflow({ accumulationMonths, contribution, spendingStart, inflation, rule }) {
+  let spending = 0;
+  let initialRate = 0;
+
+  return (step, value) => {
+    if (step === 1) spending = 0;
+    if (step <= accumulationMonths) return contribution(step);
+
+    const month = step - accumulationMonths - 1;
+    if (month % 12 === 0) {
+      if (month === 0) {
+        spending = spendingStart;
+        initialRate = value > 0 ? spending / value : Infinity;
+      } else {
+        if (rule !== "fixed") spending *= 1 + inflation;
+        if (rule === "guardrail" && value > 0) {
+          const rate = spending / value;
+          if (rate > initialRate * (1 + GUARDRAIL_BAND)) spending *= 1 - GUARDRAIL_ADJUST;
+          else if (rate < initialRate * (1 - GUARDRAIL_BAND)) spending *= 1 + GUARDRAIL_ADJUST;
+        }
+      }
+    }
+    return -spending / 12;
+  };
+}
+
+function successRate(endingValues) {
+  return endingValues.length
+    ? endingValues.filter(v => v > 0).length / endingValues.length
+    : 0;
+}
+
+/* ------------------------------------------------------------
+   Highest first-year withdrawal (as a share of the balance at
+   retirement) that still lasts in SUSTAINABLE_SUCCESS of paths,
+   found by bisection on a $1 pot
+------------------------------------------------------------ */
+function sustainableWithdrawalRate({ years, netReturn, vol, inflation, rule, model, shockPool }) {
+  const successAt = (rate) => {
+    const sim = simulatePortfolioPaths({
+      initial: 1,
+      annualReturn: netReturn,
+      annualVol: vol,
+      years,
+      paths: SWR_SEARCH_PATHS,
+      seed: RETIREMENT_SEED,
+      model,
+      shockPool,
+      cashflow: retirementCashflow({
+        accumulationMonths: 0,
+        contribution: () => 0,
+        spendingStart: rate,
+        inflation,
+        rule,
+      }),
+    });
+    return successRate(sim.endingValues);
+  };
+
+  let lo = 0;
+  let hi = 0.15;
+  for (let i = 0; i < 9; i++) {
+    const mid = (lo + hi) / 2;
+    if (successAt(mid) >= SUSTAINABLE_SUCCESS) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function runRetirementPlan() {
+  const strategy = readStrategyInputs();
+  const plan = readRetirementInputs();
+  const { grossReturn, vol } = strategyReturnAssumptions(strategy);
+  const netReturn = grossReturn - strategy.fee - strategy.taxDrag;
+
+  const accumulationYears = plan.retireAge - plan.currentAge;
+  const totalYears = accumulationYears + plan.retireYears;
+  const inflationTo = years => Math.pow(1 + strategy.inflation, years);
+
+  // Historical sequences need the portfolio's price history
+  const shockPool = plan.sequences === "historical" ? historicalShockPool(latestRiskModel) : null;
+  const model = shockPool ? "bootstrap" : "normal";
+
+  const cashflow = retirementCashflow({
+    accumulationMonths: accumulationYears * 12,
+    contribution: step => strategyContribution(strategy, step),
+    spendingStart: plan.spending * inflationTo(accumulationYears),
+    inflation: strategy.inflation,
+    rule: plan.rule,
+  });
+
+  const sim = simulatePortfolioPaths({
+    initial: strategy.initial,
+    annualReturn: netReturn,
+    annualVol: vol,
+    years: totalYears,
+    paths: RETIREMENT_PATHS,
+    seed: RETIREMENT_SEED,
+    model,
+    shockPool,
+    cashflow,
+  });
+
+  const swr = sustainableWithdrawalRate({
+    years: plan.retireYears,
+    netReturn,
+    vol,
+    inflation: strategy.inflation,
+    rule: plan.rule,
+    model,
+    shockPool,
+  });
+
+  // Ending balances in today's dollars
+  const deflator = inflationTo(totalYears);
+  const endingReal = Array.from(sim.endingValues, v => v / deflator);
+  const atRetirement = sim.percentiles[50][accumulationYears * 12];
+
+  return {
+    plan,
+    sim,
+    model,
+    historicalMissing: plan.sequences === "historical" && !shockPool,
+    accumulationYears,
+    totalYears,
+    success: successRate(sim.endingValues),
+    swr,
+    endingReal,
+    medianAtRetirement: atRetirement,
+    firstYearRate: atRetirement > 0 ? (plan.spending * inflationTo(accumulationYears)) / atRetirement : null,
+  };
+}
+
+/* ---- Retirement UI ---- */
+
+let retirementChart, retirementDistChart;
+
+function renderRetirementStats(result) {
+  const set = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  const median = percentileOfSorted(result.endingReal, 50);
+
+  set("retire-success", `${(result.success * 100).toFixed(0)}%`);
+  set("retire-swr", `${(result.swr * 100).toFixed(1)}%`);
+  set("retire-median", formatMoney(median, 0));
+
+  let note =
+    `Median balance at ${result.plan.retireAge}: ${formatMoney(result.medianAtRetirement, 0)}` +
+    (result.firstYearRate != null
+      ? `, so your spending starts at a ${(result.firstYearRate * 100).toFixed(1)}% withdrawal rate. `
+      : ". ") +
+    `Sustainable rate = highest starting rate that lasts ${result.plan.retireYears} years in ` +
+    `${SUSTAINABLE_SUCCESS * 100}% of paths under the same rule.`;
+  if (result.historicalMissing) {
+    note += " No price history loaded yet, so simulated returns were used.";
+  }
+  set("retire-note", note);
+}
+
+function renderRetirementCharts(result) {
+  const { sim, accumulationYears, totalYears, plan } = result;
+  const yearly = pc => sim.percentiles[pc].filter((_, t) => t % 12 === 0);
+  const labels = [...Array(totalYears + 1).keys()].map(y => String(plan.currentAge + y));
+
+  const ctx = document.getElementById("retirement-chart");
+  retirementChart = ensureChart(ctx, "line", {
+    data: {
+      labels,
+      datasets: [
+        {
+          label: "95th percentile",
+          data: yearly(95),
+          borderColor: "rgba(82, 183, 136, 0.25)",
+          backgroundColor: "rgba(82, 183, 136, 0.12)",
+          fill: "+1",
+          borderWidth: 1,
+          pointRadius: 0,
+        },
+        {
+          label: "5th percentile",
+          data: yearly(5),
+          borderColor: "rgba(82, 183, 136, 0.25)",
+          borderWidth: 1,
+          pointRadius: 0,
+        },
+        {
+          label: "Median balance",
+          data: yearly(50),
+          borderColor: "#52b788",
+          tension: 0.2,
+          borderWidth: 2,
+          pointRadius: 0,
+        },
+      ],
+    },
+    options: {
+      plugins: {
+        legend: { labels: { color: "#e8f5e9" } },
+        title: {
+          display: true,
+          text: `Saving to ${plan.retireAge} (${accumulationYears}y), then drawing down for ${plan.retireYears}y`,
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        x: {
+          title: { display: true, text: "Age", color: "#b7c9c3" },
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+        },
+        y: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" }, beginAtZero: true },
+      },
+    },
+  });
+
+  // Ending balances (today's $): one bin for depleted paths, 12 up to the 95th percentile
+  const sorted = result.endingReal;
+  const cap = percentileOfSorted(sorted, 95);
+  const bins = 12;
+  const width = cap > 0 ? cap / bins : 1;
+  const counts = new Array(bins + 1).fill(0);
+  sorted.forEach((v) => {
+    if (v <= 0) counts[0]++;
+    else counts[Math.min(Math.floor(v / width), bins - 1) + 1]++;
+  });
+  const distLabels = ["Ran out"].concat(
+    [...Array(bins).keys()].map(i =>
+      i === bins - 1 ? `≥ ${formatMoney(i * width, 0)}` : formatMoney(i * width, 0)
+    )
+  );
+
+  const distCtx = document.getElementById("retirement-dist-chart");
+  retirementDistChart = ensureChart(distCtx, "bar", {
+    data: {
+      labels: distLabels,
+      datasets: [
+        {
+          label: "Share of paths",
+          data: counts.map(c => +((c / sorted.length) * 100).toFixed(1)),
+          backgroundColor: counts.map((_, i) => (i === 0 ? "#e76f51" : "#52b788")),
+        },
+      ],
+    },
+    options: {
+      plugins: {
+        legend: { display: false },
+        title: {
+          display: true,
+          text: `Ending balance at ${plan.retireAge + plan.retireYears} (today's money, % of paths)`,
+          color: "#e8f5e9",
+        },
+      },
+      scales: {
+        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
+        y: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" }, beginAtZero: true },
+      },
+    },
+  });
+}
+
+function handleRetirementRun() {
+  const btn = document.getElementById("retire-run-btn");
+  if (btn) btn.disabled = true;
+  // Let the button repaint before the simulation blocks the thread
+  setTimeout(() => {
+    try {
+      const result = runRetirementPlan();
+      renderRetirementStats(result);
+      renderRetirementCharts(result);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }, 20);
+}
+
+/* ============================================================
+   GOALS
+   ============================================================
+
+   Several goals funded from the one plan on this page. Each goal
+   is { id, name, target (today's $), date "YYYY-MM", priority,
+   startEquity, endEquity } stored under GOALS_KEY. A goal's money
+   glides linearly from startEquity% stocks (rest bonds) today to
+   endEquity% at its date.
+
+   The lump sum and the monthly contributions are split as shares:
+   goals are funded in priority order (earlier date first on a
+   tie) with just enough to reach their target at the expected
+   return, and anything left over is shared pro rata to target.
+   A goal's contributions stop at its date.
+   ============================================================ */
+
+const GOALS_KEY = "investiq:goals";
+const GOAL_PRIORITIES = { high: 1, medium: 2, low: 3 };
+const GOAL_PATHS = 1000;
+const GOAL_SEED = 11;
+const GOAL_COLORS = ["#52b788", "#d4af37", "#74c69d", "#e76f51", "#40916c", "#b7c9c3"];
+
+let goalsChart;
+let goalPlanTimer = null;
+
+function readGoals() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(GOALS_KEY));
+    return Array.isArray(raw)
+      ? raw.filter(g => g && g.name && g.target > 0 && /^\d{4}-\d{2}$/.test(g.date))
+      : [];
+  } catch (err) {
+    console.warn("Goals unreadable, starting fresh", err);
+    return [];
+  }
+}
+
+function writeGoals(goals) {
+  try {
+    localStorage.setItem(GOALS_KEY, JSON.stringify(goals));
+  } catch (err) {
+    console.warn("Could not save goals", err);
+  }
+}
+
+function addGoal({ name, target, date, priority, startEquity, endEquity }) {
+  const goals = readGoals();
+  goals.push({
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name,
+    target,
+    date,
+    priority,
+    startEquity,
+    endEquity,
+  });
+  writeGoals(goals);
+}
+
+function removeGoal(id) {
+  writeGoals(readGoals().filter(g => g.id !== id));
+}
+
+// Whole months from now until a "YYYY-MM" date (at least 1)
+function monthsUntil(date, now = new Date()) {
+  const [y, m] = date.split("-").map(Number);
+  return Math.max((y - now.getFullYear()) * 12 + (m - 1 - now.getMonth()), 1);
+}
+
+/* ------------------------------------------------------------
+   Stock/bond mix for month `step` of an n-month glide path.
+   Returns gross { annualReturn, annualVol } (decimals).
+------------------------------------------------------------ */
+function glidePathAssumptions(goal, step, months) {
+  const progress = months > 1 ? (step - 1) / (months - 1) : 1;
+  const w = (goal.startEquity + (goal.endEquity - goal.startEquity) * progress) / 100;
+  const rs = expectedReturns.stocks / 100;
+  const rb = expectedReturns.bonds / 100;
+  const vs = volatilities.stocks / 100;
+  const vb = volatilities.bonds / 100;
+  const rho = CLASS_CORRELATIONS.stocks.bonds;
+  return {
+    annualReturn: w * rs + (1 - w) * rb,
+    annualVol: Math.sqrt(w * w * vs * vs + (1 - w) * (1 - w) * vb * vb + 2 * w * (1 - w) * rho * vs * vb),
+  };
+}
+
+/* ------------------------------------------------------------
+   Priority waterfall. Returns one entry per goal with its
+   lumpShare / monthlyShare of the plan, the nominal target and
+   the net-of-costs monthly schedule.
+------------------------------------------------------------ */
+function allocateGoalContributions(goals, inputs) {
+  const costs = inputs.fee + inputs.taxDrag;
+
+  const plans = goals.map((goal) => {
+    const months = monthsUntil(goal.date);
+    const schedule = (step) => {
+      const { annualReturn, annualVol } = glidePathAssumptions(goal, step, months);
+      return { annualReturn: annualReturn - costs, annualVol };
+    };
+
+    // Growth of $1 invested today, and of the whole contribution stream, by the goal date
+    let lumpGrowth = 1;
+    let streamValue = 0;
+    for (let t = 1; t <= months; t++) {
+      const r = Math.pow(1 + schedule(t).annualReturn, 1 / 12) - 1;
+      lumpGrowth *= 1 + r;
+      streamValue = streamValue * (1 + r) + strategyContribution(inputs, t);
+    }
+
+    return {
+      goal,
+      months,
+      schedule,
+      nominalTarget: goal.target * Math.pow(1 + inputs.inflation, months / 12),
+      lumpGrowth,
+      streamValue,
+      lumpShare: 0,
+      monthlyShare: 0,
+    };
+  });
+
+  const ordered = [...plans].sort(
+    (a, b) =>
+      (GOAL_PRIORITIES[a.goal.priority] || 2) - (GOAL_PRIORITIES[b.goal.priority] || 2) ||
+      a.months - b.months
+  );
+
+  let lumpLeft = 1;
+  let monthlyLeft = 1;
+  ordered.forEach((p) => {
+    let need = p.nominalTarget;
+    if (inputs.initial > 0 && lumpLeft > 0) {
+      p.lumpShare = Math.min(lumpLeft, need / (inputs.initial * p.lumpGrowth));
+      lumpLeft -= p.lumpShare;
+      need -= p.lumpShare * inputs.initial * p.lumpGrowth;
+    }
+    if (need > 0 && p.streamValue > 0 && monthlyLeft > 0) {
+      p.monthlyShare = Math.min(monthlyLeft, need / p.streamValue);
+      monthlyLeft -= p.monthlyShare;
+    }
+  });
+
+  const totalTarget = plans.reduce((sum, p) => sum + p.nominalTarget, 0);
+  plans.forEach((p) => {
+    const share = totalTarget > 0 ? p.nominalTarget / totalTarget : 1 / plans.length;
+    p.lumpShare += lumpLeft * share;
+    p.monthlyShare += monthlyLeft * share;
+  });
+
+  return plans;
+}
+
+// Each goal gets its own seed so their return paths are independent
+function simulateGoal(plan, inputs, index) {
+  const sim = simulatePortfolioPaths({
+    initial: plan.lumpShare * inputs.initial,
+    annualReturn: 0,
+    annualVol: 0,
+    years: plan.months / 12,
+    paths: GOAL_PATHS,
+    seed: GOAL_SEED + index,
+    schedule: plan.schedule,
+    cashflow: step => plan.monthlyShare * strategyContribution(inputs, step),
+  });
+  const funded = sim.endingValues.filter(v => v >= plan.nominalTarget).length;
+  return { ...plan, sim, probability: funded / GOAL_PATHS };
+}
+
+function runGoalPlan() {
+  const goals = readGoals();
+  if (!goals.length) return [];
+  const inputs = readStrategyInputs();
+  return allocateGoalContributions(goals, inputs).map((plan, i) => simulateGoal(plan, inputs, i));
+}
+
+/* ---- Goals UI ---- */
+
+function renderGoalsTable(results) {
+  const container = document.getElementById("goals-table");
+  if (!container) return;
+
+  if (!results.length) {
+    container.innerHTML = `<div class="small-note">No goals yet – add one above.</div>`;
+    return;
+  }
+
+  const inputs = readStrategyInputs();
+  const body = results
+    .map(
+      (r) => `
+      <tr>
+        <td>${escapeHtml(r.goal.name)}</td>
+        <td>${formatMoney(r.goal.target, 0)}</td>
+        <td>${escapeHtml(r.goal.date)}</td>
+        <td>${escapeHtml(r.goal.priority)}</td>
+        <td>${escapeHtml(r.goal.startEquity)}% → ${escapeHtml(r.goal.endEquity)}%</td>
+        <td>${formatMoney(r.lumpShare * inputs.initial, 0)}</td>
+        <td>${formatMoney(r.monthlyShare * inputs.monthly, 0)}/mo</td>
+        <td class="badge-change ${r.probability >= 0.75 ? "positive" : r.probability >= 0.5 ? "" : "negative"}">
+          ${(r.probability * 100).toFixed(0)}%
+        </td>
+        <td><button class="link-button" data-remove-goal="${escapeHtml(r.goal.id)}">Remove</button></td>
+      </tr>`
+    )
+    .join("");
+
+  container.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Goal</th><th>Target (today's ${currencySymbol()})</th><th>Date</th><th>Priority</th><th>Stocks</th>
+          <th>Lump sum</th><th>Contribution</th><th>Funded</th><th></th>
+        </tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>`;
+}
+
+function renderGoalsChart(results) {
+  const ctx = document.getElementById("goals-chart");
+  if (!ctx) return;
+
+  const startYear = new Date().getFullYear();
+  const maxYears = Math.max(1, ...results.map(r => Math.ceil(r.months / 12)));
+  const labels = [...Array(maxYears + 1).keys()].map(y => String(startYear + y));
+
+  // Median balance as a share of the goal's nominal target, year by year until its date
+  const datasets = results.map((r, i) => ({
+    label: r.goal.name,
+    data: labels.map((_, y) => {
+      const step = Math.min(y * 12, r.months);
+      if (y > 0 && (y - 1) * 12 >= r.months) return null;
+      return +((r.sim.percentiles[50][step] / r.nominalTarget) * 100).toFixed(1);
+    }),
+    borderColor: GOAL_COLORS[i % GOAL_COLORS.length],
+    tension: 0.2,
+    borderWidth: 2,
+    pointRadius: 0,
+    spanGaps: false,
+  }));
+
+  goalsChart = ensureChart(ctx, "line", {
+    data: { labels, datasets },
+    options: {
+      plugins: { legend: { labels: { color: "#e8f5e9" } } },
+      scales: {
+        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
+        y: {
+          title: { display: true, text: "% of target (median path)", color: "#b7c9c3" },
+          ticks: { color: "#b7c9c3" },
+          grid: { color: "#122018" },
+          beginAtZero: true,
+        },
+      },
+    },
+  });
+}
+
+function refreshGoals() {
+  const results = runGoalPlan();
+  renderGoalsTable(results);
+  renderGoalsChart(results);
+}
+
+// Re-estimate once the strategy inputs settle
+function scheduleGoalPlan() {
+  clearTimeout(goalPlanTimer);
+  goalPlanTimer = setTimeout(refreshGoals, STRATEGY_MC_DELAY_MS);
+}
+
+function initGoals() {
+  const form = document.getElementById("goal-form");
+  const table = document.getElementById("goals-table");
+  const statusEl = document.getElementById("goal-status");
+  if (!form) return;
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const name = document.getElementById("goal-name").value.trim();
+    const target = parseFloat(document.getElementById("goal-target").value);
+    const date = document.getElementById("goal-date").value;
+    const priority = document.getElementById("goal-priority").value;
+    const startEquity = parseFloat(document.getElementById("goal-start-equity").value);
+    const endEquity = parseFloat(document.getElementById("goal-end-equity").value);
+
+    const validEquity = v => v >= 0 && v <= 100;
+    if (!name || !(target > 0) || !/^\d{4}-\d{2}$/.test(date) || !validEquity(startEquity) || !validEquity(endEquity)) {
+      if (statusEl) statusEl.textContent = "Enter a name, a positive target, a date and stock shares between 0 and 100%.";
+      return;
+    }
+    addGoal({ name, target, date, priority, startEquity, endEquity });
+    if (statusEl) statusEl.textContent = `Added “${name}”.`;
+    form.reset();
+    refreshGoals();
+  });
+
+  if (table) {
+    table.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-remove-goal]");
+      if (!btn) return;
+      removeGoal(btn.dataset.removeGoal);
+      refreshGoals();
+    });
+  }
+
+  refreshGoals();
+}
+
+/* ============================================================
+   WATCHLIST + ALERTS
+   ============================================================
+
+   A watched item is { id, assetClass, symbol, rules: [...] },
+   stored under WATCHLIST_KEY. A rule is { id, type, value,
+   active } where type is one of ALERT_RULES. Rules fire on the
+   refresh where their condition becomes true (active flips
+   false → true), so a price sitting above a level alerts once,
+   not every minute. Fired alerts go to the browser Notification
+   API when allowed and always to the alert log (ALERT_LOG_KEY).
+   ============================================================ */
+
+const WATCHLIST_KEY = "investiq:watchlist";
+const ALERT_LOG_KEY = "investiq:alert-log";
+const ALERT_LOG_LIMIT = 50;
+
+// type → form option, label and test against { price, dayChangePct, annualVol }
+const ALERT_RULES = {
+  above: {
+    option: "Price above",
+    label: v => `Price above ${formatMoney(v)}`,
+    test: (q, v) => q.currency === baseCurrency && q.price > v,
+  },
+  below: {
+    option: "Price below",
+    label: v => `Price below ${formatMoney(v)}`,
+    test: (q, v) => q.currency === baseCurrency && q.price < v,
+  },
+  move: {
+    option: "Daily move ±%",
+    label: v => `Daily move beyond ±${v}%`,
+    test: (q, v) => Math.abs(q.dayChangePct) > v,
+  },
+  vol: {
+    option: "Volatility above %",
+    label: v => `Volatility above ${v}%`,
+    test: (q, v) => Number.isFinite(q.annualVol) && q.annualVol * 100 > v,
+  },
+};
+
+let watchlistRunId = 0;
+
+function readWatchlist() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(WATCHLIST_KEY));
+    return Array.isArray(raw)
+      ? raw
+          .filter(w => w && w.symbol)
+          .map(w => ({ ...w, rules: (w.rules || []).filter(r => ALERT_RULES[r.type]) }))
+      : [];
+  } catch (err) {
+    console.warn("Watchlist unreadable, starting fresh", err);
+    return [];
+  }
+}
+
+function writeWatchlist(items) {
+  try {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(items));
+  } catch (err) {
+    console.warn("Could not save watchlist", err);
+  }
+}
+
+function readAlertLog() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(ALERT_LOG_KEY));
+    return Array.isArray(raw) ? raw : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeAlertLog(entries) {
+  try {
+    localStorage.setItem(ALERT_LOG_KEY, JSON.stringify(entries.slice(0, ALERT_LOG_LIMIT)));
+  } catch (err) {
+    console.warn("Could not save alert log", err);
+  }
+}
+
+const newWatchId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+function addWatchItem(assetClass, symbol) {
+  const items = readWatchlist();
+  if (items.some(w => w.symbol === symbol)) return false;
+  items.push({ id: newWatchId(), assetClass, symbol, rules: [] });
+  writeWatchlist(items);
+  return true;
+}
+
+function removeWatchItem(id) {
+  writeWatchlist(readWatchlist().filter(w => w.id !== id));
+}
+
+function addAlertRule(itemId, type, value) {
+  const items = readWatchlist();
+  const item = items.find(w => w.id === itemId);
+  if (!item) return;
+  item.rules.push({ id: newWatchId(), type, value, active: false });
+  writeWatchlist(items);
+}
+
+function removeAlertRule(itemId, ruleId) {
+  const items = readWatchlist();
+  const item = items.find(w => w.id === itemId);
+  if (!item) return;
+  item.rules = item.rules.filter(r => r.id !== ruleId);
+  writeWatchlist(items);
+}
+
+/* ------------------------------------------------------------
+   Applies every rule to the latest quotes. Returns the alerts
+   that fired ({ symbol, message }) and updates each rule's
+   active flag in `items` (the caller persists them).
+------------------------------------------------------------ */
+function evaluateAlertRules(items, quotes) {
+  const fired = [];
+  items.forEach((item) => {
+    const quote = quotes[item.symbol];
+    if (!quote) return;
+    item.rules.forEach((rule) => {
+      const hit = ALERT_RULES[rule.type].test(quote, rule.value);
+      if (hit && !rule.active) {
+        fired.push({
+          symbol: item.symbol,
+          message: `${item.symbol.toUpperCase()}: ${ALERT_RULES[rule.type].label(rule.value)}`,
+        });
+      }
+      rule.active = hit;
+    });
+  });
+  return fired;
+}
+
+function notifyAlerts(fired) {
+  if (!fired.length) return;
+  const at = new Date().toISOString();
+  writeAlertLog(fired.map(a => ({ ...a, at })).concat(readAlertLog()));
+
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  fired.forEach((a) => {
+    try {
+      new Notification("InvestIQ alert", { body: a.message, tag: a.message });
+    } catch (err) {
+      console.warn("Notification failed", err);
+    }
+  });
+}
+
+// { [symbol]: { price, dayChangePct, annualVol } } for the watched symbols
+async function fetchWatchQuotes(items) {
+  const prices = items.length ? await fetchPositionPrices(items) : {};
+  const needsVol = items.filter(w => w.rules.some(r => r.type === "vol"));
+  const vols = await Promise.all(
+    needsVol.map(w =>
+      w.assetClass === "crypto" ? fetchCryptoHistoricalData(w.symbol) : fetchHistoricalVolatility(w.symbol)
+    )
+  );
+
+  const quotes = {};
+  items.forEach((w) => {
+    if (prices[w.symbol]) quotes[w.symbol] = { ...prices[w.symbol], annualVol: NaN };
+  });
+  needsVol.forEach((w, i) => {
+    if (quotes[w.symbol]) quotes[w.symbol].annualVol = vols[i].annualVol;
+  });
+  return quotes;
+}
+
+/* ---- Watchlist UI ---- */
+
+function renderWatchlist(items, quotes) {
+  const container = document.getElementById("watchlist-table");
+  if (!container) return;
+
+  if (!items.length) {
+    container.innerHTML = `<div class="small-note">Nothing watched yet – add a stock or coin above.</div>`;
+    return;
+  }
+
+  const ruleOptions = Object.entries(ALERT_RULES)
+    .map(([type, rule]) => `<option value="${type}">${rule.option}</option>`)
+    .join("");
+
+  const body = items
+    .map((w) => {
+      const q = quotes[w.symbol];
+      const rules = w.rules
+        .map(
+          r => `
+          <span class="alert-chip${r.active ? " active" : ""}">
+            ${ALERT_RULES[r.type].label(r.value)}
+            <button class="link-button" data-remove-rule="${r.id}" data-item="${w.id}" title="Remove rule">×</button>
+          </span>`
+        )
+        .join("");
+      return `
+      <tr>
+        <td>${escapeHtml(w.symbol.toUpperCase())}</td>
+        <td>${q ? formatMoney(q.price, 2, q.currency) : "–"}</td>
+        <td class="badge-change ${q ? signClass(q.dayChangePct) : ""}">
+          ${q ? `${q.dayChangePct >= 0 ? "+" : ""}${q.dayChangePct.toFixed(2)}%` : "–"}
+        </td>
+        <td>${q && Number.isFinite(q.annualVol) ? (q.annualVol * 100).toFixed(1) + "%" : "–"}</td>
+        <td>
+          <div class="alert-rules">${rules || `<span class="small-note">No rules</span>`}</div>
+          <div class="alert-rule-form">
+            <select class="asset-select" data-rule-type="${w.id}">${ruleOptions}</select>
+            <input type="number" class="asset-select" data-rule-value="${w.id}" step="any" />
+            <button class="link-button" data-add-rule="${w.id}">Add rule</button>
+          </div>
+        </td>
+        <td><button class="link-button" data-remove-watch="${w.id}">Remove</button></td>
+      </tr>`;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <table>
+      <thead>
+        <tr><th>Symbol</th><th>Price</th><th>Day change</th><th>Volatility</th><th>Alert rules</th><th></th></tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>`;
+}
+
+function renderAlertLog() {
+  const list = document.getElementById("alert-log");
+  if (!list) return;
+  const entries = readAlertLog();
+  list.innerHTML = entries.length
+    ? entries
+        .map(
+          e => `<li><span class="alert-log-time">${new Date(e.at).toLocaleString()}</span> ${escapeHtml(e.message)}</li>`
+        )
+        .join("")
+    : `<li class="small-note">No alerts yet.</li>`;
+}
+
+function renderNotificationStatus() {
+  const btn = document.getElementById("alert-permission-btn");
+  if (!btn) return;
+  if (typeof Notification === "undefined") {
+    btn.disabled = true;
+    btn.textContent = "Browser notifications unsupported";
+  } else if (Notification.permission === "granted") {
+    btn.disabled = true;
+    btn.textContent = "Browser notifications on";
+  } else if (Notification.permission === "denied") {
+    btn.disabled = true;
+    btn.textContent = "Browser notifications blocked";
+  }
+}
+
+// Latest quotes for re-rendering after rule edits without refetching
+let latestWatchQuotes = {};
+
+// Alerts must fire from any page and from a background tab, so this poll
+// isn't gated like pollPositions; it still waits out CACHE_TTLS.quote
+const WATCHLIST_POLL_INTERVAL = 5 * 60 * 1000;
+
+async function refreshWatchlist() {
+  const runId = ++watchlistRunId;
+  const items = readWatchlist();
+  const quotes = await fetchWatchQuotes(items);
+  if (runId !== watchlistRunId) return;
+
+  // Re-read so rules edited while quotes loaded aren't overwritten
+  const current = readWatchlist();
+  const fired = evaluateAlertRules(current, quotes);
+  writeWatchlist(current);
+  notifyAlerts(fired);
+
+  latestWatchQuotes = quotes;
+  renderWatchlist(current, quotes);
+  renderAlertLog();
+}
+
+function initWatchlist() {
+  const form = document.getElementById("watch-form");
+  const table = document.getElementById("watchlist-table");
+  const statusEl = document.getElementById("watch-status");
+  if (!form) return;
+
+  populateSymbolSelect("watch-class", "watch-symbol");
+  const classEl = document.getElementById("watch-class");
+  if (classEl) classEl.addEventListener("change", () => populateSymbolSelect("watch-class", "watch-symbol"));
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const symbol = document.getElementById("watch-symbol").value;
+    if (!symbol) return;
+    const added = addWatchItem(classEl.value, symbol);
+    if (statusEl) {
+      statusEl.textContent = added ? `Watching ${symbol.toUpperCase()}.` : `${symbol.toUpperCase()} is already on the watchlist.`;
+    }
+    refreshWatchlist();
+  });
+
+  if (table) {
+    table.addEventListener("click", (e) => {
+      const removeItem = e.target.closest("[data-remove-watch]");
+      const removeRule = e.target.closest("[data-remove-rule]");
+      const addRule = e.target.closest("[data-add-rule]");
+
+      if (removeItem) {
+        removeWatchItem(removeItem.dataset.removeWatch);
+      } else if (removeRule) {
+        removeAlertRule(removeRule.dataset.item, removeRule.dataset.removeRule);
+      } else if (addRule) {
+        const id = addRule.dataset.addRule;
+        const type = table.querySelector(`[data-rule-type="${id}"]`).value;
+        const value = parseFloat(table.querySelector(`[data-rule-value="${id}"]`).value);
+        if (!Number.isFinite(value)) {
+          if (statusEl) statusEl.textContent = "Enter a number for the rule.";
+          return;
+        }
+        addAlertRule(id, type, value);
+        // New rules are checked straight away
+        refreshWatchlist();
+        return;
+      } else {
+        return;
+      }
+      renderWatchlist(readWatchlist(), latestWatchQuotes);
+    });
+  }
+
+  const permissionBtn = document.getElementById("alert-permission-btn");
+  if (permissionBtn) {
+    permissionBtn.addEventListener("click", async () => {
+      if (typeof Notification === "undefined") return;
+      await Notification.requestPermission();
+      renderNotificationStatus();
+    });
+  }
+
+  const clearLogBtn = document.getElementById("alert-log-clear");
+  if (clearLogBtn) {
+    clearLogBtn.addEventListener("click", () => {
+      writeAlertLog([]);
+      renderAlertLog();
+    });
+  }
+
+  renderNotificationStatus();
+  renderAlertLog();
+  refreshWatchlist();
+}
+
+/* ============================================================
+   TECHNICAL INDICATORS
+   ============================================================
+
+   Pure functions over a close series. Every output is aligned
+   with its input (same length), holding null until the look-back
+   window has filled, so it can be sliced with the dates and
+   plotted directly.
+   ============================================================ */
+
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  values.forEach((v, i) => {
+    sum += v;
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  });
+  return out;
+}
+
+// Seeded with the SMA of the first `period` values
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let prev = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = prev;
+  for (let i = period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
 
-  /* ----------------------------------------------------------
-       5. Update HERO PROJECTION
-  ---------------------------------------------------------- */
-  const heroVal = document.getElementById("hero-equity");
-  if (heroVal && !isNaN(expReturn)) {
-    heroVal.textContent = "$" + (
-      10000 * Math.pow(1 + expReturn / 100, 10)
-    ).toFixed(0);
+// Middle band = SMA; upper/lower = ± `width` population standard deviations
+function bollinger(values, period = 20, width = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  middle.forEach((m, i) => {
+    if (m == null) return;
+    const recent = values.slice(i - period + 1, i + 1);
+    const sd = Math.sqrt(recent.reduce((s, v) => s + (v - m) ** 2, 0) / period);
+    upper[i] = m + width * sd;
+    lower[i] = m - width * sd;
+  });
+  return { middle, upper, lower };
+}
+
+// Wilder's RSI (smoothed average gain / loss), 0–100
+function rsi(values, period = 14) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const d = values[i] - values[i - 1];
+    if (d > 0) gain += d;
+    else loss -= d;
+  }
+  gain /= period;
+  loss /= period;
+  const value = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  out[period] = value();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const d = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(d, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-d, 0)) / period;
+    out[i] = value();
   }
+  return out;
+}
+
+function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) =>
+    fastEma[i] != null && slowEma[i] != null ? fastEma[i] - slowEma[i] : null
+  );
 
-  return { expReturn, sigma };
+  // Signal = EMA of the MACD line once it exists
+  const first = line.findIndex(v => v != null);
+  const signal = new Array(values.length).fill(null);
+  if (first >= 0) {
+    ema(line.slice(first), signalPeriod).forEach((v, i) => (signal[first + i] = v));
+  }
+  const histogram = line.map((v, i) => (v != null && signal[i] != null ? v - signal[i] : null));
+  return { macd: line, signal, histogram };
 }
 
 /* ============================================================
-   BUILD PORTFOLIO CHARTS
+   SYMBOL DETAIL (#symbol?id=AAPL&class=stocks)
+   ============================================================
+
+   Daily candles for one stock or coin with a volume subplot and
+   optional studies. The whole series is loaded once; indicators
+   are computed on all of it (so a zoomed-in SMA 50 is already
+   warmed up) and only the visible window is plotted. Range,
+   dates and studies live in the URL like any other page state.
    ============================================================ */
-function buildPortfolioCharts() {
-  const labels = ["Equities", "REITs", "Bonds", "Crypto"];
-  const assetKeys = ["stocks", "reits", "bonds", "crypto"];
-  const weights = assetKeys.map((k) => allocations[k]);
 
-  // Allocation doughnut
-  const allocCtx = document.getElementById("allocation-chart");
-  allocationChart = ensureChart(allocCtx, "doughnut", {
+// Lookback in months for the range picker; null = everything loaded
+const SYMBOL_RANGES = { "1m": 1, "3m": 3, "6m": 6, "1y": 12, "5y": 60, all: null };
+const SYMBOL_DEFAULT_RANGE = "6m";
+const SYMBOL_MIN_BARS = 10;
+const SYMBOL_UP = "#52b788";
+const SYMBOL_DOWN = "#e76f51";
+
+// [key, label, colour] for the price overlays
+const SYMBOL_OVERLAYS = [
+  ["sma20", "SMA 20", "#d4af37"],
+  ["sma50", "SMA 50", "#74c69d"],
+  ["ema20", "EMA 20", "#40916c"],
+];
+
+// { id, assetClass, bars, studies, from, to, range, show: Set }
+let symbolView = null;
+let symbolRunId = 0;
+let symbolPriceChart, symbolVolumeChart, symbolRsiChart, symbolMacdChart;
+
+function symbolHref(assetClass, id) {
+  return buildRouteHash("symbol", { id, class: assetClass });
+}
+
+function symbolStudies(closes) {
+  return {
+    sma20: sma(closes, 20),
+    sma50: sma(closes, 50),
+    ema20: ema(closes, 20),
+    bollinger: bollinger(closes, 20, 2),
+    rsi: rsi(closes, 14),
+    macd: macd(closes, 12, 26, 9),
+  };
+}
+
+// "YYYY-MM-DD" `months` calendar months before `date`
+function monthsBefore(date, months) {
+  const d = new Date(date + "T00:00:00Z");
+  d.setUTCMonth(d.getUTCMonth() - months);
+  return d.toISOString().slice(0, 10);
+}
+
+// Visible [start, end] bar indices for the current range / dates
+function symbolWindow(view) {
+  const { dates } = view.bars;
+  const last = dates.length - 1;
+  let end = last;
+  if (view.to) {
+    while (end > 0 && dates[end] > view.to) end--;
+  }
+
+  let from = view.from;
+  if (!from && SYMBOL_RANGES[view.range]) from = monthsBefore(dates[end], SYMBOL_RANGES[view.range]);
+  let start = 0;
+  if (from) {
+    while (start < end && dates[start] < from) start++;
+  }
+  if (end - start + 1 < SYMBOL_MIN_BARS) start = Math.max(end - SYMBOL_MIN_BARS + 1, 0);
+  return [start, end];
+}
+
+// Halve (factor 0.5) or double (2) the visible bars, keeping the last one in place
+function zoomSymbol(factor) {
+  if (!symbolView || !symbolView.bars) return;
+  const { dates } = symbolView.bars;
+  const [start, end] = symbolWindow(symbolView);
+  const count = Math.round((end - start + 1) * factor);
+  const bars = Math.min(Math.max(count, SYMBOL_MIN_BARS), end + 1);
+  symbolView.from = dates[end - bars + 1];
+  symbolView.to = dates[end];
+  symbolView.range = "";
+  renderSymbolView();
+  syncRouteState();
+}
+
+function readSymbolRouteState() {
+  if (!symbolView) return {};
+  return {
+    id: symbolView.id,
+    class: symbolView.assetClass,
+    range: symbolView.range === SYMBOL_DEFAULT_RANGE ? "" : symbolView.range,
+    from: symbolView.from,
+    to: symbolView.to,
+    show: [...symbolView.show].join(","),
+  };
+}
+
+// Label from the portfolio selectors ("AAPL – Apple Inc."), else the raw id
+function symbolLabel(assetClass, id) {
+  const select = document.getElementById(assetClass === "crypto" ? "crypto-select" : "stock-select");
+  const opt = select && Array.from(select.options).find(o => o.value === id);
+  return opt ? opt.textContent : id.toUpperCase();
+}
+
+async function openSymbol(params) {
+  const id = (params.get("id") || "").trim();
+  const assetClass = params.get("class") === "crypto" ? "crypto" : "stocks";
+  const note = document.getElementById("symbol-note");
+  if (!id) {
+    if (note) note.textContent = "Open a symbol from the Portfolio page or the live ticker.";
+    return;
+  }
+
+  const same = symbolView && symbolView.id === id && symbolView.assetClass === assetClass;
+  symbolView = {
+    id,
+    assetClass,
+    bars: same ? symbolView.bars : null,
+    studies: same ? symbolView.studies : null,
+    range: params.has("range") ? params.get("range") : params.has("from") ? "" : SYMBOL_DEFAULT_RANGE,
+    from: params.get("from") || "",
+    to: params.get("to") || "",
+    show: new Set(splitParam(params.get("show"))),
+  };
+  renderSymbolControls();
+
+  const title = document.getElementById("symbol-title");
+  if (title) title.innerHTML = `${escapeHtml(symbolLabel(assetClass, id))} <span>Chart</span>`;
+
+  if (same && symbolView.bars) {
+    renderSymbolView();
+    return;
+  }
+
+  const runId = ++symbolRunId;
+  if (note) note.textContent = `Loading ${id.toUpperCase()} price history…`;
+  const bars = await fetchSymbolOhlc(assetClass, id);
+  if (runId !== symbolRunId) return;
+
+  if (!bars || bars.dates.length < 2) {
+    if (note) note.textContent = `No price history available for ${id.toUpperCase()} right now.`;
+    return;
+  }
+  symbolView.bars = bars;
+  symbolView.studies = symbolStudies(bars.close);
+  renderSymbolView();
+}
+
+// Inputs mirror symbolView (after a route change or zoom)
+function renderSymbolControls() {
+  const view = symbolView;
+  const range = document.getElementById("symbol-range");
+  if (range) range.value = view.range in SYMBOL_RANGES ? view.range : "";
+  document.querySelectorAll("[data-indicator]").forEach((chk) => {
+    chk.checked = view.show.has(chk.dataset.indicator);
+  });
+
+  if (!view.bars) return;
+  const [start, end] = symbolWindow(view);
+  const fromEl = document.getElementById("symbol-from");
+  const toEl = document.getElementById("symbol-to");
+  if (fromEl) {
+    fromEl.value = view.bars.dates[start];
+    fromEl.min = view.bars.dates[0];
+    fromEl.max = view.bars.dates[end];
+  }
+  if (toEl) {
+    toEl.value = view.bars.dates[end];
+    toEl.min = view.bars.dates[start];
+    toEl.max = view.bars.dates[view.bars.dates.length - 1];
+  }
+}
+
+function renderSymbolView() {
+  const view = symbolView;
+  if (!view || !view.bars) return;
+  const [start, end] = symbolWindow(view);
+  renderSymbolControls();
+  renderSymbolStats(view, start, end);
+  renderSymbolCharts(view, start, end);
+
+  const note = document.getElementById("symbol-note");
+  if (note) {
+    const source = view.assetClass === "crypto" ? "CoinGecko (last 90 days)" : "Alpha Vantage (split/dividend adjusted)";
+    note.textContent = `${end - start + 1} daily bars in ${view.bars.currency || baseCurrency} · ${source}`;
+  }
+}
+
+function renderSymbolStats(view, start, end) {
+  const { close, high, low } = view.bars;
+  const last = close[end];
+  const first = start > 0 ? close[start - 1] : view.bars.open[start];
+  const change = first > 0 ? (last / first - 1) * 100 : 0;
+
+  const lastEl = document.getElementById("symbol-last");
+  const changeEl = document.getElementById("symbol-change");
+  const rangeEl = document.getElementById("symbol-hilo");
+  const digits = last < 1 ? 4 : 2;
+  const currency = view.bars.currency || baseCurrency;
+  if (lastEl) lastEl.textContent = formatMoney(last, digits, currency);
+  if (changeEl) {
+    changeEl.textContent = `${change >= 0 ? "+" : ""}${change.toFixed(2)}%`;
+    changeEl.classList.toggle("negative", change < 0);
+  }
+  if (rangeEl) {
+    const hi = Math.max(...high.slice(start, end + 1));
+    const lo = Math.min(...low.slice(start, end + 1));
+    rangeEl.textContent = `${formatMoney(lo, digits, currency)} – ${formatMoney(hi, digits, currency)}`;
+  }
+}
+
+function renderSymbolCharts(view, start, end) {
+  const { bars, studies, show } = view;
+  const slice = arr => arr.slice(start, end + 1);
+  const labels = slice(bars.dates);
+  const up = slice(bars.close).map((c, i) => c >= bars.open[start + i]);
+  const colors = up.map(u => (u ? SYMBOL_UP : SYMBOL_DOWN));
+  const digits = bars.close[end] < 1 ? 4 : 2;
+  const currency = bars.currency || baseCurrency;
+  const axis = {
+    x: { ticks: { color: "#b7c9c3", maxTicksLimit: 8 }, grid: { color: "#122018" } },
+    y: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
+  };
+
+  const overlays = SYMBOL_OVERLAYS.filter(([key]) => show.has(key)).map(([key, label, color]) => ({
+    type: "line",
+    label,
+    data: slice(studies[key]),
+    borderColor: color,
+    borderWidth: 1.5,
+    pointRadius: 0,
+    order: 0,
+  }));
+  if (show.has("bollinger")) {
+    const band = { type: "line", borderColor: "rgba(183, 201, 195, 0.6)", borderWidth: 1, pointRadius: 0, order: 0 };
+    overlays.push(
+      { ...band, label: "Bollinger upper", data: slice(studies.bollinger.upper), backgroundColor: "rgba(183, 201, 195, 0.08)", fill: "+1" },
+      { ...band, label: "Bollinger lower", data: slice(studies.bollinger.lower) }
+    );
+  }
+
+  // Candles: a thin floating bar for high–low behind a wide one for open–close
+  const ctx = document.getElementById("symbol-price-chart");
+  symbolPriceChart = ensureChart(ctx, "bar", {
     data: {
       labels,
       datasets: [
         {
-          data: weights,
-          backgroundColor: assetKeys.map((k) => chartColors[k]),
-          borderColor: "#02040a",
-          borderWidth: 2,
+          label: "Open–close",
+          data: labels.map((_, i) => {
+            const o = bars.open[start + i];
+            const c = bars.close[start + i];
+            return [Math.min(o, c), Math.max(o, c)];
+          }),
+          backgroundColor: colors,
+          barPercentage: 0.8,
+          grouped: false,
+          order: 1,
+        },
+        {
+          label: "High–low",
+          data: labels.map((_, i) => [bars.low[start + i], bars.high[start + i]]),
+          backgroundColor: colors,
+          barPercentage: 0.15,
+          grouped: false,
+          order: 2,
         },
+        ...overlays,
       ],
     },
     options: {
+      animation: false,
+      interaction: { mode: "index", intersect: false },
       plugins: {
-        legend: { position: "bottom", labels: { color: "#e8f5e9" } },
-        title: {
-          display: true,
-          text: "Current Allocation (%)",
-          color: "#e8f5e9",
+        legend: {
+          labels: { color: "#e8f5e9", filter: item => item.text !== "High–low" && item.text !== "Open–close" },
         },
-      },
-    },
-  });
-
-  // Correlation radar (approx)
-  const corrCtx = document.getElementById("correlation-chart");
-  const corrMatrix = [
-    [1.0, 0.7, 0.3, 0.4],
-    [0.7, 1.0, 0.4, 0.5],
-    [0.3, 0.4, 1.0, 0.1],
-    [0.4, 0.5, 0.1, 1.0],
-  ];
-  correlationChart = ensureChart(corrCtx, "radar", {
-    data: {
-      labels,
-      datasets: corrMatrix.map((row, i) => ({
-        label: labels[i],
-        data: row,
-      })),
-    },
-    options: {
-      plugins: {
-        legend: { labels: { color: "#e8f5e9" } },
-        title: {
-          display: true,
-          text: "Approximate correlations (0 to 1)",
-          color: "#e8f5e9",
+        tooltip: {
+          filter: item => item.dataset.label !== "High–low",
+          callbacks: {
+            label(item) {
+              if (item.dataset.label !== "Open–close") {
+                return `${item.dataset.label}: ${formatMoney(item.raw, digits, currency)}`;
+              }
+              const i = start + item.dataIndex;
+              return ["open", "high", "low", "close"]
+                .map(k => `${k[0].toUpperCase()} ${formatMoney(bars[k][i], digits, currency)}`)
+                .join("  ");
+            },
+          },
         },
       },
       scales: {
-        r: {
-          min: 0,
-          max: 1,
-          ticks: { color: "#b7c9c3" },
-          grid: { color: "#122018" },
-          pointLabels: { color: "#e8f5e9" },
-        },
+        x: axis.x,
+        y: { ...axis.y, beginAtZero: false, ticks: { ...axis.y.ticks, callback: v => formatMoney(v, digits, currency) } },
       },
     },
   });
 
-  // Volatility bar
-  const volCtx = document.getElementById("volatility-chart");
-  volatilityChart = ensureChart(volCtx, "bar", {
+  const volumeCtx = document.getElementById("symbol-volume-chart");
+  symbolVolumeChart = ensureChart(volumeCtx, "bar", {
     data: {
       labels,
       datasets: [
         {
-          label: "σ (annualised, %)",
-          data: assetKeys.map((k) => volatilities[k]),
+          label: "Volume",
+          data: slice(bars.volume),
+          backgroundColor: colors.map(c => c + "99"),
         },
       ],
     },
     options: {
-      plugins: {
-        legend: { labels: { color: "#e8f5e9" } },
-        title: {
-          display: true,
-          text: "Asset-level Volatility",
-          color: "#e8f5e9",
-        },
-      },
+      animation: false,
+      plugins: { legend: { display: false } },
       scales: {
-        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
+        x: { ...axis.x, ticks: { display: false } },
         y: {
-          ticks: { color: "#b7c9c3" },
-          grid: { color: "#122018" },
-          beginAtZero: true,
+          ...axis.y,
+          ticks: {
+            ...axis.y.ticks,
+            maxTicksLimit: 3,
+            callback: v => new Intl.NumberFormat("en-US", { notation: "compact" }).format(v),
+          },
         },
       },
     },
   });
 
-  // Risk-return scatter
-  const riskCtx = document.getElementById("risk-return-chart");
-  riskReturnChart = ensureChart(riskCtx, "scatter", {
-    data: {
-      datasets: assetKeys.map((k, i) => ({
-        label: labels[i],
-        data: [{ x: volatilities[k], y: expectedReturns[k] }],
-        pointRadius: 4,
-      })),
-    },
-    options: {
-      plugins: {
-        legend: { labels: { color: "#e8f5e9" } },
-        title: {
-          display: true,
-          text: "Expected Return vs Volatility",
-          color: "#e8f5e9",
-        },
+  toggleSymbolPanel("rsi", show.has("rsi"));
+  if (show.has("rsi")) {
+    const flat = value => ({
+      label: String(value),
+      data: labels.map(() => value),
+      borderColor: "rgba(183, 201, 195, 0.4)",
+      borderDash: [4, 4],
+      borderWidth: 1,
+      pointRadius: 0,
+    });
+    symbolRsiChart = ensureChart(document.getElementById("symbol-rsi-chart"), "line", {
+      data: {
+        labels,
+        datasets: [
+          { label: "RSI 14", data: slice(studies.rsi), borderColor: "#d4af37", borderWidth: 1.5, pointRadius: 0 },
+          flat(70),
+          flat(30),
+        ],
       },
-      scales: {
-        x: {
-          title: { display: true, text: "Volatility (%)", color: "#e8f5e9" },
-          ticks: { color: "#b7c9c3" },
-          grid: { color: "#122018" },
-        },
-        y: {
-          title: { display: true, text: "Expected Return (%)", color: "#e8f5e9" },
-          ticks: { color: "#b7c9c3" },
-          grid: { color: "#122018" },
-        },
+      options: {
+        animation: false,
+        plugins: { legend: { labels: { color: "#e8f5e9", filter: item => item.text === "RSI 14" } } },
+        scales: { x: { ...axis.x, ticks: { display: false } }, y: { ...axis.y, min: 0, max: 100 } },
       },
-    },
+    });
+  }
+
+  toggleSymbolPanel("macd", show.has("macd"));
+  if (show.has("macd")) {
+    const histogram = slice(studies.macd.histogram);
+    symbolMacdChart = ensureChart(document.getElementById("symbol-macd-chart"), "bar", {
+      data: {
+        labels,
+        datasets: [
+          {
+            type: "line",
+            label: "MACD (12, 26)",
+            data: slice(studies.macd.macd),
+            borderColor: "#52b788",
+            borderWidth: 1.5,
+            pointRadius: 0,
+          },
+          {
+            type: "line",
+            label: "Signal (9)",
+            data: slice(studies.macd.signal),
+            borderColor: "#d4af37",
+            borderWidth: 1.5,
+            pointRadius: 0,
+          },
+          {
+            label: "Histogram",
+            data: histogram,
+            backgroundColor: histogram.map(v => (v >= 0 ? SYMBOL_UP : SYMBOL_DOWN) + "99"),
+          },
+        ],
+      },
+      options: {
+        animation: false,
+        plugins: { legend: { labels: { color: "#e8f5e9" } } },
+        scales: { x: { ...axis.x, ticks: { display: false } }, y: axis.y },
+      },
+    });
+  }
+}
+
+function toggleSymbolPanel(name, visible) {
+  const panel = document.getElementById(`symbol-${name}-panel`);
+  if (panel) panel.classList.toggle("hidden", !visible);
+}
+
+// Chart links under a portfolio selector for whatever is selected in it
+function renderSymbolLinks(selectId, assetClass) {
+  const el = document.getElementById(`${selectId}-links`);
+  if (!el) return;
+  const values = selectedValues(selectId);
+  el.innerHTML = values.length
+    ? "Charts: " +
+      values
+        .map(v => `<a href="${symbolHref(assetClass, v)}">${escapeHtml(v.toUpperCase())}</a>`)
+        .join(" · ")
+    : "";
+}
+
+function renderAllSymbolLinks() {
+  renderStockChips();
+  renderSymbolLinks("crypto-select", "crypto");
+}
+
+function initSymbolDetail() {
+  const range = document.getElementById("symbol-range");
+  if (range) {
+    range.addEventListener("change", () => {
+      if (!symbolView || !range.value) return;
+      symbolView.range = range.value;
+      symbolView.from = "";
+      symbolView.to = "";
+      renderSymbolView();
+      syncRouteState();
+    });
+  }
+
+  ["symbol-from", "symbol-to"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener("change", () => {
+      if (!symbolView || !symbolView.bars) return;
+      const [start, end] = symbolWindow(symbolView);
+      symbolView.from = document.getElementById("symbol-from").value || symbolView.bars.dates[start];
+      symbolView.to = document.getElementById("symbol-to").value || symbolView.bars.dates[end];
+      symbolView.range = "";
+      renderSymbolView();
+      syncRouteState();
+    });
+  });
+
+  const zoomIn = document.getElementById("symbol-zoom-in");
+  const zoomOut = document.getElementById("symbol-zoom-out");
+  if (zoomIn) zoomIn.addEventListener("click", () => zoomSymbol(0.5));
+  if (zoomOut) zoomOut.addEventListener("click", () => zoomSymbol(2));
+
+  document.querySelectorAll("[data-indicator]").forEach((chk) => {
+    chk.addEventListener("change", () => {
+      if (!symbolView) return;
+      if (chk.checked) symbolView.show.add(chk.dataset.indicator);
+      else symbolView.show.delete(chk.dataset.indicator);
+      renderSymbolView();
+      syncRouteState();
+    });
   });
+
+  ["stock-select", "crypto-select"].forEach((id) => {
+    const select = document.getElementById(id);
+    if (select) select.addEventListener("change", renderAllSymbolLinks);
+  });
+  renderAllSymbolLinks();
 }
 
 /* ============================================================
-   REAL EXPECTED RETURN → GROWTH CHART
+   STOCK SCREENER (#screener)
+   ============================================================
+
+   Fundamentals from Alpha Vantage OVERVIEW joined with the
+   return / volatility that fetchHistoricalVolatility measures
+   for the portfolio, for STOCK_LIST plus whatever is chosen on
+   the Portfolio page. That is two Alpha calls per symbol, far
+   more than the free tier's 25 a day, so nothing loads until
+   "Load fundamentals" is pressed and rows fill in as answers
+   (or cache hits) arrive. Rules, AND/OR and the sort column
+   are page state in the URL.
    ============================================================ */
-function buildRealGrowthChart(realExpReturn) {
-  const growthCtx = document.getElementById("growth-chart");
-  if (!growthCtx) return;
 
-  const years = [...Array(11).keys()];
-  const initial = 10000;
-  const r = realExpReturn / 100;
+/* ------------------------------------------------------------
+   Screenable fields. `scale` turns a typed rule value into the
+   stored unit (P/E as is, 2 (%) → 0.02, 50 (bn) → 50e9);
+   `format` renders a stored value for the table.
+------------------------------------------------------------ */
+const SCREENER_FIELDS = {
+  marketCap: { label: "Market cap", unit: "bn", scale: 1e9, format: v => formatMoney(v / 1e9, 0, screenerCurrency) + "bn" },
+  pe: { label: "P/E", unit: "", scale: 1, format: v => v.toFixed(1) },
+  dividendYield: { label: "Dividend yield", unit: "%", scale: 0.01, format: v => (v * 100).toFixed(2) + "%" },
+  beta: { label: "Beta", unit: "", scale: 1, format: v => v.toFixed(2) },
+  fromHigh: { label: "From 52w high", unit: "%", scale: 0.01, format: v => (v * 100).toFixed(1) + "%" },
+  annualReturn: { label: "Return (ann.)", unit: "%", scale: 0.01, format: v => (v * 100).toFixed(1) + "%" },
+  annualVol: { label: "Volatility (ann.)", unit: "%", scale: 0.01, format: v => (v * 100).toFixed(1) + "%" },
+};
 
-  const series = years.map(y => initial * Math.pow(1 + r, y));
+const SCREENER_OPS = {
+  gt: { label: ">", test: (v, x) => v > x },
+  lt: { label: "<", test: (v, x) => v < x },
+  is: { label: "is", test: (v, x) => v.toLowerCase() === x.toLowerCase() },
+  not: { label: "is not", test: (v, x) => v.toLowerCase() !== x.toLowerCase() },
+};
 
-  growthChart = ensureChart(growthCtx, "line", {
-    data: {
-      labels: years.map(y => y + "y"),
-      datasets: [
-        {
-          label: "Projected Value",
-          data: series,
-          tension: 0.25,
-        },
-      ],
-    },
-    options: {
-      plugins: {
-        legend: { labels: { color: "#e8f5e9" } },
-        title: {
-          display: true,
-          text: "Deterministic Growth (Real Expected Return)",
-          color: "#e8f5e9",
-        },
-      },
-      scales: {
-        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
-        y: {
-          ticks: { color: "#b7c9c3" },
-          grid: { color: "#122018" },
-          beginAtZero: false,
-        },
-      },
-    },
+const SCREENER_DEFAULT_SORT = { key: "marketCap", dir: "desc" };
+
+// { rules: [{ field, op, value }], match: "all" | "any", sort: { key, dir } }
+const screenerState = { rules: [], match: "all", sort: { ...SCREENER_DEFAULT_SORT } };
+// symbol → row; rows appear as their data arrives
+const screenerRows = new Map();
+let screenerRunId = 0;
+// Money columns stay in LISTING_CURRENCY when the last load had no FX rate
+let screenerCurrency = baseCurrency;
+
+// "pe:lt:25,sector:is:Technology" ⇄ rule list (sector names may hold spaces, not commas)
+function encodeScreenerRules(rules) {
+  return rules.map(r => `${r.field}:${r.op}:${r.value}`).join(",");
+}
+
+function parseScreenerRules(value) {
+  return splitParam(value)
+    .map((part) => {
+      const [field, op, ...rest] = part.split(":");
+      const raw = rest.join(":").trim();
+      if (field === "sector") return ["is", "not"].includes(op) && raw ? { field, op, value: raw } : null;
+      const num = parseFloat(raw);
+      return SCREENER_FIELDS[field] && ["gt", "lt"].includes(op) && Number.isFinite(num)
+        ? { field, op, value: num }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+function screenerRuleLabel(rule) {
+  if (rule.field === "sector") return `Sector ${SCREENER_OPS[rule.op].label} ${rule.value}`;
+  const field = SCREENER_FIELDS[rule.field];
+  return `${field.label} ${SCREENER_OPS[rule.op].label} ${rule.value}${field.unit === "%" ? "%" : field.unit ? " " + field.unit : ""}`;
+}
+
+// A row missing the field never passes a rule on it
+function ruleMatches(row, rule) {
+  const v = row[rule.field];
+  if (v == null) return false;
+  const target = rule.field === "sector" ? rule.value : rule.value * SCREENER_FIELDS[rule.field].scale;
+  return SCREENER_OPS[rule.op].test(v, target);
+}
+
+function screenRows(rows, rules, match) {
+  if (!rules.length) return rows;
+  return rows.filter(row =>
+    match === "any" ? rules.some(r => ruleMatches(row, r)) : rules.every(r => ruleMatches(row, r))
+  );
+}
+
+// Missing values sort last in either direction
+function sortScreenerRows(rows, { key, dir }) {
+  const sign = dir === "asc" ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    if (x == null || y == null) return (x == null) - (y == null);
+    return typeof x === "string" ? sign * x.localeCompare(y) : sign * (x - y);
   });
 }
 
-/* ============================================================
-   MONTE CARLO USING REAL VOLATILITY + REAL EXPECTED RETURN
-   ============================================================ */
-function runMonteCarlo(realExpReturn, realVolatility) {
-  const mcCtx = document.getElementById("monte-carlo-chart");
-  if (!mcCtx) return;
+// Title-case Alpha's upper-case sectors ("FINANCIAL SERVICES" → "Financial Services")
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+async function loadScreenerRow(symbol, rate) {
+  const [overview, stats] = await Promise.all([
+    fetchCompanyOverview(symbol),
+    fetchHistoricalVolatility(symbol, { annualVol: null, annualReturn: null }),
+  ]);
+  const last = stats.closes ? stats.closes[stats.closes.length - 1] : null;
+  const high = overview && overview.week52High != null ? overview.week52High * rate : null;
+  return {
+    symbol,
+    name: overview ? overview.name : listingFor(symbol).name,
+    sector: overview && overview.sector ? titleCase(overview.sector) : null,
+    marketCap: overview && overview.marketCap != null ? overview.marketCap * rate : null,
+    pe: overview ? overview.pe : null,
+    dividendYield: overview ? overview.dividendYield : null,
+    beta: overview ? overview.beta : null,
+    week52Low: overview && overview.week52Low != null ? overview.week52Low * rate : null,
+    week52High: high,
+    fromHigh: last != null && high ? last / high - 1 : null,
+    annualReturn: stats.annualReturn,
+    annualVol: stats.annualVol,
+  };
+}
+
+async function loadScreener() {
+  const runId = ++screenerRunId;
+  const chosen = selectedValues("stock-select");
+  const universe = [...new Set([...STOCK_LIST.map(s => s.symbol), ...chosen])];
+  const rate = await fetchFxRate();
+  if (runId !== screenerRunId) return;
+  screenerCurrency = rate == null ? LISTING_CURRENCY : baseCurrency;
+  let done = 0;
+
+  setScreenerStatus(`Loading fundamentals for ${universe.length} symbols…`);
+  await Promise.all(
+    universe.map(async (symbol) => {
+      const row = await loadScreenerRow(symbol, rate == null ? 1 : rate);
+      if (runId !== screenerRunId) return;
+      screenerRows.set(symbol, row);
+      done++;
+      setScreenerStatus(`Loaded ${done} / ${universe.length} symbols…`);
+      renderScreener();
+    })
+  );
+  if (runId !== screenerRunId) return;
+
+  const missing = [...screenerRows.values()].filter(r => r.pe == null && r.marketCap == null).length;
+  setScreenerStatus(
+    missing
+      ? `${missing} symbols have no fundamentals yet (API limit or not covered) – try again later.`
+      : `Fundamentals loaded for ${universe.length} symbols.`
+  );
+}
+
+function setScreenerStatus(text) {
+  const el = document.getElementById("screener-status");
+  if (el) el.textContent = text;
+}
+
+function renderScreenerRules() {
+  const el = document.getElementById("screener-rules");
+  const match = document.getElementById("screener-match");
+  if (match) match.value = screenerState.match;
+  if (!el) return;
+  el.innerHTML = screenerState.rules.length
+    ? screenerState.rules
+        .map(
+          (r, i) => `
+          <span class="alert-chip">
+            ${escapeHtml(screenerRuleLabel(r))}
+            <button class="link-button" data-remove-screen-rule="${i}" title="Remove rule">×</button>
+          </span>`
+        )
+        .join("")
+    : `<span class="small-note">No rules – every symbol is shown.</span>`;
+}
+
+function renderScreener() {
+  const container = document.getElementById("screener-table");
+  const countEl = document.getElementById("screener-count");
+  if (!container) return;
+
+  const all = [...screenerRows.values()];
+  if (!all.length) {
+    container.innerHTML = `<div class="small-note">Press “Load fundamentals” to fill the screener.</div>`;
+    if (countEl) countEl.textContent = "";
+    return;
+  }
+
+  const rows = sortScreenerRows(screenRows(all, screenerState.rules, screenerState.match), screenerState.sort);
+  if (countEl) countEl.textContent = `${rows.length} of ${all.length} symbols match`;
+
+  const chosen = new Set(selectedValues("stock-select"));
+  const cell = (row, key) => (row[key] == null ? "–" : SCREENER_FIELDS[key].format(row[key]));
+  const { key: sortKey, dir } = screenerState.sort;
+  const header = (key, label) =>
+    `<th><button class="link-button" data-sort="${key}">${label}${key === sortKey ? (dir === "asc" ? " ▲" : " ▼") : ""}</button></th>`;
+
+  const body = rows
+    .map(
+      r => `
+      <tr>
+        <td><a href="${symbolHref("stocks", r.symbol)}">${escapeHtml(r.symbol)}</a></td>
+        <td>${escapeHtml(r.name || "")}</td>
+        <td>${r.sector ? escapeHtml(r.sector) : "–"}</td>
+        ${Object.keys(SCREENER_FIELDS).map(k => `<td>${cell(r, k)}</td>`).join("")}
+        <td>${r.week52Low != null ? `${formatMoney(r.week52Low, 2, screenerCurrency)} – ${formatMoney(r.week52High, 2, screenerCurrency)}` : "–"}</td>
+        <td>
+          ${chosen.has(r.symbol)
+            ? `<span class="small-note">In portfolio</span>`
+            : `<button class="link-button" data-add-screen-symbol="${escapeHtml(r.symbol)}">Add</button>`}
+        </td>
+      </tr>`
+    )
+    .join("");
+
+  container.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          ${header("symbol", "Symbol")}
+          ${header("name", "Name")}
+          ${header("sector", "Sector")}
+          ${Object.entries(SCREENER_FIELDS).map(([k, f]) => header(k, f.label)).join("")}
+          <th>52w range</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${body || `<tr><td colspan="12" class="small-note">No symbols match these rules.</td></tr>`}</tbody>
+    </table>`;
+}
+
+// Field list for the rule form: sector first, then the numeric columns
+function populateScreenerFields() {
+  const select = document.getElementById("screener-field");
+  if (!select) return;
+  select.innerHTML =
+    `<option value="sector">Sector</option>` +
+    Object.entries(SCREENER_FIELDS)
+      .map(([k, f]) => `<option value="${k}">${f.label}${f.unit ? ` (${f.unit})` : ""}</option>`)
+      .join("");
+  updateScreenerOps();
+}
+
+function updateScreenerOps() {
+  const field = document.getElementById("screener-field");
+  const op = document.getElementById("screener-op");
+  const value = document.getElementById("screener-value");
+  if (!field || !op) return;
+  const ops = field.value === "sector" ? ["is", "not"] : ["gt", "lt"];
+  op.innerHTML = ops.map(k => `<option value="${k}">${SCREENER_OPS[k].label}</option>`).join("");
+  if (value) {
+    value.type = field.value === "sector" ? "text" : "number";
+    value.placeholder = field.value === "sector" ? "e.g. Technology" : "";
+  }
+}
+
+function readScreenerRouteState() {
+  const { sort } = screenerState;
+  const defaultSort = sort.key === SCREENER_DEFAULT_SORT.key && sort.dir === SCREENER_DEFAULT_SORT.dir;
+  return {
+    rules: encodeScreenerRules(screenerState.rules),
+    match: screenerState.match === "all" ? "" : screenerState.match,
+    sort: defaultSort ? "" : `${sort.key}:${sort.dir}`,
+  };
+}
+
+function applyScreenerRouteState(params) {
+  screenerState.rules = parseScreenerRules(params.get("rules"));
+  screenerState.match = params.get("match") === "any" ? "any" : "all";
+  const [key, dir] = (params.get("sort") || "").split(":");
+  screenerState.sort =
+    key && (key in SCREENER_FIELDS || ["symbol", "name", "sector"].includes(key))
+      ? { key, dir: dir === "asc" ? "asc" : "desc" }
+      : { ...SCREENER_DEFAULT_SORT };
+  renderScreenerRules();
+  renderScreener();
+}
+
+function updateScreener() {
+  renderScreenerRules();
+  renderScreener();
+  syncRouteState();
+}
+
+function initScreener() {
+  populateScreenerFields();
+  renderScreenerRules();
+  renderScreener();
+
+  const field = document.getElementById("screener-field");
+  if (field) field.addEventListener("change", updateScreenerOps);
+
+  const form = document.getElementById("screener-rule-form");
+  if (form) {
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const raw = document.getElementById("screener-value").value.trim();
+      const [rule] = parseScreenerRules(
+        encodeScreenerRules([{ field: field.value, op: document.getElementById("screener-op").value, value: raw }])
+      );
+      if (!rule) {
+        setScreenerStatus("Enter a number (or a sector name) for the rule.");
+        return;
+      }
+      screenerState.rules.push(rule);
+      form.reset();
+      updateScreenerOps();
+      updateScreener();
+    });
+  }
+
+  const match = document.getElementById("screener-match");
+  if (match) {
+    match.addEventListener("change", () => {
+      screenerState.match = match.value === "any" ? "any" : "all";
+      updateScreener();
+    });
+  }
+
+  const rules = document.getElementById("screener-rules");
+  if (rules) {
+    rules.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-remove-screen-rule]");
+      if (!btn) return;
+      screenerState.rules.splice(Number(btn.dataset.removeScreenRule), 1);
+      updateScreener();
+    });
+  }
+
+  const table = document.getElementById("screener-table");
+  if (table) {
+    table.addEventListener("click", (e) => {
+      const sortBtn = e.target.closest("[data-sort]");
+      const addBtn = e.target.closest("[data-add-screen-symbol]");
+      if (sortBtn) {
+        const key = sortBtn.dataset.sort;
+        const { sort } = screenerState;
+        // Text columns start A→Z, numbers largest first
+        const firstDir = ["symbol", "name", "sector"].includes(key) ? "asc" : "desc";
+        screenerState.sort = {
+          key,
+          dir: sort.key === key ? (sort.dir === "asc" ? "desc" : "asc") : firstDir,
+        };
+        updateScreener();
+      } else if (addBtn) {
+        const symbol = addBtn.dataset.addScreenSymbol;
+        const row = screenerRows.get(symbol);
+        if (row) rememberListings([{ symbol, name: row.name, type: "", exchange: "", currency: LISTING_CURRENCY }]);
+        setStockChosen(symbol, true);
+        renderScreener();
+      }
+    });
+  }
+
+  const loadBtn = document.getElementById("screener-load-btn");
+  if (loadBtn) loadBtn.addEventListener("click", loadScreener);
+}
+
+// MARKET DATA (CoinGecko)
+async function fetchCoinPrices(ids) {
+  const sorted = [...ids].sort();
+  const vsCurrency = baseCurrency.toLowerCase();
+  try {
+    return await cachedFetch("coinPrices", `${sorted.join(",")}:${vsCurrency}`, () =>
+      dataProviders.crypto.coinPrices(sorted, { vsCurrency })
+    );
+  } catch (err) {
+    console.warn("Crypto simple price error", err);
+    return null;
+  }
+}
 
-  const nYears = 10;
-  const expR = realExpReturn / 100;
-  const sigma = realVolatility / 100;
+function fetchCryptoData() {
+  return fetchCoinPrices(["bitcoin", "pax-gold"]);
+}
+
+async function fetchCryptoList() {
+  try {
+    const vsCurrency = baseCurrency.toLowerCase();
+    return await cachedFetch("coinList", `top50:${vsCurrency}`, () =>
+      dataProviders.crypto.coinList({ perPage: 50, vsCurrency })
+    );
+  } catch (err) {
+    console.warn("Crypto list error", err);
+    return [];
+  }
+}
+
+async function buildMarketStats() {
+  const data = await fetchCryptoData();
 
-  const paths = [];
+  // BTC
+  if (data && data.bitcoin) {
+    const btc = coinQuote(data.bitcoin) || { price: null, change: 0 };
+    const priceEl = document.getElementById("btc-value");
+    const changeEl = document.getElementById("btc-change");
+    const price = btc.price;
+    const change = btc.change;
+    if (priceEl)
+      priceEl.textContent = price != null ? formatMoney(price) : "-";
+    if (changeEl) {
+      changeEl.textContent =
+        (change >= 0 ? "+" : "") + change.toFixed(2) + "% (24h)";
+      changeEl.style.color = change >= 0 ? "var(--success)" : "var(--danger)";
+    }
+    if (priceEl) {
+      priceEl.classList.toggle("negative", change < 0);
+    }
+  } else {
+    const priceEl = document.getElementById("btc-value");
+    if (priceEl) priceEl.textContent = "API error";
+  }
 
-  for (let p = 0; p < 30; p++) {
-    let value = 10000;
-    const path = [value];
+  // Gold via PAXG proxy
+  if (data && data["pax-gold"]) {
+    const gold = coinQuote(data["pax-gold"]) || { price: null, change: 0 };
+    const goldValue = document.getElementById("gold-value");
+    const goldChange = document.getElementById("gold-change");
+    const gChange = gold.change;
 
-    for (let t = 1; t <= nYears; t++) {
-      const shock = sigma * (Math.random() * 2 - 1);
-      value *= 1 + expR + shock;
-      path.push(value);
+    if (goldValue)
+      goldValue.textContent = gold.price != null ? formatMoney(gold.price) : "-";
+    if (goldChange) {
+      goldChange.textContent =
+        (gChange >= 0 ? "+" : "") + gChange.toFixed(2) + "% (24h)";
+      goldChange.style.color = gChange >= 0 ? "var(--success)" : "var(--danger)";
+    }
+    if (goldValue) goldValue.classList.toggle("negative", gChange < 0);
+  } else {
+    const goldVal = document.getElementById("gold-value");
+    const goldCh = document.getElementById("gold-change");
+    if (goldVal) goldVal.textContent = currencySymbol() + "–";
+    if (goldCh) {
+      goldCh.textContent = "Unavailable";
+      goldCh.style.color = "var(--gray)";
     }
+  }
+
+  // Simple fixed sentiment (could wire to a real API)
+  const sentimentVal = document.getElementById("sentiment-value");
+  const sentimentDesc = document.getElementById("sentiment-desc");
+  if (sentimentVal) sentimentVal.textContent = "Greed 63 / 100";
+  if (sentimentDesc)
+    sentimentDesc.textContent = "Risk-on: flows favour equities & crypto.";
+}
 
-    paths.push(path);
+async function buildCryptoTicker() {
+  const el = document.getElementById("crypto-ticker");
+  if (!el) return;
+  el.innerHTML = "";
+  try {
+    const list = await fetchCryptoList();
+    list.forEach((c) => {
+      const item = document.createElement("a");
+      item.className = "ticker-item";
+      item.href = symbolHref("crypto", c.id);
+      const change = c.price_change_percentage_24h;
+      item.innerHTML = `
+        <span class="ticker-symbol">${c.symbol.toUpperCase()}</span>
+        <span class="ticker-price">${formatMoney(c.current_price, c.current_price < 1 ? 4 : 2)}</span>
+        <span style="color:${change >= 0 ? "var(--success)" : "var(--danger)"}">
+          ${(change >= 0 ? "+" : "") + change.toFixed(2)}%
+        </span>
+      `;
+      el.appendChild(item);
+    });
+    el.innerHTML += el.innerHTML; // duplicate for infinite scroll
+  } catch (err) {
+    console.warn("Ticker error", err);
+    el.textContent = "Unable to load live ticker.";
   }
+}
 
-  monteCarloChart = ensureChart(mcCtx, "line", {
-    data: {
-      labels: [...Array(nYears + 1).keys()].map(y => y + "y"),
-      datasets: paths.map(path => ({
-        data: path,
-        tension: 0.25,
-        borderWidth: 1,
-        pointRadius: 0,
-      })),
-    },
-    options: {
-      plugins: {
-        legend: { display: false },
-        title: {
-          display: true,
-          text: "Monte Carlo (Real Market Volatility)",
-          color: "#e8f5e9",
-        },
-      },
-      scales: {
-        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
-        y: {
-          ticks: { color: "#b7c9c3" },
-          grid: { color: "#122018" },
-          beginAtZero: false,
-        },
-      },
-    },
-  });
+// NEWS (stock photos for stories without an image)
+const FALLBACK_IMAGES = [
+  "https://images.unsplash.com/photo-1554224155-8d04cb21cd6c?auto=format&fit=crop&w=800&q=80",
+  "https://images.unsplash.com/photo-1517976487492-5750f3195933?auto=format&fit=crop&w=800&q=80",
+  "https://images.unsplash.com/photo-1542228262-3d663b306a53?auto=format&fit=crop&w=800&q=80",
+  "https://images.unsplash.com/photo-1518544887878-602d53a55eeb?auto=format&fit=crop&w=800&q=80",
+  "https://images.unsplash.com/photo-1559526324-593bc073d938?auto=format&fit=crop&w=800&q=80",
+  "https://images.unsplash.com/photo-1507679799987-c73779587ccf?auto=format&fit=crop&w=800&q=80",
+  "https://images.unsplash.com/photo-1556742031-c6961e8560b0?auto=format&fit=crop&w=800&q=80"
+];
+
+function getRandomFallbackImage() {
+  return FALLBACK_IMAGES[Math.floor(Math.random() * FALLBACK_IMAGES.length)];
 }
 
 /* ============================================================
-   HANDLE SIMULATION RUN
+   PORTFOLIO NEWS + SENTIMENT
+   ============================================================
+
+   The feed follows the chosen stocks and coins: one Alpha
+   Vantage NEWS_SENTIMENT call per holding (its `tickers`
+   filter ANDs several tickers, so they can't be combined),
+   cached for an hour and merged by URL. Each article keeps
+   Alpha's per-ticker scores (−1 bearish … +1 bullish) for the
+   badges and for the daily trend on the Portfolio page. When
+   no holding returns anything (quota, offline) the feed falls
+   back to NewsAPI business headlines, without sentiment. The
+   calls only go out while NEWS_PAGES (the feed, or the trend on
+   Portfolio) is shown; changes elsewhere mark the feed stale
+   and the router rebuilds it on the next visit.
+
+   Pages of NEWS_PAGE_SIZE are appended as the "more" button
+   scrolls into view. Bookmarked articles are stored whole, so
+   they stay readable after they drop out of the feed.
    ============================================================ */
-async function handleSimulationRun() {
-  simulationRun = true;
 
-  const { expReturn, sigma } = await calculatePortfolioMetrics();
+const NEWS_BOOKMARKS_KEY = "investiq:news-bookmarks";
+const NEWS_PAGE_SIZE = 8;
+const NEWS_FETCH_LIMIT = 50;
+const NEWS_TREND_DAYS = 30;
+const NEWS_RECENT_DAYS = 7;
+const NEWS_REFRESH_DELAY = 1000;
+const SENTIMENT_COLORS = ["#52b788", "#d4af37", "#74c69d", "#e76f51", "#40916c", "#b7c9c3"];
+const NEWS_PAGES = ["news", "portfolio"];
+
+// Articles in the current feed, newest first, and the holdings they were fetched for
+let newsArticles = [];
+let newsHoldingsList = [];
+const newsFilters = { source: "", ticker: "", from: "", to: "", saved: false };
+let newsShown = 0;
+let newsRunId = 0;
+let newsRefreshTimer = null;
+let newsSentimentChart;
+// Holdings changed while no NEWS_PAGES page was open
+let newsStale = false;
+
+// Alpha's published bands for ticker_sentiment_score
+function sentimentBand(score) {
+  if (score <= -0.35) return { label: "Bearish", cls: "bearish" };
+  if (score <= -0.15) return { label: "Somewhat bearish", cls: "somewhat-bearish" };
+  if (score < 0.15) return { label: "Neutral", cls: "neutral" };
+  if (score < 0.35) return { label: "Somewhat bullish", cls: "somewhat-bullish" };
+  return { label: "Bullish", cls: "bullish" };
+}
 
-  // REAL DATA INTEGRATION
-  buildRealGrowthChart(expReturn);
-  runMonteCarlo(expReturn, sigma);
+function sentimentBadge(name, score, title = "") {
+  const band = sentimentBand(score);
+  return `<span class="sentiment-badge ${band.cls}" title="${escapeHtml(band.label + title)}">${escapeHtml(name)} ${score >= 0 ? "+" : ""}${score.toFixed(2)}</span>`;
+}
 
-  buildPortfolioCharts(); // keeps allocation, correlation, volatility, scatter updated
-  updateChartVisibilityFromChecks();
+// Chosen stocks and coins with their NEWS_SENTIMENT ticker (coins as CRYPTO:BTC)
+function newsHoldings() {
+  const stocks = selectedValues("stock-select").map(id => ({ id, ticker: id, label: id }));
+  const cryptoSelect = document.getElementById("crypto-select");
+  const coins = cryptoSelect
+    ? Array.from(cryptoSelect.selectedOptions).map((o) => {
+        const symbol = o.textContent.split(" – ")[0].trim();
+        return { id: o.value, ticker: `CRYPTO:${symbol}`, label: symbol };
+      })
+    : [];
+  return [...stocks, ...coins];
+}
 
-  const simStatus = document.getElementById("sim-status");
-  if (simStatus) {
-    simStatus.textContent = "Simulation updated with real market data.";
-    simStatus.classList.add("active");
+function readNewsBookmarks() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(NEWS_BOOKMARKS_KEY));
+    return Array.isArray(raw) ? raw.filter(a => a && typeof a.url === "string") : [];
+  } catch (err) {
+    console.warn("News bookmarks unreadable", err);
+    return [];
   }
 }
 
-// RUN SIM + VISIBILITY
-let simulationRun = false;
+function writeNewsBookmarks(list) {
+  try {
+    localStorage.setItem(NEWS_BOOKMARKS_KEY, JSON.stringify(list));
+  } catch (err) {
+    console.warn("Could not save news bookmarks", err);
+  }
+}
 
-function updateChartVisibilityFromChecks() {
-  const mapping = [
-    ["chk-allocation", "allocation-card"],
-    ["chk-growth", "growth-card"],
-    ["chk-correlation", "correlation-card"],
-    ["chk-volatility", "volatility-card"],
-    ["chk-risk-return", "risk-return-card"],
-    ["chk-monte-carlo", "monte-carlo-card"],
+function toggleNewsBookmark(url) {
+  const bookmarks = readNewsBookmarks();
+  const next = bookmarks.filter(a => a.url !== url);
+  if (next.length === bookmarks.length) {
+    const article = newsArticles.find(a => a.url === url);
+    if (!article) return;
+    next.unshift(article);
+  }
+  writeNewsBookmarks(next);
+}
+
+async function fetchHoldingNews(ticker) {
+  try {
+    return await cachedFetch("newsSentiment", ticker, () =>
+      dataProviders.stocks.newsSentiment(ticker, { limit: NEWS_FETCH_LIMIT })
+    );
+  } catch (err) {
+    console.warn(`News sentiment error for ${ticker}`, err);
+    return [];
+  }
+}
+
+// Generic headlines when no holding has news: NewsAPI, then built-in samples
+async function fetchGeneralNews() {
+  try {
+    const articles = await cachedFetch("news", "business:30", () =>
+      dataProviders.news.news({ pageSize: 30 })
+    );
+    if (articles.length) return articles.map(a => ({ ...a, tickers: [] }));
+  } catch (err) {
+    console.warn("News API error", err);
+  }
+  return [
+    {
+      title: "Federal Reserve Signals Potential Rate Cuts",
+      description:
+        "Policymakers hint that cooling inflation could justify gradual cuts, lifting risk assets as bond yields ease.",
+      url: "https://www.example.com/fed-cuts",
+      urlToImage: "",
+      source: { name: "Sample Financial Times" },
+      publishedAt: new Date().toISOString(),
+      tickers: [],
+    },
+    {
+      title: "Gold Holds Near Highs as Real Yields Ease",
+      description:
+        "Bullion prices remain supported by lower real yields and continued investor interest in safe-haven assets.",
+      url: "https://www.example.com/gold-highs",
+      urlToImage: "",
+      source: { name: "Sample Metals Desk" },
+      publishedAt: new Date(Date.now() - 3600e3).toISOString(),
+      tickers: [],
+    },
+    {
+      title: "AI & Chip Stocks Drive Equity Indices Higher",
+      description:
+        "Semiconductor names and large-cap tech continue to dominate index performance as AI spending accelerates.",
+      url: "https://www.example.com/ai-chip-stocks",
+      urlToImage: "",
+      source: { name: "Sample TechWire" },
+      publishedAt: new Date(Date.now() - 2 * 3600e3).toISOString(),
+      tickers: [],
+    },
   ];
-  mapping.forEach(([chkId, cardId]) => {
-    const chk = document.getElementById(chkId);
-    const card = document.getElementById(cardId);
-    if (!chk || !card) return;
-    if (simulationRun && chk.checked) card.classList.remove("hidden");
-    else card.classList.add("hidden");
+}
+
+// One list, newest first; an article tagged with two holdings appears once
+function mergeNews(lists) {
+  const byUrl = new Map();
+  lists.flat().forEach((a) => {
+    if (a && a.url && !byUrl.has(a.url)) byUrl.set(a.url, a);
   });
+  return [...byUrl.values()].sort((a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || ""));
 }
 
-// STRATEGY BUILDER
-function riskLabelForScore(s) {
-  if (s <= 3) return "Conservative";
-  if (s <= 7) return "Moderate";
-  return "Aggressive";
+async function buildNewsFeed() {
+  if (!NEWS_PAGES.includes(currentRoutePage())) {
+    newsStale = true;
+    return;
+  }
+  newsStale = false;
+  const container = document.getElementById("news-feed");
+  const runId = ++newsRunId;
+  const holdings = newsHoldings();
+  clearTimeout(newsRefreshTimer);
+
+  const perHolding = await Promise.all(holdings.map(h => fetchHoldingNews(h.ticker)));
+  let articles = mergeNews(perHolding);
+  if (!articles.length) articles = await fetchGeneralNews();
+  if (runId !== newsRunId) return;
+
+  newsArticles = articles;
+  newsHoldingsList = holdings;
+  renderNewsSentimentTrend();
+  if (!container) return;
+  renderNewsFilters();
+  resetNewsFeed();
 }
 
-function recomputeStrategy() {
-  const horizonSlider = document.getElementById("horizon-slider");
-  const riskSlider = document.getElementById("risk-slider");
-  const initialSlider = document.getElementById("initial-slider");
-  const monthlySlider = document.getElementById("monthly-slider");
-  if (!horizonSlider || !riskSlider || !initialSlider || !monthlySlider) return;
+// Called by the router for every page it shows
+function refreshNewsIfStale(page) {
+  if (newsStale && NEWS_PAGES.includes(page)) buildNewsFeed();
+}
 
-  const years = parseInt(horizonSlider.value, 10);
-  const risk = parseInt(riskSlider.value, 10);
-  const initial = parseInt(initialSlider.value, 10);
-  const monthly = parseInt(monthlySlider.value, 10);
+// The feed follows the portfolio selectors (debounced: clicks come in bursts)
+function scheduleNewsRefresh() {
+  clearTimeout(newsRefreshTimer);
+  newsRefreshTimer = setTimeout(buildNewsFeed, NEWS_REFRESH_DELAY);
+}
 
-  const horizonValue = document.getElementById("horizon-value");
-  const riskLabelEl = document.getElementById("risk-label");
-  const initialValue = document.getElementById("initial-value");
-  const monthlyValue = document.getElementById("monthly-value");
+function filteredNews() {
+  const { source, ticker, from, to, saved } = newsFilters;
+  return (saved ? readNewsBookmarks() : newsArticles).filter((a) => {
+    const day = (a.publishedAt || "").slice(0, 10);
+    if (source && (a.source?.name || "") !== source) return false;
+    if (ticker && !(a.tickers || []).some(t => t.ticker === ticker)) return false;
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    return true;
+  });
+}
 
-  if (horizonValue) horizonValue.textContent = years;
-  if (riskLabelEl) riskLabelEl.textContent = riskLabelForScore(risk);
-  if (initialValue) initialValue.textContent = initial.toLocaleString();
-  if (monthlyValue) monthlyValue.textContent = monthly.toLocaleString();
+function renderNewsFilters() {
+  const sourceEl = document.getElementById("news-source");
+  const tickerEl = document.getElementById("news-ticker");
+  const articles = [...newsArticles, ...readNewsBookmarks()];
+
+  if (sourceEl) {
+    const sources = [...new Set(articles.map(a => a.source?.name).filter(Boolean))].sort();
+    sourceEl.innerHTML =
+      `<option value="">All sources</option>` +
+      sources.map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join("");
+    sourceEl.value = sources.includes(newsFilters.source) ? newsFilters.source : "";
+  }
+  if (tickerEl) {
+    tickerEl.innerHTML =
+      `<option value="">All holdings</option>` +
+      newsHoldingsList
+        .map(h => `<option value="${escapeHtml(h.ticker)}">${escapeHtml(h.label)}</option>`)
+        .join("");
+    tickerEl.value = newsHoldingsList.some(h => h.ticker === newsFilters.ticker) ? newsFilters.ticker : "";
+  }
+
+  const fromEl = document.getElementById("news-from");
+  const toEl = document.getElementById("news-to");
+  const savedEl = document.getElementById("news-saved");
+  if (fromEl) fromEl.value = newsFilters.from;
+  if (toEl) toEl.value = newsFilters.to;
+  if (savedEl) savedEl.checked = newsFilters.saved;
+}
 
-  const baseReturn = 6 + risk; // 7–16% depending on risk
-  const r = baseReturn / 100 / 12;
-  const n = years * 12;
+function resetNewsFeed() {
+  const container = document.getElementById("news-feed");
+  if (!container) return;
+  container.innerHTML = "";
+  newsShown = 0;
+  appendNewsPage();
 
-  let future = initial * Math.pow(1 + r, n);
-  if (monthly > 0) {
-    future += (monthly * (Math.pow(1 + r, n) - 1)) / r;
+  if (!newsShown) {
+    container.innerHTML = `<div class="small-note">${
+      newsFilters.saved ? "No bookmarked stories match these filters." : "No stories match these filters."
+    }</div>`;
   }
+}
 
-  const contribTotal = initial + monthly * n;
-  const gain = future - contribTotal;
+function appendNewsPage() {
+  const container = document.getElementById("news-feed");
+  const more = document.getElementById("news-more");
+  if (!container) return;
 
-  const stratFinal = document.getElementById("strategy-final");
-  const stratContrib = document.getElementById("strategy-contrib");
-  const stratGain = document.getElementById("strategy-gain");
-  const stratText = document.getElementById("strategy-text");
+  const articles = filteredNews();
+  const bookmarked = new Set(readNewsBookmarks().map(a => a.url));
+  articles
+    .slice(newsShown, newsShown + NEWS_PAGE_SIZE)
+    .forEach(a => container.appendChild(renderNewsCard(a, bookmarked.has(a.url))));
+  newsShown = Math.min(newsShown + NEWS_PAGE_SIZE, articles.length);
+  if (more) more.classList.toggle("hidden", newsShown >= articles.length);
+}
 
-  if (stratFinal) stratFinal.textContent = "$" + future.toFixed(0).toLocaleString();
-  if (stratContrib)
-    stratContrib.textContent = "$" + contribTotal.toFixed(0).toLocaleString();
-  if (stratGain) stratGain.textContent = "$" + gain.toFixed(0).toLocaleString();
+// Badges for the holdings an article mentions, else its three most relevant tickers
+function articleBadges(article) {
+  const tickers = article.tickers || [];
+  const held = new Map(newsHoldingsList.map(h => [h.ticker, h.label]));
+  const shown = tickers.some(t => held.has(t.ticker))
+    ? tickers.filter(t => held.has(t.ticker))
+    : [...tickers].sort((a, b) => b.relevance - a.relevance).slice(0, 3);
+  return shown
+    .map(t =>
+      sentimentBadge(held.get(t.ticker) || t.ticker.replace(/^CRYPTO:/, ""), t.score, ` · relevance ${t.relevance.toFixed(2)}`)
+    )
+    .join("");
+}
 
-  if (stratText) {
-    stratText.innerHTML =
-      `With a <strong>${years}-year</strong> horizon, ` +
-      `<strong>${riskLabelForScore(risk).toLowerCase()}</strong> risk tolerance, ` +
-      `a <strong>$${initial.toLocaleString()}</strong> lump sum and ` +
-      `<strong>$${monthly.toLocaleString()}/month</strong> contributions, ` +
-      `you're effectively targeting around <strong>${baseReturn.toFixed(
-        1
-      )}% annualised</strong>. ` +
-      `Most of the growth comes from time in the market plus disciplined contributions – the curve is what this chart shows.`;
-  }
+function renderNewsCard(a, bookmarked) {
+  const card = document.createElement("article");
+  card.className = "news-item";
+
+  const img = document.createElement("img");
+  img.className = "news-image";
+  img.src = a.urlToImage && !a.urlToImage.includes("example")
+    ? a.urlToImage
+    : getRandomFallbackImage();
+  img.alt = a.title || "Market news";
+
+  const body = document.createElement("div");
+  const titleEl = document.createElement("h3");
+  titleEl.className = "news-title";
+  const href = /^https?:\/\//.test(a.url) ? a.url : "#news";
+  titleEl.innerHTML = `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(a.title || "")}</a>`;
+
+  const descEl = document.createElement("p");
+  descEl.className = "news-desc";
+  descEl.textContent = a.description || "";
+
+  const badges = document.createElement("div");
+  badges.className = "news-sentiment";
+  badges.innerHTML = articleBadges(a);
+
+  const metaEl = document.createElement("div");
+  metaEl.className = "news-meta";
+  const src = a.source?.name || "Unknown source";
+  const date = a.publishedAt ? new Date(a.publishedAt).toLocaleString() : "";
+  metaEl.innerHTML = `${escapeHtml(`${src} • ${date}`)}
+    <button class="link-button news-bookmark" data-bookmark="${escapeHtml(a.url)}">${bookmarked ? "★ Saved" : "☆ Save"}</button>`;
+
+  body.appendChild(titleEl);
+  body.appendChild(descEl);
+  if (badges.innerHTML) body.appendChild(badges);
+  body.appendChild(metaEl);
+
+  card.appendChild(img);
+  card.appendChild(body);
+  return card;
+}
 
-  const labels = [...Array(years + 1).keys()].map((y) => y + "y");
-  let value = initial;
-  const values = [value];
-  for (let yr = 1; yr <= years; yr++) {
-    for (let m = 0; m < 12; m++) {
-      value *= 1 + r;
-      value += monthly;
+/* ------------------------------------------------------------
+   Daily sentiment for one ticker over the last `days` days:
+   relevance-weighted mean of its scores per day (null on days
+   without coverage), plus the recent and whole-window means.
+------------------------------------------------------------ */
+function holdingSentimentTrend(articles, ticker, days = NEWS_TREND_DAYS, end = toIsoDate(Date.now())) {
+  const dates = [...Array(days).keys()].map(i => toIsoDate(Date.parse(end) - (days - 1 - i) * 86400e3));
+  const recentFrom = dates[Math.max(days - NEWS_RECENT_DAYS, 0)];
+  const daily = {};
+  const totals = { all: [0, 0], recent: [0, 0] };
+  let count = 0;
+
+  articles.forEach((a) => {
+    const day = (a.publishedAt || "").slice(0, 10);
+    if (day < dates[0] || day > end) return;
+    (a.tickers || [])
+      .filter(t => t.ticker === ticker && t.relevance > 0)
+      .forEach((t) => {
+        const d = (daily[day] = daily[day] || [0, 0]);
+        d[0] += t.score * t.relevance;
+        d[1] += t.relevance;
+        totals.all[0] += t.score * t.relevance;
+        totals.all[1] += t.relevance;
+        if (day >= recentFrom) {
+          totals.recent[0] += t.score * t.relevance;
+          totals.recent[1] += t.relevance;
+        }
+        count++;
+      });
+  });
+
+  const mean = ([sum, weight]) => (weight > 0 ? sum / weight : null);
+  return {
+    dates,
+    scores: dates.map(d => (daily[d] ? mean(daily[d]) : null)),
+    count,
+    recent: mean(totals.recent),
+    overall: mean(totals.all),
+  };
+}
+
+function renderNewsSentimentTrend() {
+  const summary = document.getElementById("sentiment-summary");
+  const ctx = document.getElementById("sentiment-chart");
+  if (!summary) return;
+
+  const trends = newsHoldingsList
+    .map(h => ({ holding: h, ...holdingSentimentTrend(newsArticles, h.ticker) }))
+    .filter(t => t.count);
+
+  if (!trends.length) {
+    summary.innerHTML = `<div class="small-note">No ticker sentiment for your holdings right now (Alpha Vantage quota, or no recent coverage).</div>`;
+    if (newsSentimentChart) {
+      newsSentimentChart.destroy();
+      newsSentimentChart = null;
+      if (ctx) ctx._chartInstance = null;
     }
-    values.push(value);
+    return;
   }
 
-  const ctx = document.getElementById("strategy-chart");
-  strategyChart = ensureChart(ctx, "line", {
+  const badge = v => (v == null ? "–" : sentimentBadge(sentimentBand(v).label, v));
+  summary.innerHTML = `
+    <table>
+      <thead>
+        <tr><th>Holding</th><th>Articles (${NEWS_TREND_DAYS}d)</th><th>Last ${NEWS_RECENT_DAYS} days</th><th>${NEWS_TREND_DAYS}-day average</th></tr>
+      </thead>
+      <tbody>
+        ${trends
+          .map(
+            t => `
+          <tr>
+            <td>${escapeHtml(t.holding.label)}</td>
+            <td>${t.count}</td>
+            <td>${badge(t.recent)}</td>
+            <td>${badge(t.overall)}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>`;
+
+  newsSentimentChart = ensureChart(ctx, "line", {
     data: {
-      labels,
-      datasets: [
-        {
-          label: "Strategy balance",
-          data: values,
-          tension: 0.2,
-          borderWidth: 2,
-          pointRadius: 0,
-        },
-      ],
+      labels: trends[0].dates,
+      datasets: trends.map((t, i) => ({
+        label: t.holding.label,
+        data: t.scores.map(v => (v == null ? null : +v.toFixed(3))),
+        borderColor: SENTIMENT_COLORS[i % SENTIMENT_COLORS.length],
+        backgroundColor: SENTIMENT_COLORS[i % SENTIMENT_COLORS.length],
+        spanGaps: true,
+        tension: 0.2,
+        borderWidth: 2,
+        pointRadius: 2,
+      })),
     },
     options: {
       plugins: {
         legend: { labels: { color: "#e8f5e9" } },
         title: {
           display: true,
-          text: "Projected balance with monthly investing",
+          text: "Daily news sentiment (relevance-weighted, −1 bearish … +1 bullish)",
           color: "#e8f5e9",
         },
       },
       scales: {
-        x: { ticks: { color: "#b7c9c3" }, grid: { color: "#122018" } },
+        x: { ticks: { color: "#b7c9c3", maxTicksLimit: 8 }, grid: { color: "#122018" } },
         y: {
+          suggestedMin: -0.5,
+          suggestedMax: 0.5,
           ticks: { color: "#b7c9c3" },
           grid: { color: "#122018" },
-          beginAtZero: false,
         },
       },
     },
   });
 }
 
-// MARKET DATA (CoinGecko)
-async function fetchCryptoData() {
-  try {
-    const res = await fetch(
-      "https://api.coingecko.com/api/v3/simple/price?ids=bitcoin,pax-gold&vs_currencies=usd&include_24hr_change=true"
-    );
-    if (!res.ok) throw new Error("HTTP " + res.status);
-    return await res.json();
-  } catch (err) {
-    console.warn("Crypto simple price error", err);
-    return null;
-  }
+function readNewsRouteState() {
+  return {
+    source: newsFilters.source,
+    ticker: newsFilters.ticker,
+    from: newsFilters.from,
+    to: newsFilters.to,
+    saved: newsFilters.saved ? "1" : "",
+  };
 }
 
-async function fetchCryptoList() {
-  try {
-    const res = await fetch(
-      "https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=50&page=1&sparkline=false"
-    );
-    if (!res.ok) throw new Error("HTTP " + res.status);
-    return await res.json();
-  } catch (err) {
-    console.warn("Crypto list error", err);
-    return [];
-  }
+function applyNewsRouteState(params) {
+  newsFilters.source = params.get("source") || "";
+  newsFilters.ticker = params.get("ticker") || "";
+  newsFilters.from = params.get("from") || "";
+  newsFilters.to = params.get("to") || "";
+  newsFilters.saved = params.get("saved") === "1";
+  renderNewsFilters();
+  resetNewsFeed();
 }
 
-async function buildMarketStats() {
-  const data = await fetchCryptoData();
+function initNewsFeed() {
+  const inputs = [
+    ["news-source", "source"],
+    ["news-ticker", "ticker"],
+    ["news-from", "from"],
+    ["news-to", "to"],
+  ];
+  inputs.forEach(([id, key]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener("change", () => {
+      newsFilters[key] = el.value;
+      resetNewsFeed();
+      syncRouteState();
+    });
+  });
 
-  // BTC
-  if (data && data.bitcoin) {
-    const btc = data.bitcoin;
-    const priceEl = document.getElementById("btc-value");
-    const changeEl = document.getElementById("btc-change");
-    const price = btc.usd;
-    const change = btc.usd_24h_change ?? 0;
-    if (priceEl)
-      priceEl.textContent = "$" + (price != null ? price.toLocaleString() : "-");
-    if (changeEl) {
-      changeEl.textContent =
-        (change >= 0 ? "+" : "") + change.toFixed(2) + "% (24h)";
-      changeEl.style.color = change >= 0 ? "var(--success)" : "var(--danger)";
-    }
-    if (priceEl) {
-      priceEl.classList.toggle("negative", change < 0);
-    }
-  } else {
-    const priceEl = document.getElementById("btc-value");
-    if (priceEl) priceEl.textContent = "API error";
+  const saved = document.getElementById("news-saved");
+  if (saved) {
+    saved.addEventListener("change", () => {
+      newsFilters.saved = saved.checked;
+      renderNewsFilters();
+      resetNewsFeed();
+      syncRouteState();
+    });
   }
 
-  // Gold via PAXG proxy
-  if (data && data["pax-gold"]) {
-    const gold = data["pax-gold"];
-    const goldValue = document.getElementById("gold-value");
-    const goldChange = document.getElementById("gold-change");
-    const gChange = gold.usd_24h_change ?? 0;
+  const container = document.getElementById("news-feed");
+  if (container) {
+    container.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-bookmark]");
+      if (!btn) return;
+      toggleNewsBookmark(btn.dataset.bookmark);
+      const isSaved = readNewsBookmarks().some(a => a.url === btn.dataset.bookmark);
+      btn.textContent = isSaved ? "★ Saved" : "☆ Save";
+    });
+  }
 
-    if (goldValue)
-      goldValue.textContent =
-        "$" + (gold.usd != null ? gold.usd.toLocaleString() : "-");
-    if (goldChange) {
-      goldChange.textContent =
-        (gChange >= 0 ? "+" : "") + gChange.toFixed(2) + "% (24h)";
-      goldChange.style.color = gChange >= 0 ? "var(--success)" : "var(--danger)";
-    }
-    if (goldValue) goldValue.classList.toggle("negative", gChange < 0);
-  } else {
-    const goldVal = document.getElementById("gold-value");
-    const goldCh = document.getElementById("gold-change");
-    if (goldVal) goldVal.textContent = "$–";
-    if (goldCh) {
-      goldCh.textContent = "Unavailable";
-      goldCh.style.color = "var(--gray)";
+  // Infinite scroll: the "more" button loads the next page as it comes into view
+  const more = document.getElementById("news-more");
+  if (more) {
+    more.addEventListener("click", appendNewsPage);
+    if ("IntersectionObserver" in window) {
+      new IntersectionObserver((entries) => {
+        if (entries.some(e => e.isIntersecting)) appendNewsPage();
+      }).observe(more);
     }
   }
 
-  // Simple fixed sentiment (could wire to a real API)
-  const sentimentVal = document.getElementById("sentiment-value");
-  const sentimentDesc = document.getElementById("sentiment-desc");
-  if (sentimentVal) sentimentVal.textContent = "Greed 63 / 100";
-  if (sentimentDesc)
-    sentimentDesc.textContent = "Risk-on: flows favour equities & crypto.";
+  ["stock-select", "crypto-select"].forEach((id) => {
+    const select = document.getElementById(id);
+    if (select) select.addEventListener("change", scheduleNewsRefresh);
+  });
 }
 
-async function buildCryptoTicker() {
-  const el = document.getElementById("crypto-ticker");
-  if (!el) return;
-  el.innerHTML = "";
+/* ============================================================
+   SYMBOL SEARCH (stock picker)
+   ============================================================
+
+   Type-ahead over SYMBOLS_URL (a bundled list of common US
+   stocks and ETFs) that answers instantly, topped up with
+   Alpha Vantage SYMBOL_SEARCH once typing pauses (USD listings
+   only – prices are never converted from other listing
+   currencies). The free tier
+   only allows 25 calls a day, so the remote search runs only
+   when the local list has no exact ticker match, and every
+   answer is cached for a day.
+
+   Chosen symbols are the selected options of the (hidden)
+   #stock-select, so everything reading selectedValues() keeps
+   working; the chips above it are just a view of those options.
+   STOCK_LIST is only the suggested set shown on an empty search.
+   ============================================================ */
+
+const SYMBOLS_URL = "symbols.json";
+const RECENT_SYMBOLS_KEY = "investiq:recent-symbols";
+const RECENT_SYMBOLS_LIMIT = 8;
+const SYMBOL_RESULTS_LIMIT = 10;
+const SYMBOL_SEARCH_DELAY = 400;
+const DEFAULT_STOCKS = ["AAPL", "MSFT", "GOOGL", "AMZN", "SPY"];
+
+// { symbol → { symbol, name, type, exchange, currency } } for every listing seen so far
+const knownSymbols = new Map();
+let localSymbolsPromise = null;
+let symbolSearchTimer = null;
+let symbolSearchRunId = 0;
+// Rows currently in the dropdown and the keyboard-highlighted index
+let symbolResults = [];
+let activeSymbolResult = -1;
+
+function rememberListings(list) {
+  list.forEach((s) => {
+    if (s && s.symbol && !knownSymbols.has(s.symbol)) knownSymbols.set(s.symbol, s);
+  });
+}
+
+function loadLocalSymbols() {
+  if (!localSymbolsPromise) {
+    localSymbolsPromise = httpJson(SYMBOLS_URL)
+      .then(data => data.symbols)
+      .catch((err) => {
+        console.warn("Symbol list unavailable, searching the suggested set only", err);
+        return STOCK_LIST.map(s => ({ ...s, type: "", exchange: "", currency: LISTING_CURRENCY }));
+      })
+      .then((list) => {
+        rememberListings(list);
+        return list;
+      });
+  }
+  return localSymbolsPromise;
+}
+
+function readRecentSymbols() {
   try {
-    const list = await fetchCryptoList();
-    list.forEach((c) => {
-      const item = document.createElement("div");
-      item.className = "ticker-item";
-      const change = c.price_change_percentage_24h;
-      item.innerHTML = `
-        <span class="ticker-symbol">${c.symbol.toUpperCase()}</span>
-        <span class="ticker-price">${c.current_price.toLocaleString()}</span>
-        <span style="color:${change >= 0 ? "var(--success)" : "var(--danger)"}">
-          ${(change >= 0 ? "+" : "") + change.toFixed(2)}%
-        </span>
-      `;
-      el.appendChild(item);
-    });
-    el.innerHTML += el.innerHTML; // duplicate for infinite scroll
+    const raw = JSON.parse(localStorage.getItem(RECENT_SYMBOLS_KEY));
+    return Array.isArray(raw) ? raw.filter(s => s && isStockSymbol(s.symbol) && isUsdListing(s)) : [];
   } catch (err) {
-    console.warn("Ticker error", err);
-    el.textContent = "Unable to load live ticker.";
+    console.warn("Recent symbols unreadable", err);
+    return [];
   }
 }
 
-// NEWS (NewsAPI + fallback)
-const FALLBACK_IMAGES = [
-  "https://images.unsplash.com/photo-1554224155-8d04cb21cd6c?auto=format&fit=crop&w=800&q=80",
-  "https://images.unsplash.com/photo-1517976487492-5750f3195933?auto=format&fit=crop&w=800&q=80",
-  "https://images.unsplash.com/photo-1542228262-3d663b306a53?auto=format&fit=crop&w=800&q=80",
-  "https://images.unsplash.com/photo-1518544887878-602d53a55eeb?auto=format&fit=crop&w=800&q=80",
-  "https://images.unsplash.com/photo-1559526324-593bc073d938?auto=format&fit=crop&w=800&q=80",
-  "https://images.unsplash.com/photo-1507679799987-c73779587ccf?auto=format&fit=crop&w=800&q=80",
-  "https://images.unsplash.com/photo-1556742031-c6961e8560b0?auto=format&fit=crop&w=800&q=80"
-];
+function rememberRecentSymbol(listing) {
+  const recent = [listing, ...readRecentSymbols().filter(s => s.symbol !== listing.symbol)];
+  try {
+    localStorage.setItem(RECENT_SYMBOLS_KEY, JSON.stringify(recent.slice(0, RECENT_SYMBOLS_LIMIT)));
+  } catch (err) {
+    console.warn("Could not save recent symbols", err);
+  }
+}
 
-function getRandomFallbackImage() {
-  return FALLBACK_IMAGES[Math.floor(Math.random() * FALLBACK_IMAGES.length)];
+// Ticker matches first (exact, then prefix), then names by word start, then anywhere
+function matchSymbols(list, query) {
+  const q = query.trim().toUpperCase();
+  if (!q) return [];
+  const rank = (s) => {
+    const symbol = s.symbol.toUpperCase();
+    const name = (s.name || "").toUpperCase();
+    if (symbol === q) return 0;
+    if (symbol.startsWith(q)) return 1;
+    if (name.startsWith(q) || name.includes(" " + q)) return 2;
+    if (symbol.includes(q) || name.includes(q)) return 3;
+    return -1;
+  };
+  return list
+    .map(s => ({ s, r: rank(s) }))
+    .filter(({ r }) => r >= 0)
+    .sort((a, b) => a.r - b.r || a.s.symbol.localeCompare(b.s.symbol))
+    .map(({ s }) => s);
 }
 
-async function buildNewsFeed() {
-  const container = document.getElementById("news-feed");
-  if (!container) return;
+async function searchRemoteSymbols(query) {
+  try {
+    const listings = await cachedFetch("symbolSearch", query.trim().toLowerCase(), () =>
+      dataProviders.stocks.symbolSearch(query.trim())
+    );
+    // Quotes, history and FX treat every stock as USD, so other listings are left out
+    const valid = listings.filter(s => isStockSymbol(s.symbol) && isUsdListing(s));
+    rememberListings(valid);
+    return valid;
+  } catch (err) {
+    console.warn(`Symbol search failed for "${query}"`, err);
+    return [];
+  }
+}
 
-  const NEWS_API_KEY = "6fac2527aad64481bf4934d1ba1bfbf2";
+function isUsdListing(listing) {
+  return !listing.currency || listing.currency === LISTING_CURRENCY;
+}
 
-  let articles = [];
+// "Equity · NASDAQ"
+function listingMeta(listing) {
+  return [listing.type, listing.exchange].filter(Boolean).join(" · ");
+}
 
-  if (NEWS_API_KEY) {
-    try {
-      const url =
-        "https://newsapi.org/v2/top-headlines?category=business&language=en&pageSize=6&apikey=" +
-        NEWS_API_KEY;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error("News HTTP " + res.status);
-      const json = await res.json();
-      articles = json.articles || [];
-    } catch (err) {
-      console.warn("News API error", err);
-    }
+function listingFor(symbol) {
+  const stock = STOCK_LIST.find(s => s.symbol === symbol);
+  return knownSymbols.get(symbol) || { symbol, name: stock ? stock.name : "" };
+}
+
+// Option text in #stock-select ("AAPL – Apple Inc."), also used as the chart title
+function listingLabel(listing) {
+  return listing.name ? `${listing.symbol} – ${listing.name}` : listing.symbol;
+}
+
+function renderSymbolResults(groups) {
+  const list = document.getElementById("stock-search-results");
+  const input = document.getElementById("stock-search");
+  if (!list) return;
+
+  const chosen = new Set(selectedValues("stock-select"));
+  symbolResults = [];
+  const html = groups
+    .map(({ title, items }) => {
+      const rows = items
+        .filter(s => !chosen.has(s.symbol))
+        .slice(0, SYMBOL_RESULTS_LIMIT)
+        .map((s) => {
+          symbolResults.push(s);
+          const i = symbolResults.length - 1;
+          return `
+          <li class="symbol-result" role="option" id="symbol-result-${i}" data-result="${i}">
+            <strong>${escapeHtml(s.symbol)}</strong>
+            <span class="symbol-result-name">${escapeHtml(s.name || "")}</span>
+            <span class="symbol-meta">${escapeHtml(listingMeta(s))}</span>
+          </li>`;
+        })
+        .join("");
+      return rows ? `<li class="symbol-result-group" role="presentation">${title}</li>${rows}` : "";
+    })
+    .join("");
+
+  list.innerHTML = html || `<li class="symbol-result-group" role="presentation">No matching symbols</li>`;
+  list.classList.remove("hidden");
+  if (input) input.setAttribute("aria-expanded", "true");
+  highlightSymbolResult(symbolResults.length ? 0 : -1);
+}
+
+function highlightSymbolResult(index) {
+  activeSymbolResult = index;
+  const input = document.getElementById("stock-search");
+  document.querySelectorAll("#stock-search-results .symbol-result").forEach((li) => {
+    li.classList.toggle("active", Number(li.dataset.result) === index);
+  });
+  if (input) {
+    if (index >= 0) input.setAttribute("aria-activedescendant", `symbol-result-${index}`);
+    else input.removeAttribute("aria-activedescendant");
   }
+  const active = document.getElementById(`symbol-result-${index}`);
+  if (active) active.scrollIntoView({ block: "nearest" });
+}
 
-  if (!articles.length) {
-    // Fallback sample articles
-    articles = [
-      {
-        title: "Federal Reserve Signals Potential Rate Cuts",
-        description:
-          "Policymakers hint that cooling inflation could justify gradual cuts, lifting risk assets as bond yields ease.",
-        url: "https://www.example.com/fed-cuts",
-        urlToImage: "",
-        source: { name: "Sample Financial Times" },
-        publishedAt: new Date().toISOString(),
-      },
-      {
-        title: "Gold Holds Near Highs as Real Yields Ease",
-        description:
-          "Bullion prices remain supported by lower real yields and continued investor interest in safe-haven assets.",
-        url: "https://www.example.com/gold-highs",
-        urlToImage: "",
-        source: { name: "Sample Metals Desk" },
-        publishedAt: new Date(Date.now() - 3600e3).toISOString(),
-      },
-      {
-        title: "AI & Chip Stocks Drive Equity Indices Higher",
-        description:
-          "Semiconductor names and large-cap tech continue to dominate index performance as AI spending accelerates.",
-        url: "https://www.example.com/ai-chip-stocks",
-        urlToImage: "",
-        source: { name: "Sample TechWire" },
-        publishedAt: new Date(Date.now() - 2 * 3600e3).toISOString(),
-      },
-    ];
+function closeSymbolResults() {
+  const list = document.getElementById("stock-search-results");
+  const input = document.getElementById("stock-search");
+  if (list) list.classList.add("hidden");
+  if (input) input.setAttribute("aria-expanded", "false");
+  symbolResults = [];
+  activeSymbolResult = -1;
+}
+
+async function updateSymbolSearch() {
+  const input = document.getElementById("stock-search");
+  if (!input) return;
+  const query = input.value.trim();
+  const runId = ++symbolSearchRunId;
+  clearTimeout(symbolSearchTimer);
+
+  const local = await loadLocalSymbols();
+  if (runId !== symbolSearchRunId) return;
+
+  if (!query) {
+    renderSymbolResults([
+      { title: "Recent", items: readRecentSymbols() },
+      { title: "Suggested", items: STOCK_LIST.map(s => listingFor(s.symbol)) },
+    ]);
+    return;
   }
 
-  container.innerHTML = "";
+  const matches = matchSymbols(local, query);
+  renderSymbolResults([{ title: "Matches", items: matches }]);
+  if (query.length < 2 || matches.some(s => s.symbol.toUpperCase() === query.toUpperCase())) return;
+
+  symbolSearchTimer = setTimeout(async () => {
+    const remote = await searchRemoteSymbols(query);
+    if (runId !== symbolSearchRunId) return;
+    const seen = new Set(matches.map(s => s.symbol));
+    renderSymbolResults([
+      { title: "Matches", items: matches },
+      { title: "More listings", items: remote.filter(s => !seen.has(s.symbol)) },
+    ]);
+  }, SYMBOL_SEARCH_DELAY);
+}
 
-  articles.forEach((a) => {
-    const card = document.createElement("article");
-    card.className = "news-item";
+// Add or remove a symbol in #stock-select; the change event recalculates everything
+function setStockChosen(symbol, chosen) {
+  const select = document.getElementById("stock-select");
+  if (!select) return;
+  if (chosen) ensureSelectOption("stock-select", symbol, listingLabel(listingFor(symbol)));
+  const opt = Array.from(select.options).find(o => o.value === symbol);
+  if (!opt || opt.selected === chosen) return;
+  opt.selected = chosen;
+  select.dispatchEvent(new Event("change"));
+}
+
+function chooseSymbolResult(index) {
+  const listing = symbolResults[index];
+  if (!listing) return;
+  rememberListings([listing]);
+  rememberRecentSymbol(listing);
+  const input = document.getElementById("stock-search");
+  if (input) input.value = "";
+  closeSymbolResults();
+  setStockChosen(listing.symbol, true);
+}
+
+// Tickers as exchanges write them (BRK.B, RDS-A); anything else in a link or file is dropped
+const STOCK_SYMBOL_PATTERN = /^[A-Z0-9.\-]{1,12}$/i;
 
-    const img = document.createElement("img");
-    img.className = "news-image";
-    img.src = a.urlToImage && !a.urlToImage.includes("example")
-      ? a.urlToImage
-      : getRandomFallbackImage();
-    img.alt = a.title || "Market news";
+function isStockSymbol(value) {
+  return typeof value === "string" && STOCK_SYMBOL_PATTERN.test(value);
+}
+
+// Select exactly `symbols`, adding any the picker hasn't seen (links, files, ledgers)
+function selectStocks(symbols) {
+  const valid = symbols.filter(isStockSymbol);
+  valid.forEach(s => ensureSelectOption("stock-select", s, listingLabel(listingFor(s))));
+  selectOptions("stock-select", valid);
+}
 
-    const body = document.createElement("div");
-    const titleEl = document.createElement("h3");
-    titleEl.className = "news-title";
-    titleEl.innerHTML = `<a href="${a.url}" target="_blank" rel="noopener noreferrer">${a.title}</a>`;
+function renderStockChips() {
+  const el = document.getElementById("stock-chips");
+  if (!el) return;
+  const symbols = selectedValues("stock-select");
+  el.innerHTML = symbols.length
+    ? symbols
+        .map((symbol) => {
+          const listing = listingFor(symbol);
+          const meta = listingMeta(listing);
+          return `
+          <span class="symbol-chip" title="${escapeHtml(listing.name || symbol)}">
+            <a href="${symbolHref("stocks", symbol)}">${escapeHtml(symbol)}</a>
+            ${meta ? `<span class="symbol-meta">${escapeHtml(meta)}</span>` : ""}
+            <button class="link-button" data-remove-symbol="${escapeHtml(symbol)}" aria-label="Remove ${escapeHtml(symbol)}">×</button>
+          </span>`;
+        })
+        .join("")
+    : `<span class="small-note">No stocks chosen – the stock allocation uses the class average.</span>`;
+}
 
-    const descEl = document.createElement("p");
-    descEl.className = "news-desc";
-    descEl.textContent = a.description || "";
+// Position and watchlist forms: the chosen stocks, then the suggested set
+function stockChoices() {
+  const chosen = selectedValues("stock-select");
+  return [...chosen, ...STOCK_LIST.map(s => s.symbol).filter(s => !chosen.includes(s))].map(listingFor);
+}
 
-    const metaEl = document.createElement("div");
-    metaEl.className = "news-meta";
-    const src = a.source?.name || "Unknown source";
-    const date = a.publishedAt ? new Date(a.publishedAt).toLocaleString() : "";
-    metaEl.textContent = `${src} • ${date}`;
+function initSymbolSearch() {
+  const input = document.getElementById("stock-search");
+  const list = document.getElementById("stock-search-results");
+  const chips = document.getElementById("stock-chips");
 
-    body.appendChild(titleEl);
-    body.appendChild(descEl);
-    body.appendChild(metaEl);
+  if (chips) {
+    chips.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-remove-symbol]");
+      if (btn) setStockChosen(btn.dataset.removeSymbol, false);
+    });
+  }
+  if (!input || !list) return;
+
+  input.addEventListener("input", updateSymbolSearch);
+  input.addEventListener("focus", updateSymbolSearch);
+  // Delay so a click on a result lands before the list disappears
+  input.addEventListener("blur", () => setTimeout(closeSymbolResults, 150));
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!symbolResults.length) return;
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      highlightSymbolResult((activeSymbolResult + step + symbolResults.length) % symbolResults.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      chooseSymbolResult(activeSymbolResult);
+    } else if (e.key === "Escape") {
+      closeSymbolResults();
+    }
+  });
 
-    card.appendChild(img);
-    card.appendChild(body);
-    container.appendChild(card);
+  // mousedown, not click: it fires before the input's blur closes the list
+  list.addEventListener("mousedown", (e) => {
+    const row = e.target.closest("[data-result]");
+    if (!row) return;
+    e.preventDefault();
+    chooseSymbolResult(Number(row.dataset.result));
   });
+
+  // Exchange labels for the default chips once the symbol file is in
+  loadLocalSymbols().then(renderStockChips);
 }
 
 // STOCK & CRYPTO SELECT POPULATION
+// Stocks start from the suggested defaults; the search adds the rest
 function populateStockSelect() {
   const select = document.getElementById("stock-select");
   if (!select) return;
 
   select.innerHTML = "";
-  STOCK_LIST.forEach((stock) => {
-    const option = document.createElement("option");
-    option.value = stock.symbol;
-    option.textContent = `${stock.symbol} – ${stock.name}`;
-    select.appendChild(option);
-  });
-
-  ["AAPL", "MSFT", "GOOGL", "AMZN", "SPY"].forEach((symbol) => {
-    const opt = Array.from(select.options).find((o) => o.value === symbol);
-    if (opt) opt.selected = true;
-  });
+  selectStocks(DEFAULT_STOCKS);
 }
 
 async function populateCryptoSelect() {
@@ -1176,68 +8567,255 @@ async function populateCryptoSelect() {
       const opt = Array.from(select.options).find((o) => o.value === id);
       if (opt) opt.selected = true;
     });
+    renderAllSymbolLinks();
+    scheduleNewsRefresh(); // coins are news tickers once their symbols are known
+
+    // A deep link asked for coins before the list had loaded
+    if (pendingRouteCrypto) {
+      selectOptions("crypto-select", pendingRouteCrypto);
+      pendingRouteCrypto = null;
+      calculatePortfolioMetrics();
+    }
+    syncRouteState();
   } catch (err) {
     console.error("Error populating crypto assets:", err);
     select.innerHTML = "<option>Unable to load crypto list right now.</option>";
   }
 }
 
-// INTERACTIVE QUIZ
-function initQuiz() {
+/* ============================================================
+   INTERACTIVE QUIZ
+   ============================================================
+
+   Questions, scores and model portfolios live in QUIZ_URL so
+   they can be edited without touching this file. Each question
+   scores either risk tolerance (willingness) or risk capacity
+   (horizon, income, savings); both are scaled to 0–1 and the
+   profile is picked from the lower of the two, since a plan
+   should not take more risk than the investor can afford.
+   The result is saved under QUIZ_RESULT_KEY and pre-fills the
+   Strategy page's risk slider.
+   ============================================================ */
+
+const QUIZ_URL = "quiz.json";
+const QUIZ_RESULT_KEY = "investiq:quiz-result";
+
+let quizConfig = null;
+let latestQuizProfile = null;
+
+function readQuizResult() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(QUIZ_RESULT_KEY));
+    return raw && raw.profile && raw.allocation ? raw : null;
+  } catch (err) {
+    console.warn("Quiz result unreadable", err);
+    return null;
+  }
+}
+
+function writeQuizResult(result) {
+  try {
+    localStorage.setItem(QUIZ_RESULT_KEY, JSON.stringify(result));
+  } catch (err) {
+    console.warn("Could not save quiz result", err);
+  }
+}
+
+function renderQuizQuestions(config) {
+  const container = document.getElementById("quiz-questions");
+  if (!container) return;
+
+  container.innerHTML = config.questions
+    .map(
+      (q, i) => `
+      <div class="quiz-question">
+        <h3 class="quiz-title">${i + 1}. ${escapeHtml(q.text)}</h3>
+        <div class="quiz-dimension">${q.dimension === "capacity" ? "Risk capacity" : "Risk tolerance"}</div>
+        ${q.options
+          .map(
+            (o, j) =>
+              `<label><input type="radio" name="quiz-${escapeHtml(q.id)}" value="${j}"> ${escapeHtml(o.label)}</label>`
+          )
+          .join("<br>")}
+      </div>`
+    )
+    .join("");
+}
+
+/* ------------------------------------------------------------
+   answers: { questionId: optionIndex }. Returns null while any
+   question is unanswered, else { tolerance, capacity, score,
+   profile } with the scores on 0–1.
+------------------------------------------------------------ */
+function scoreQuiz(config, answers) {
+  const totals = {
+    tolerance: { score: 0, min: 0, max: 0 },
+    capacity: { score: 0, min: 0, max: 0 },
+  };
+
+  for (const q of config.questions) {
+    const option = q.options[answers[q.id]];
+    if (!option) return null;
+    const t = totals[q.dimension] || totals.tolerance;
+    const scores = q.options.map(o => o.score);
+    t.score += option.score;
+    t.min += Math.min(...scores);
+    t.max += Math.max(...scores);
+  }
+
+  const scale = t => (t.max > t.min ? (t.score - t.min) / (t.max - t.min) : 1);
+  const tolerance = scale(totals.tolerance);
+  const capacity = scale(totals.capacity);
+  const score = Math.min(tolerance, capacity);
+
+  const profiles = [...config.profiles].sort((a, b) => a.maxScore - b.maxScore);
+  const profile = profiles.find(p => score <= p.maxScore) || profiles[profiles.length - 1];
+  return { tolerance, capacity, score, profile };
+}
+
+function renderQuizResult(result) {
+  const resultBox = document.getElementById("quiz-result");
+  const resultTitle = document.querySelector(".quiz-result-title");
+  const resultText = document.getElementById("quiz-result-text");
+  const detail = document.getElementById("quiz-result-detail");
+  const allocationEl = document.getElementById("quiz-allocation");
+  if (!resultBox) return;
+
+  const { profile, tolerance, capacity } = result;
+  if (resultTitle) resultTitle.textContent = profile.label;
+  if (resultText) resultText.textContent = profile.explanation;
+
+  if (detail) {
+    let text =
+      `Risk tolerance ${(tolerance * 100).toFixed(0)}/100 · ` +
+      `risk capacity ${(capacity * 100).toFixed(0)}/100. `;
+    if (tolerance - capacity > 0.2) {
+      text += "You are willing to take more risk than your horizon and finances can absorb, so the lower capacity score sets your profile.";
+    } else if (capacity - tolerance > 0.2) {
+      text += "You could afford more risk than you are comfortable with; the profile follows your comfort level.";
+    }
+    detail.textContent = text;
+  }
+
+  if (allocationEl) {
+    allocationEl.innerHTML = Object.keys(ASSET_CLASS_LABELS)
+      .map(
+        k => `
+        <div>
+          <div class="metric-label">${ASSET_CLASS_LABELS[k]}</div>
+          <div class="mc-stat-value">${profile.allocation[k] || 0}%</div>
+        </div>`
+      )
+      .join("");
+  }
+
+  resultBox.style.display = "block";
+}
+
+// Strategy page: the quiz's risk score, unless a link or saved portfolio sets it later
+function applyQuizRisk(risk) {
+  const slider = document.getElementById("risk-slider");
+  if (!slider || !Number.isFinite(risk)) return;
+  slider.value = risk;
+  recomputeStrategy();
+}
+
+function applyQuizAllocation() {
+  if (!latestQuizProfile) return;
+  const next = {};
+  Object.keys(ASSET_CLASS_LABELS).forEach(k => (next[k] = latestQuizProfile.allocation[k] || 0));
+  setAllocations(next);
+  navigateTo("portfolio");
+}
+
+async function initQuiz() {
   const submitBtn = document.getElementById("quiz-submit");
+  const applyBtn = document.getElementById("quiz-apply-btn");
   if (!submitBtn) return;
 
-  submitBtn.addEventListener("click", () => {
-    let score = 0;
-    let answered = true;
+  const saved = readQuizResult();
+  if (saved) {
+    latestQuizProfile = saved;
+    renderQuizResult({ profile: saved, tolerance: saved.tolerance, capacity: saved.capacity });
+  }
 
-    for (let i = 1; i <= 5; i++) {
-      const options = document.querySelector(`input[name="q${i}"]:checked`);
-      if (!options) {
-        answered = false;
-        break;
-      }
-      score += parseInt(options.value);
-    }
+  if (applyBtn) applyBtn.addEventListener("click", applyQuizAllocation);
+
+  try {
+    quizConfig = await httpJson(QUIZ_URL);
+    renderQuizQuestions(quizConfig);
+  } catch (err) {
+    console.warn("Quiz questions unavailable", err);
+    const container = document.getElementById("quiz-questions");
+    if (container) container.innerHTML = `<div class="small-note">The quiz could not be loaded right now.</div>`;
+    submitBtn.disabled = true;
+    return;
+  }
+
+  submitBtn.addEventListener("click", () => {
+    const answers = {};
+    quizConfig.questions.forEach((q) => {
+      const checked = document.querySelector(`input[name="quiz-${q.id}"]:checked`);
+      if (checked) answers[q.id] = parseInt(checked.value, 10);
+    });
 
-    if (!answered) {
+    const result = scoreQuiz(quizConfig, answers);
+    if (!result) {
       alert("Please answer all questions before submitting!");
       return;
     }
 
-    const resultBox = document.getElementById("quiz-result");
-    const resultTitle = document.querySelector(".quiz-result-title");
-    const resultText = document.getElementById("quiz-result-text");
-
-    let profile = "";
-    let explanation = "";
-
-    if (score <= 7) {
-      profile = "Conservative Investor";
-      explanation =
-        "You prefer stability and capital preservation. A portfolio with higher allocations " +
-        "to bonds, blue-chip equities, and minimal high-volatility assets would suit you well.";
-    } else if (score <= 11) {
-      profile = "Moderate Investor";
-      explanation =
-        "You balance growth with stability. A diversified mix of equities, REITs, and bonds is ideal. " +
-        "Moderate crypto exposure can enhance long-term upside.";
-    } else {
-      profile = "Aggressive Investor";
-      explanation =
-        "You're comfortable with volatility and think long-term. A portfolio tilted heavily toward " +
-        "equities and growth assets – with some crypto optionality – aligns with your profile.";
-    }
+    latestQuizProfile = {
+      profile: result.profile.id,
+      label: result.profile.label,
+      explanation: result.profile.explanation,
+      risk: result.profile.risk,
+      allocation: result.profile.allocation,
+      tolerance: result.tolerance,
+      capacity: result.capacity,
+      takenAt: new Date().toISOString(),
+    };
+    writeQuizResult(latestQuizProfile);
+    renderQuizResult(result);
+    applyQuizRisk(result.profile.risk);
+    syncRouteState();
+  });
+}
+
+// DATA SOURCE TOGGLE + CLEAR CACHE (footer)
+function initDataSourceToggle() {
+  const clearBtn = document.getElementById("clear-cache-btn");
+  if (clearBtn) {
+    clearBtn.addEventListener("click", () => {
+      clearMarketCache();
+      clearBtn.textContent = "Cache cleared";
+      setTimeout(() => (clearBtn.textContent = "Clear cache"), 2000);
+    });
+  }
 
-    resultTitle.textContent = profile;
-    resultText.textContent = explanation;
+  const select = document.getElementById("data-source-select");
+  if (!select) return;
 
-    resultBox.style.display = "block";
+  select.value = currentDataSource();
+  select.addEventListener("change", () => {
+    try {
+      localStorage.setItem(DATA_SOURCE_KEY, select.value);
+    } catch (err) {
+      console.warn("Could not save data source", err);
+    }
+    // Drop any ?data= override so the saved choice takes effect
+    const url = new URL(window.location.href);
+    url.searchParams.delete("data");
+    window.location.href = url.toString();
   });
 }
 
 // INIT
 document.addEventListener("DOMContentLoaded", () => {
+  useDataSource(currentDataSource());
+  initDataSourceToggle();
+  initBaseCurrency();
+  alphaScheduler.subscribe(renderDataProgress);
   initThreeBackground();
 
   // Sliders
@@ -1248,17 +8826,32 @@ document.addEventListener("DOMContentLoaded", () => {
     slider.addEventListener("input", () => {
       allocations[k] = parseInt(slider.value, 10);
       updateAllocationDisplays();
+      syncRouteState();
     });
   });
 
   populateStockSelect();
   populateCryptoSelect();
+  initHoldingsTable();
+  initPositions();
+  initWatchlist();
+  initLedger();
+  initClassProxies();
+  initRiskFreeSetting();
+  initSymbolDetail();
+  initSymbolSearch();
+  initScreener();
 
   // Recalculate when selections change
   const stockSelect = document.getElementById("stock-select");
   const cryptoSelect = document.getElementById("crypto-select");
-  if (stockSelect) stockSelect.addEventListener("change", calculatePortfolioMetrics);
-  if (cryptoSelect) cryptoSelect.addEventListener("change", calculatePortfolioMetrics);
+  [stockSelect, cryptoSelect].forEach((select) => {
+    if (!select) return;
+    select.addEventListener("change", () => {
+      calculatePortfolioMetrics();
+      syncRouteState();
+    });
+  });
 
   // Run Simulation button
   const runSimBtn = document.getElementById("run-sim-btn");
@@ -1268,6 +8861,37 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // Backtest
+  const backtestBtn = document.getElementById("backtest-btn");
+  if (backtestBtn) backtestBtn.addEventListener("click", handleBacktestRun);
+
+  // Monte Carlo settings re-run the last simulation
+  ["mc-paths", "mc-model", "mc-seed", "mc-target"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener("change", () => {
+      if (!lastMonteCarloInputs) return;
+      runMonteCarlo(lastMonteCarloInputs.realExpReturn, lastMonteCarloInputs.realVolatility);
+    });
+  });
+
+  // Rebalancing assistant
+  const rebalanceBtn = document.getElementById("rebalance-btn");
+  if (rebalanceBtn) rebalanceBtn.addEventListener("click", handleRebalance);
+
+  // Optimizer
+  const optimizeBtn = document.getElementById("optimize-btn");
+  const applyOptimalBtn = document.getElementById("apply-optimal-btn");
+  const optimizerTarget = document.getElementById("optimizer-target");
+  if (optimizeBtn) optimizeBtn.addEventListener("click", handleOptimize);
+  if (applyOptimalBtn) applyOptimalBtn.addEventListener("click", applyOptimalWeights);
+  if (optimizerTarget) {
+    optimizerTarget.addEventListener("change", () => {
+      readOptimizerLimitInputs();
+      if (latestRiskModel) renderOptimizerLimits(latestRiskModel, selectedOptimalPortfolio());
+    });
+  }
+
   document
     .querySelectorAll(".graph-checkboxes input")
     .forEach((chk) => chk.addEventListener("change", updateChartVisibilityFromChecks));
@@ -1276,21 +8900,37 @@ document.addEventListener("DOMContentLoaded", () => {
   updateAllocationDisplays();
 
   // Strategy
-  const strategySliders = [
-    "horizon-slider",
-    "risk-slider",
-    "initial-slider",
-    "monthly-slider",
-  ];
-  strategySliders.forEach((id) => {
+  const strategyInputIds = STRATEGY_ROUTE_PARAMS.map(([, id]) => id);
+  strategyInputIds.forEach((id) => {
     const el = document.getElementById(id);
-    if (el) el.addEventListener("input", recomputeStrategy);
+    if (!el) return;
+    el.addEventListener("input", () => {
+      recomputeStrategy();
+      syncRouteState();
+    });
   });
-  recomputeStrategy();
+  const quizResult = readQuizResult();
+  if (quizResult) applyQuizRisk(quizResult.risk);
+  else recomputeStrategy();
+
+  initGoals();
+
+  const retireRunBtn = document.getElementById("retire-run-btn");
+  if (retireRunBtn) retireRunBtn.addEventListener("click", handleRetirementRun);
+
+  // Saved portfolios: reopen the last one unless the URL carries its own state
+  initSavedPortfolios();
+  if (![...parseRoute(window.location.hash).params.keys()].length) {
+    restoreActivePortfolio();
+  }
+
+  // Page + state from the URL (after the defaults above are in place)
+  initRouter();
 
   // Market & news
   buildMarketStats();
   buildCryptoTicker();
+  initNewsFeed();
   buildNewsFeed();
 
   // Initialize quiz
@@ -1299,4 +8939,6 @@ document.addEventListener("DOMContentLoaded", () => {
   // Periodic refresh for market data
   setInterval(buildMarketStats, 60000);
   setInterval(buildCryptoTicker, 60000);
+  setInterval(pollPositions, LIVE_QUOTE_INTERVAL);
+  setInterval(refreshWatchlist, WATCHLIST_POLL_INTERVAL);
 });